@@ -3,6 +3,8 @@ using Fritz.Charlie.Components.Map;
 using Fritz.Charlie.Components.Models;
 using Fritz.Charlie.Components.Services;
 using Microsoft.Extensions.Logging;
+using System.Net;
+using System.Text.Json;
 
 namespace Fritz.Charlie.Components;
 
@@ -19,6 +21,107 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
     [Parameter] public EventCallback<ViewerLocationEvent> OnLocationPlotted { get; set; }
     [Parameter] public EventCallback<Guid> OnLocationRemoved { get; set; }
     [Parameter] public IEnumerable<ViewerLocationEvent>? InitialLocations { get; set; }
+
+    /// <summary>
+    /// The basemap to draw beneath the markers. Defaults to the OpenStreetMap tile server.
+    /// Changing it, or calling <see cref="SetTileProviderAsync"/>, switches the basemap of the rendered map.
+    /// </summary>
+    [Parameter] public TileProviderOptions? TileProvider { get; set; }
+
+    /// <summary>
+    /// How stored markers are drawn: individual pins, clusters (the default) or a density heatmap.
+    /// </summary>
+    [Parameter] public MapDisplayMode DisplayMode { get; set; } = MapDisplayMode.Clusters;
+
+    /// <summary>
+    /// Shows a pins / clusters / heatmap toggle below the map.
+    /// </summary>
+    [Parameter] public bool ShowDisplayModeToggle { get; set; } = false;
+
+    /// <summary>
+    /// Colour bands, sizes and optional service/user type donut of cluster icons.
+    /// Changing them, or calling <see cref="SetClusterStyleAsync"/>, restyles the rendered map.
+    /// </summary>
+    [Parameter] public ClusterStyleOptions? ClusterStyle { get; set; }
+
+    /// <summary>
+    /// On-map legend of services, user types and cluster colours. No legend is shown when null.
+    /// </summary>
+    [Parameter] public LegendOptions? Legend { get; set; }
+
+    /// <summary>
+    /// Shows the timeline replay control (play/pause, scrubber and a return to the live map) on the map.
+    /// </summary>
+    [Parameter] public bool ShowReplayControl { get; set; } = false;
+
+    /// <summary>
+    /// Fades markers by how long ago their viewers were last seen, optionally expiring them. Markers don't age when null.
+    /// </summary>
+    [Parameter] public MarkerAgingOptions? MarkerAging { get; set; }
+
+    /// <summary>
+    /// Time a full replay takes, however long the stream was, e.g. 3 hours replayed in 60 seconds.
+    /// </summary>
+    [Parameter] public TimeSpan ReplayDuration { get; set; } = TimeSpan.FromSeconds(60);
+
+    /// <summary>
+    /// Draws an arc from the broadcaster's home location to each new viewer's marker. No arcs are drawn when null.
+    /// </summary>
+    [Parameter] public ArrivalArcOptions? ArrivalArcs { get; set; }
+
+    /// <summary>
+    /// Raised after GeoJSON locations are imported into the map, with the features that were rejected and why.
+    /// </summary>
+    [Parameter] public EventCallback<MarkerBatchResult> OnGeoJsonImported { get; set; }
+
+    /// <summary>
+    /// Screen reader announcements and keyboard navigation between markers. On by default.
+    /// Changing it, or calling <see cref="SetAccessibilityAsync"/>, applies straight away.
+    /// </summary>
+    [Parameter] public MapAccessibilityOptions Accessibility { get; set; } = new();
+
+    /// <summary>
+    /// Runs the map as a streaming overlay (e.g. an OBS browser source): no controls, no user navigation,
+    /// and the tour and announcement panels around the map are hidden. Off when null.
+    /// </summary>
+    [Parameter] public OverlayOptions? Overlay { get; set; }
+
+    /// <summary>
+    /// Replaces map flights with instant jumps and celebrations with static highlights.
+    /// Null follows the viewer's prefers-reduced-motion system setting; true or false overrides it.
+    /// </summary>
+    [Parameter] public bool? ReducedMotion { get; set; }
+
+    /// <summary>
+    /// Moves the camera by itself between the busiest areas or the newest arrivals once the map has been idle.
+    /// Off when null. Changing it, or calling <see cref="SetAutoDirectorAsync"/>, updates the rendered map.
+    /// </summary>
+    [Parameter] public AutoDirectorOptions? AutoDirector { get; set; }
+
+    /// <summary>
+    /// Raised when the auto director takes or hands back the camera, or moves to a new shot.
+    /// </summary>
+    [Parameter] public EventCallback<bool> OnAutoDirectorChanged { get; set; }
+
+    /// <summary>
+    /// Raised when a viewer marker is clicked.
+    /// </summary>
+    [Parameter] public EventCallback<MapMarkerEventArgs> OnMarkerClick { get; set; }
+
+    /// <summary>
+    /// Raised when the pointer moves onto a viewer marker.
+    /// </summary>
+    [Parameter] public EventCallback<MapMarkerEventArgs> OnMarkerHover { get; set; }
+
+    /// <summary>
+    /// Raised when a viewer marker's popup opens, by click or keyboard.
+    /// </summary>
+    [Parameter] public EventCallback<MapMarkerEventArgs> OnMarkerPopupOpen { get; set; }
+
+    /// <summary>
+    /// Raised when a cluster is clicked, with every marker and viewer location in it.
+    /// </summary>
+    [Parameter] public EventCallback<MapMarkerEventArgs> OnClusterClick { get; set; }
     [Inject] public IViewerLocationService ViewerLocationService { get; set; } = null!;
     [Inject] public IJSRuntime JSRuntime { get; set; } = null!;
     [Inject] public MapTourService TourService { get; set; } = null!;
@@ -29,7 +132,59 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
     private string TestResult { get; set; } = string.Empty;
 
     [Parameter] public bool ShowTourControls { get; set; } = true;
+
+    /// <summary>
+    /// Default time the tour stays at each stop, in milliseconds. External tour groups can override it per stop.
+    /// </summary>
+    [Parameter] public int TourDwellMs { get; set; } = 5000;
+
+    /// <summary>
+    /// Starts the tour over from the first stop instead of ending after the last one.
+    /// </summary>
+    [Parameter] public bool TourLoop { get; set; } = false;
+
+    /// <summary>
+    /// At each tour stop, calls out the listed viewers one by one - opening each viewer's marker popup and naming their location in the region overlay - before moving on.
+    /// </summary>
+    [Parameter] public bool TourSpotlight { get; set; } = false;
+
+    /// <summary>
+    /// Time spent on each spotlighted viewer, in milliseconds.
+    /// </summary>
+    [Parameter] public int TourSpotlightMs { get; set; } = 2500;
+
     public bool IsTourActive { get; private set; } = false;
+
+    /// <summary>
+    /// Whether the running tour is paused at its current stop.
+    /// </summary>
+    public bool IsTourPaused { get; private set; } = false;
+
+    /// <summary>
+    /// One-based number of the tour stop being shown, or 0 when no tour is running.
+    /// </summary>
+    public int CurrentTourStop { get; private set; } = 0;
+
+    /// <summary>
+    /// Number of stops in the running tour.
+    /// </summary>
+    public int TourStopCount { get; private set; } = 0;
+
+    /// <summary>
+    /// Whether a timeline replay is loaded (playing or paused).
+    /// </summary>
+    public bool IsReplayActive { get; private set; } = false;
+
+    /// <summary>
+    /// Whether the loaded timeline replay is playing.
+    /// </summary>
+    public bool IsReplayPlaying { get; private set; } = false;
+
+    /// <summary>
+    /// The time the map is showing during a replay, or null for the live map.
+    /// Updated when the replay starts, pauses, resumes, is scrubbed or ends.
+    /// </summary>
+    public DateTimeOffset? ReplayCursor { get; private set; }
     public Dictionary<Guid, ViewerLocationEvent> TourLocations { get; } = new();
     private readonly Queue<ViewerLocationEvent> PendingLocationQueue = new();
     private object? CurrentTourStatus { get; set; }
@@ -56,12 +211,122 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
     [Parameter] public int AnnouncementDurationMs { get; set; } = 5000;
     [Parameter] public EventCallback<ViewerLocationEvent> OnPinAnnounced { get; set; }
 
-    private readonly Queue<ViewerLocationEvent> announcementQueue = new();
-    private bool isAnnouncementActive = false;
+    /// <summary>
+    /// Queue limits, burst collapsing and tour deferral for pin celebrations. The queue itself lives in the map.
+    /// Changing it, or calling <see cref="SetCelebrationQueueAsync"/>, applies to the queue straight away.
+    /// </summary>
+    [Parameter] public CelebrationQueueOptions? CelebrationQueue { get; set; }
+
+    /// <summary>
+    /// Position, content, service colours and effect of pin celebrations.
+    /// Changing them, or calling <see cref="SetCelebrationOptionsAsync"/>, applies to celebrations from then on.
+    /// </summary>
+    [Parameter] public CelebrationOptions? Celebration { get; set; }
+
+    // Celebration queue state as reported by the map
+    private int announcementQueueDepth = 0;
+    private string? currentAnnouncementDescription;
+    private ViewerLocationEvent? currentAnnouncedLocation;
     private bool isUserNavigating = false;
     private Timer? navigationDebounceTimer;
-    private ViewerLocationEvent? currentAnnouncedLocation;
     private bool initialLoadComplete = false; // Track if initial load is done
+    private bool isDirectorActive = false;
+    private string? directorShotDescription;
+
+    // What the map currently shows for settings that are both parameters and Set...Async methods
+    private readonly MapSetting<MapDisplayMode> displayMode = new();
+    private readonly MapSetting<TileProviderOptions?> tileProvider = new();
+    private readonly MapSetting<ClusterStyleOptions?> clusterStyle = new();
+    private readonly MapSetting<LegendOptions?> legend = new();
+    private readonly MapSetting<MarkerAgingOptions?> markerAging = new();
+    private readonly MapSetting<ArrivalArcOptions?> arrivalArcs = new();
+    private readonly MapSetting<OverlayOptions?> overlay = new();
+    private readonly MapSetting<bool?> reducedMotion = new();
+    private readonly MapSetting<AutoDirectorOptions?> autoDirector = new();
+    private readonly MapSetting<CelebrationQueueOptions?> celebrationQueue = new();
+    private readonly MapSetting<CelebrationOptions?> celebration = new();
+    private readonly MapSetting<MapAccessibilityOptions?> accessibility = new();
+
+    // Which marker and cluster events the map raises - only those with a handler bound
+    private readonly MapSetting<InteractionEvents?> interactionEvents = new();
+
+    protected override async Task OnParametersSetAsync()
+    {
+        // Forward parameters the parent changed; a re-render with unchanged parameters keeps runtime changes
+        await ApplyParameterAsync(displayMode, DisplayMode, SetDisplayModeAsync);
+        await ApplyParameterAsync(tileProvider, TileProvider, provider => SetTileProviderAsync(provider ?? TileProviderOptions.OpenStreetMap));
+        await ApplyParameterAsync(clusterStyle, ClusterStyle, style => SetClusterStyleAsync(style ?? new ClusterStyleOptions()));
+        await ApplyParameterAsync(legend, Legend, SetLegendAsync);
+        await ApplyParameterAsync(markerAging, MarkerAging, SetMarkerAgingAsync);
+        await ApplyParameterAsync(overlay, Overlay, SetOverlayAsync);
+        await ApplyParameterAsync(reducedMotion, ReducedMotion, SetReducedMotionAsync);
+        await ApplyParameterAsync(autoDirector, AutoDirector, SetAutoDirectorAsync);
+        await ApplyParameterAsync(celebrationQueue, CelebrationQueue, options => SetCelebrationQueueAsync(options ?? new CelebrationQueueOptions()));
+        await ApplyParameterAsync(celebration, Celebration, options => SetCelebrationOptionsAsync(options ?? new CelebrationOptions()));
+        await ApplyParameterAsync(accessibility, Accessibility, options => SetAccessibilityAsync(options ?? new MapAccessibilityOptions()));
+        await ApplyParameterAsync(interactionEvents,
+            new InteractionEvents(OnMarkerClick.HasDelegate, OnMarkerHover.HasDelegate, OnMarkerPopupOpen.HasDelegate, OnClusterClick.HasDelegate),
+            SetInteractionEventsAsync);
+
+        // Arcs wait for the initial markers (see OnAfterRenderAsync)
+        await ApplyParameterAsync(arrivalArcs, ArrivalArcs, arcs =>
+        {
+            if (initialLoadComplete) return SetArrivalArcsAsync(arcs);
+            arrivalArcs.Value = arcs;
+            return Task.FromResult(true);
+        });
+    }
+
+    // Until the map exists the value is only recorded - initializeMap sends it
+    private async Task ApplyParameterAsync<T>(MapSetting<T> setting, T parameter, Func<T, Task<bool>> apply)
+    {
+        if (!setting.ParameterChanged(parameter)) return;
+
+        if (mapInitialized)
+        {
+            await apply(parameter);
+        }
+        else
+        {
+            setting.Value = parameter;
+        }
+    }
+
+    private async Task<bool> SetInteractionEventsAsync(InteractionEvents? events)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setInteractionEvents", mapElementId, events);
+            if (result) interactionEvents.Value = events;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting interaction events: {ex.Message}");
+            return false;
+        }
+    }
+
+    private sealed record InteractionEvents(bool MarkerClick, bool MarkerHover, bool PopupOpen, bool ClusterClick);
+
+    // A map setting that can come from a parameter or from a Set...Async call. The parameter's last value is
+    // remembered as JSON, so options rebuilt with the same values on every parent render don't count as changes.
+    private sealed class MapSetting<T>
+    {
+        private string lastParameter = JsonSerializer.Serialize(default(T));
+
+        public T Value { get; set; } = default!;
+
+        public bool ParameterChanged(T parameter)
+        {
+            var json = JsonSerializer.Serialize(parameter);
+            if (json == lastParameter) return false;
+
+            lastParameter = json;
+            return true;
+        }
+    }
 
     protected override async Task OnAfterRenderAsync(bool firstRender)
     {
@@ -75,11 +340,33 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
                 mapModule = await JSRuntime.InvokeAsync<IJSObjectReference>("import",
                 "./_content/Fritz.Charlie.Components/chattermap.js");
 
-                await mapModule.InvokeVoidAsync("initializeMap", mapElementId, Height, Width, 39.8283, -98.5795, (int)InitialZoom, MaxZoom);
+                await mapModule.InvokeVoidAsync("initializeMap", mapElementId, Height, Width, 39.8283, -98.5795, (int)InitialZoom, MaxZoom, new
+                {
+                    tileProvider = tileProvider.Value ?? TileProviderOptions.OpenStreetMap,
+                    displayMode = displayMode.Value.ToString().ToLowerInvariant(),
+                    clusterStyle = clusterStyle.Value,
+                    legend = legend.Value,
+                    replay = new { enabled = ShowReplayControl, durationMs = ReplayDuration.TotalMilliseconds },
+                    aging = markerAging.Value,
+                    accessibility = accessibility.Value,
+                    reducedMotion = reducedMotion.Value,
+                    overlay = overlay.Value,
+                    director = autoDirector.Value,
+                    events = interactionEvents.Value,
+                    celebrationQueue = celebrationQueue.Value ?? new CelebrationQueueOptions(),
+                    celebration = celebration.Value
+                });
                 mapInitialized = true;
 
                 dotNetObjectRef = DotNetObjectReference.Create(this);
-                await mapModule.InvokeVoidAsync("setDotNetReference", dotNetObjectRef);
+                await mapModule.InvokeVoidAsync("setDotNetReference", mapElementId, dotNetObjectRef);
+
+                // Push the icon map up front so markers don't each ask for their icon URL
+                await PushIconMapAsync();
+                if (IconProvider is IObservableMapIconProvider observableIconProvider)
+                {
+                    observableIconProvider.IconsChanged += OnIconProviderChanged;
+                }
 
                 // Load InitialLocations parameter first (if any)
                 if (InitialLocations != null)
@@ -93,6 +380,12 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
 
                 // NOW mark initial load as complete - any NEW markers after this point will trigger announcements
                 initialLoadComplete = true;
+
+                // Arrival arcs are switched on only now so the initial markers don't all fire one
+                if (arrivalArcs.Value != null)
+                {
+                    await mapModule.InvokeAsync<bool>("setArrivalArcOptions", mapElementId, arrivalArcs.Value);
+                }
             }
             catch (Exception ex)
             {
@@ -145,170 +438,163 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
         // This is the core plotting logic without the user deduplication check
         // to avoid infinite recursion when called from UpdateUserLocation
         
-        // Aggregation key – 4 decimal places is ~11m resolution
-        var key = (lat: Math.Round((double)location.Latitude, 4), lng: Math.Round((double)location.Longitude, 4));
+        var (aggregate, isNewMarker) = TrackLocation(location);
 
-        bool isNewMarker = !aggregatedMarkers.ContainsKey(key);
-
-        if (aggregatedMarkers.TryGetValue(key, out var aggregate))
+        if (!isNewMarker)
         {
-            // Add to existing aggregate
-            aggregate.Locations.Add(location);
-            locationKeyIndex[location.Id] = key;
-
-            // Track by UserId for deduplication
-            if (!string.IsNullOrEmpty(location.UserId))
-            {
-                userLocationIndex[location.UserId] = location;
-            }
-
-            // Update TourLocations with the new location
-            if (!TourLocations.ContainsKey(location.Id))
-            {
-                TourLocations.Add(location.Id, location);
-            }
-
             // Update marker (count + popup content)
             var popupContent = BuildAggregatedPopupContent(aggregate);
-            await mapModule.InvokeVoidAsync("updateAggregatedMarker",
+            await mapModule.InvokeVoidAsync("updateAggregatedMarker", mapElementId,
               aggregate.MarkerId,
                     aggregate.Locations.Count,
-                   popupContent);
-
-            await OnLocationPlotted.InvokeAsync(location);
+                   popupContent,
+                   true, // popup HTML is built (and encoded) here
+                   ToUnixMilliseconds(aggregate.LastSeen));
         }
         else
         {
             // Create new marker
-            var markerId = location.Id.ToString();
             var description = Truncate(location.LocationDescription, 100);
-            await mapModule.InvokeVoidAsync("addMarker",
-               markerId,
+            await mapModule.InvokeVoidAsync("addMarker", mapElementId,
+               aggregate.MarkerId,
                   Math.Round((double)location.Latitude, 6),
                 Math.Round((double)location.Longitude, 6),
                 location.UserType,
              description,
-                   location.Service == "YouTube" ? "YouTube" : "Twitch",
-             1); // initial count
-
-            var newAggregate = new AggregateLocation(markerId, key.lat, key.lng);
-            newAggregate.Locations.Add(location);
-            aggregatedMarkers[key] = newAggregate;
-            locationKeyIndex[location.Id] = key;
-
-            // Track by UserId for deduplication
-            if (!string.IsNullOrEmpty(location.UserId))
-            {
-                userLocationIndex[location.UserId] = location;
-            }
-
-            // Add to TourLocations
-            if (!TourLocations.ContainsKey(location.Id))
-            {
-                TourLocations.Add(location.Id, location);
-            }
-
-            await OnLocationPlotted.InvokeAsync(location);
+                   NormalizeService(location.Service),
+             1, // initial count
+             ToUnixMilliseconds(location.Timestamp));
         }
 
+        await OnLocationPlotted.InvokeAsync(location);
+
         // NEW: Queue announcement for new markers if feature is enabled
         if (EnablePinAnnouncements && isNewMarker)
         {
-            QueuePinAnnouncement(location);
+            await QueuePinAnnouncementAsync(location);
         }
     }
 
-    // NEW: Queue a pin announcement
-    private void QueuePinAnnouncement(ViewerLocationEvent location)
+    // Record a location in the aggregation indexes, returning its aggregate and whether it needs a new marker
+    private (AggregateLocation Aggregate, bool IsNewMarker) TrackLocation(ViewerLocationEvent location)
     {
-        // Don't queue if initial load hasn't completed yet
-        if (!initialLoadComplete)
+        // Aggregation key – 4 decimal places is ~11m resolution
+        var key = (lat: Math.Round((double)location.Latitude, 4), lng: Math.Round((double)location.Longitude, 4));
+
+        bool isNewMarker = false;
+        if (!aggregatedMarkers.TryGetValue(key, out var aggregate))
         {
-            Console.WriteLine($"Skipping announcement for {location.LocationDescription} (initial load not complete)");
-            return;
+            aggregate = new AggregateLocation(location.Id.ToString(), key.lat, key.lng);
+            aggregatedMarkers[key] = aggregate;
+            isNewMarker = true;
         }
 
-        // Don't queue if tour is active or user is navigating
-        if (IsTourActive || isUserNavigating)
+        aggregate.Locations.Add(location);
+        locationKeyIndex[location.Id] = key;
+
+        // Track by UserId for deduplication
+        if (!string.IsNullOrEmpty(location.UserId))
         {
-            Console.WriteLine($"Skipping announcement for {location.LocationDescription} (tour active: {IsTourActive}, user navigating: {isUserNavigating})");
-            return;
+            userLocationIndex[location.UserId] = location;
         }
 
-        announcementQueue.Enqueue(location);
-        Console.WriteLine($"Queued announcement for {location.LocationDescription}. Queue size: {announcementQueue.Count}");
-
-        // Process queue if not already active
-        if (!isAnnouncementActive)
+        // Add to TourLocations
+        if (!TourLocations.ContainsKey(location.Id))
         {
-            _ = ProcessAnnouncementQueueAsync();
+            TourLocations.Add(location.Id, location);
         }
+
+        return (aggregate, isNewMarker);
     }
 
-    // NEW: Process the announcement queue
-    private async Task ProcessAnnouncementQueueAsync()
+    // Undo TrackLocation for every location in an aggregate the map refused to store
+    private void UntrackAggregate(AggregateLocation aggregate)
     {
-        while (announcementQueue.Count > 0 && !IsTourActive && !isUserNavigating)
+        foreach (var location in aggregate.Locations)
         {
-            isAnnouncementActive = true;
-						IsTourActive = true;
-            var location = announcementQueue.Dequeue();
-            currentAnnouncedLocation = location;
-
-            Console.WriteLine($"Processing announcement for {location.LocationDescription}");
-
-            try
-            {
-                await ShowPinAnnouncementAsync(location);
-                await OnPinAnnounced.InvokeAsync(location);
-            }
-            catch (Exception ex)
+            locationKeyIndex.Remove(location.Id);
+            TourLocations.Remove(location.Id);
+            if (!string.IsNullOrEmpty(location.UserId))
             {
-                Console.WriteLine($"Error showing pin announcement: {ex.Message}");
+                userLocationIndex.Remove(location.UserId);
             }
-
-            currentAnnouncedLocation = null;
-            await InvokeAsync(StateHasChanged);
-
-            // Wait for announcement duration
-            await Task.Delay(AnnouncementDurationMs);
         }
 
-        isAnnouncementActive = false;
-				IsTourActive = false;
-				await InvokeAsync(StateHasChanged);
-				
+        aggregatedMarkers.Remove((aggregate.Lat, aggregate.Lng));
     }
 
-    // NEW: Show pin announcement with celebration
-    private async Task ShowPinAnnouncementAsync(ViewerLocationEvent location)
+    // NEW: Queue a pin announcement - the map owns the queue, its priorities and burst collapsing
+    private async Task QueuePinAnnouncementAsync(ViewerLocationEvent location)
     {
         if (mapModule == null) return;
 
-        try
+        // Don't queue if initial load hasn't completed yet
+        if (!initialLoadComplete)
         {
-            await mapModule.InvokeVoidAsync("showPinCelebration",
-              Math.Round((double)location.Latitude, 6),
-                           Math.Round((double)location.Longitude, 6),
-                   location.LocationDescription,
-           location.Service,
-                  location.UserType,
-                           AnnouncementDurationMs);
+            Console.WriteLine($"Skipping announcement for {location.LocationDescription} (initial load not complete)");
+            return;
+        }
 
-            Console.WriteLine($"Showing celebration for {location.LocationDescription}");
+        try
+        {
+            await mapModule.InvokeVoidAsync("queuePinCelebration", mapElementId, new
+            {
+                id = location.Id.ToString(),
+                lat = Math.Round((double)location.Latitude, 6),
+                lng = Math.Round((double)location.Longitude, 6),
+                description = location.LocationDescription,
+                service = NormalizeService(location.Service),
+                userType = location.UserType,
+                durationMs = AnnouncementDurationMs,
+                region = string.IsNullOrEmpty(location.Country) ? null : location.Country
+            });
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"Error in ShowPinAnnouncementAsync: {ex.Message}");
+            Console.WriteLine($"Error queueing pin announcement: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Called by the map whenever its celebration queue changes.
+    /// </summary>
+    /// <param name="queueDepth">Number of celebrations waiting</param>
+    /// <param name="currentId">Location ID of the celebration on screen (the lead location for a burst summary), or null</param>
+    /// <param name="currentDescription">Text of the celebration on screen, or null</param>
+    [JSInvokable]
+    public async Task OnCelebrationQueueChanged(int queueDepth, string? currentId, string? currentDescription)
+    {
+        announcementQueueDepth = queueDepth;
+        currentAnnouncementDescription = currentDescription;
+
+        ViewerLocationEvent? announced = null;
+        if (Guid.TryParse(currentId, out var locationId) && TourLocations.TryGetValue(locationId, out var location))
+        {
+            announced = location;
+        }
+
+        var isNewAnnouncement = announced != null && announced != currentAnnouncedLocation;
+        currentAnnouncedLocation = announced;
+
+        if (isNewAnnouncement)
+        {
+            await OnPinAnnounced.InvokeAsync(announced!.Value);
         }
+
+        await InvokeAsync(StateHasChanged);
     }
 
+    /// <summary>
+    /// Whether the user is currently panning or zooming the map.
+    /// </summary>
+    public bool IsUserNavigating => isUserNavigating;
+
     // NEW: Handle user navigation detection from JavaScript
     [JSInvokable]
     public Task OnUserNavigationStart()
     {
         isUserNavigating = true;
-        Console.WriteLine("User navigation started - pausing announcements");
+        Console.WriteLine("User navigation started");
 
         // Reset debounce timer
         navigationDebounceTimer?.Dispose();
@@ -328,28 +614,77 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
         navigationDebounceTimer = new Timer(_ =>
         {
             isUserNavigating = false;
-            Console.WriteLine("User navigation debounce complete - resuming announcements");
-
-            // Resume announcement queue processing if there are pending announcements
-            if (announcementQueue.Count > 0 && !isAnnouncementActive && !IsTourActive)
-            {
-                _ = ProcessAnnouncementQueueAsync();
-            }
+            Console.WriteLine("User navigation debounce complete");
         }, null, 2000, Timeout.Infinite); // 2 second debounce
 
         return Task.CompletedTask;
     }
 
+    /// <summary>
+    /// Whether the auto director currently has the camera.
+    /// </summary>
+    public bool IsDirectorActive => isDirectorActive;
+
+    /// <summary>
+    /// Description of the marker the auto director is showing, or null when it isn't showing one.
+    /// </summary>
+    public string? DirectorShotDescription => directorShotDescription;
+
+    /// <summary>
+    /// Called by the map when the auto director takes or hands back the camera, or moves to a new shot.
+    /// </summary>
+    [JSInvokable]
+    public async Task OnDirectorStatusChanged(bool active, string? shotDescription)
+    {
+        isDirectorActive = active;
+        directorShotDescription = shotDescription;
+
+        await OnAutoDirectorChanged.InvokeAsync(active);
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// Switches the auto director on, off (null) or to different options at runtime.
+    /// </summary>
+    public async Task<bool> SetAutoDirectorAsync(AutoDirectorOptions? director)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setDirectorOptions", mapElementId, director ?? new AutoDirectorOptions { Enabled = false });
+            if (result) autoDirector.Value = director;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting auto director: {ex.Message}");
+            return false;
+        }
+    }
+
+    // Locations sent in full with each tour stop, for spotlights and popups
+    private const int TourStopDetailLimit = 10;
+
+    // Just what the marker filter needs for every viewer at a tour stop, so filtered counts stay right
+    // beyond the first TourStopDetailLimit locations. Bounded by the 200 locations a tour covers.
+    private static object?[][] TourStopViewers(IEnumerable<ViewerLocationEvent> locations) =>
+        locations.Select(loc => new object?[] { NormalizeService(loc.Service), loc.UserType, ToUnixMilliseconds(loc.Timestamp) }).ToArray();
+
+    // The marker a tour location is drawn in, so a spotlight can open its popup
+    private string? MarkerIdFor(ViewerLocationEvent location) =>
+        locationKeyIndex.TryGetValue(location.Id, out var key) && aggregatedMarkers.TryGetValue(key, out var aggregate)
+            ? aggregate.MarkerId
+            : null;
+
     private async Task StartMapTour()
     {
         if (!mapInitialized || mapModule == null || TourLocations.Count == 0) return;
 
         try
         {
-            // Clear announcement queue when tour starts
-            announcementQueue.Clear();
-            isAnnouncementActive = false;
+            // The map ends the celebration on screen (and drops or defers queued ones) when the tour starts
             currentAnnouncedLocation = null;
+            currentAnnouncementDescription = null;
 
             var locationsList = TourLocations.Values.ToList();
             if (locationsList.Count > 200)
@@ -384,14 +719,18 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
                     zoom = Math.Min(group.OptimalZoomLevel, MaxZoom),
                     description = group.RegionName,
                     locationCount = group.LocationCount,
-                    locations = group.Locations.Take(10).Select(loc => new
+                    dwellMs = group.DwellTimeMs,
+                    locations = group.Locations.Take(TourStopDetailLimit).Select(loc => new
                     {
+                        markerId = MarkerIdFor(loc),
                         description = Truncate(loc.LocationDescription, 50),
                         lat = Math.Round((double)loc.Latitude, 6),
                         lng = Math.Round((double)loc.Longitude, 6),
                         userType = loc.UserType,
-                        service = loc.Service == "YouTube" ? "YouTube" : "Twitch"
-                    }).ToArray()
+                        service = NormalizeService(loc.Service),
+                        timestamp = ToUnixMilliseconds(loc.Timestamp)
+                    }).ToArray(),
+                    viewers = TourStopViewers(group.Locations)
                 }).ToArray();
 
                 // Clear internal clusters since we're using external groups
@@ -424,14 +763,17 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
                     zoom = TourService.DetermineZoomLevel(cluster, MaxZoom),
                     description = TourService.GetLocationDescription(cluster),
                     locationCount = cluster.Locations.Count,
-                    locations = cluster.Locations.Take(10).Select(loc => new
+                    locations = cluster.Locations.Take(TourStopDetailLimit).Select(loc => new
                     {
+                        markerId = MarkerIdFor(loc),
                         description = Truncate(loc.LocationDescription, 50),
                         lat = Math.Round((double)loc.Latitude, 6),
                         lng = Math.Round((double)loc.Longitude, 6),
                         userType = loc.UserType,
-                        service = loc.Service == "YouTube" ? "YouTube" : "Twitch"
-                    }).ToArray()
+                        service = NormalizeService(loc.Service),
+                        timestamp = ToUnixMilliseconds(loc.Timestamp)
+                    }).ToArray(),
+                    viewers = TourStopViewers(cluster.Locations)
                 }).ToArray();
 
                 // Clear external groups since we're using internal clustering
@@ -441,7 +783,13 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
             // Log tour stops with zoom levels
             Console.WriteLine($"Tour will visit {tourStops.Length} stops");
 
-            await mapModule.InvokeVoidAsync("startTour", (object)tourStops);
+            await mapModule.InvokeVoidAsync("startTour", mapElementId, (object)tourStops, new
+            {
+                loop = TourLoop,
+                dwellMs = TourDwellMs,
+                spotlight = TourSpotlight,
+                spotlightMs = TourSpotlightMs
+            });
             IsTourActive = true;
             StateHasChanged();
         }
@@ -454,242 +802,935 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
         }
     }
 
-    private async Task StopMapTour()
+    private async Task StopMapTour()
+    {
+        if (!mapInitialized || mapModule == null) return;
+
+        IsTourActive = false;
+        IsTourPaused = false;
+        CurrentTourLocation = null;
+        await mapModule.InvokeVoidAsync("stopTour", mapElementId);
+        await ProcessPendingLocations();
+
+        StateHasChanged();
+    }
+
+    private async Task ProcessPendingLocations()
+    {
+        while (PendingLocationQueue.TryDequeue(out var location))
+        {
+            await PlotLocation(location);
+        }
+    }
+
+    /// <summary>
+    /// Holds the running tour at its current stop.
+    /// </summary>
+    public Task<bool> PauseTourAsync() => InvokeTourCommandAsync("pauseTour");
+
+    /// <summary>
+    /// Continues a paused tour.
+    /// </summary>
+    public Task<bool> ResumeTourAsync() => InvokeTourCommandAsync("resumeTour");
+
+    /// <summary>
+    /// Skips to the next tour stop.
+    /// </summary>
+    public Task<bool> NextTourStopAsync() => InvokeTourCommandAsync("nextTourStop");
+
+    /// <summary>
+    /// Goes back to the previous tour stop.
+    /// </summary>
+    public Task<bool> PreviousTourStopAsync() => InvokeTourCommandAsync("previousTourStop");
+
+    /// <summary>
+    /// Jumps to a tour stop by its one-based number, e.g. from a "!tour 3" chat command.
+    /// </summary>
+    public Task<bool> GoToTourStopAsync(int stopNumber) => InvokeTourCommandAsync("goToTourStop", stopNumber);
+
+    private async Task<bool> InvokeTourCommandAsync(string identifier, params object[] args)
+    {
+        if (!mapInitialized || mapModule == null || !IsTourActive) return false;
+        try
+        {
+            return await mapModule.InvokeAsync<bool>(identifier, [mapElementId, .. args]);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error invoking {identifier}: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Replays the audience arriving: markers reappear in the order they were first seen,
+    /// compressing the whole timeline into <paramref name="duration"/> (defaults to <see cref="ReplayDuration"/>).
+    /// </summary>
+    public Task<bool> StartReplayAsync(TimeSpan? duration = null) =>
+        InvokeReplayCommandAsync("startReplay", new { durationMs = (duration ?? ReplayDuration).TotalMilliseconds });
+
+    /// <summary>
+    /// Pauses the replay, keeping the map as of the current replay time.
+    /// </summary>
+    public Task<bool> PauseReplayAsync() => InvokeReplayCommandAsync("pauseReplay");
+
+    /// <summary>
+    /// Continues a paused replay.
+    /// </summary>
+    public Task<bool> ResumeReplayAsync() => InvokeReplayCommandAsync("resumeReplay");
+
+    /// <summary>
+    /// Ends the replay and returns to the live map.
+    /// </summary>
+    public Task<bool> StopReplayAsync() => InvokeReplayCommandAsync("stopReplay");
+
+    /// <summary>
+    /// Shows the map as it was at <paramref name="time"/>, or the live map when null. No markers are re-sent.
+    /// </summary>
+    public Task<bool> SetTimeCursorAsync(DateTimeOffset? time) =>
+        InvokeReplayCommandAsync("setTimeCursor", time?.ToUnixTimeMilliseconds());
+
+    private async Task<bool> InvokeReplayCommandAsync(string identifier, params object?[] args)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            return await mapModule.InvokeAsync<bool>(identifier, [mapElementId, .. args]);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error invoking {identifier}: {ex.Message}");
+            return false;
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnReplayStatusChanged(bool isActive, bool isPlaying, double? cursorMs)
+    {
+        IsReplayActive = isActive;
+        IsReplayPlaying = isActive && isPlaying;
+        ReplayCursor = cursorMs.HasValue ? DateTimeOffset.FromUnixTimeMilliseconds((long)cursorMs.Value) : null;
+        await InvokeAsync(StateHasChanged);
+    }
+
+    [JSInvokable]
+    public async Task OnTourStatusChanged(bool isActive, int currentIndex, int totalLocations, bool isPaused)
+    {
+        try
+        {
+            IsTourPaused = isActive && isPaused;
+            CurrentTourStop = isActive ? currentIndex : 0;
+            TourStopCount = isActive ? totalLocations : 0;
+
+            if (isActive && currentIndex > 0)
+            {
+                // Check if using external tour groups or internal clusters
+                if (externalTourGroups.Count > 0 && currentIndex <= externalTourGroups.Count)
+                {
+                    var currentGroup = externalTourGroups[currentIndex - 1];
+                    CurrentTourLocation = new ViewerLocationEvent(
+                        (decimal)Math.Round(currentGroup.CenterLatitude, 6),
+                        (decimal)Math.Round(currentGroup.CenterLongitude, 6),
+                        currentGroup.RegionName)
+                    {
+                        Id = Guid.NewGuid()
+                    };
+                }
+                else if (tourClusters.Count > 0 && currentIndex <= tourClusters.Count)
+                {
+                    var currentCluster = tourClusters[currentIndex - 1];
+                    CurrentTourLocation = new ViewerLocationEvent(
+                        (decimal)Math.Round(currentCluster.CenterLatitude, 6),
+                        (decimal)Math.Round(currentCluster.CenterLongitude, 6),
+                        TourService.GetLocationDescription(currentCluster))
+                    {
+                        Id = Guid.NewGuid()
+                    };
+                }
+                else
+                {
+                    CurrentTourLocation = null;
+                }
+            }
+            else
+            {
+                CurrentTourLocation = null;
+            }
+
+            if (IsTourActive != isActive)
+            {
+                IsTourActive = isActive;
+                if (!IsTourActive)
+                {
+                    await ProcessPendingLocations();
+                }
+                await InvokeAsync(StateHasChanged);
+            }
+            else if (IsTourActive)
+            {
+                await InvokeAsync(StateHasChanged);
+            }
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"ERROR in OnTourStatusChanged: {ex.Message}");
+        }
+    }
+
+    private bool IsValidLocation(ViewerLocationEvent location)
+    {
+        if (location.Equals(ViewerLocationEvent.Unknown)) return false;
+        if (location.Latitude == 0 && location.Longitude == 0) return false;
+        if (Math.Abs((double)location.Latitude) < 1.0 && Math.Abs((double)location.Longitude) < 1.0) return false;
+        if (Math.Abs((double)location.Latitude) > 90 || Math.Abs((double)location.Longitude) > 180) return false;
+        return true;
+    }
+
+    // AggregateLocation helper class for marker aggregation
+    private class AggregateLocation
+    {
+        public string MarkerId { get; }
+        public double Lat { get; }
+        public double Lng { get; }
+        public List<ViewerLocationEvent> Locations { get; }
+
+        // When any viewer at this location was last seen - drives marker aging in the map
+        public DateTime LastSeen => Locations.Count > 0 ? Locations.Max(l => l.Timestamp) : DateTime.UtcNow;
+
+        public AggregateLocation(string markerId, double lat, double lng)
+        {
+            MarkerId = markerId;
+            Lat = lat;
+            Lng = lng;
+            Locations = new List<ViewerLocationEvent>();
+        }
+    }
+
+    public async Task AddMarkerAsync(ViewerLocationEvent location)
+    {
+        await PlotLocation(location);
+        await InvokeAsync(StateHasChanged);
+    }
+
+    public async Task ClearAllMarkersAsync()
+    {
+        if (!mapInitialized || mapModule == null) return;
+
+        try
+        {
+            await mapModule.InvokeVoidAsync("clearMarkers", mapElementId);
+            TourLocations.Clear();
+            PendingLocationQueue.Clear();
+            aggregatedMarkers.Clear();
+            locationKeyIndex.Clear();
+            userLocationIndex.Clear();
+            Console.WriteLine("Cleared all markers");
+            StateHasChanged();
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error clearing markers: {ex.Message}");
+        }
+    }
+
+    public int GetMarkerCount() => aggregatedMarkers.Sum(a => a.Value.Locations.Count);
+
+    public async Task RemoveMarkerAsync(Guid locationId) => await RemoveLocation(locationId);
+
+    /// <summary>
+    /// Loads many locations at once, sending new markers and the new counts of existing ones to the map in a single interop call.
+    /// Markers the map rejects are removed again and reported through <see cref="OnError"/>.
+    /// </summary>
+    public async Task LoadMarkersAsync(IEnumerable<ViewerLocationEvent> locations)
+    {
+        if (!mapInitialized || mapModule == null) return;
+
+        try
+        {
+            var validLocations = locations.Where(IsValidLocation).ToList();
+
+            if (validLocations.Count > 500)
+            {
+                validLocations = validLocations.Take(500).ToList();
+            }
+
+            // During tour, queue instead of immediate plot
+            if (IsTourActive)
+            {
+                foreach (var location in validLocations)
+                {
+                    PendingLocationQueue.Enqueue(location);
+                }
+                StateHasChanged();
+                return;
+            }
+
+            var newAggregates = new List<AggregateLocation>();
+            var updatedAggregates = new List<AggregateLocation>();
+            var plottedLocations = new List<ViewerLocationEvent>();
+
+            foreach (var location in validLocations)
+            {
+                // Same duplicate rules as PlotLocation - by UserId first, then by location ID
+                if (!string.IsNullOrEmpty(location.UserId) && userLocationIndex.ContainsKey(location.UserId)) continue;
+                if (locationKeyIndex.ContainsKey(location.Id)) continue;
+
+                var (aggregate, isNewMarker) = TrackLocation(location);
+                if (isNewMarker)
+                {
+                    newAggregates.Add(aggregate);
+                }
+                else if (!newAggregates.Contains(aggregate) && !updatedAggregates.Contains(aggregate))
+                {
+                    updatedAggregates.Add(aggregate);
+                }
+                plottedLocations.Add(location);
+            }
+
+            // New markers and updated counts go to the map in one call
+            if (newAggregates.Count > 0 || updatedAggregates.Count > 0)
+            {
+                var records = newAggregates.Concat(updatedAggregates).Select(aggregate =>
+                {
+                    var first = aggregate.Locations.First();
+                    return new
+                    {
+                        id = aggregate.MarkerId,
+                        lat = Math.Round((double)first.Latitude, 6),
+                        lng = Math.Round((double)first.Longitude, 6),
+                        userType = first.UserType,
+                        description = Truncate(first.LocationDescription, 100),
+                        service = NormalizeService(first.Service),
+                        count = aggregate.Locations.Count,
+                        popupContent = aggregate.Locations.Count > 1 ? BuildAggregatedPopupContent(aggregate) : null,
+                        popupTrusted = aggregate.Locations.Count > 1,
+                        timestamp = ToUnixMilliseconds(first.Timestamp),
+                        lastSeen = ToUnixMilliseconds(aggregate.LastSeen)
+                    };
+                }).ToArray();
+
+                var result = await mapModule.InvokeAsync<MarkerBatchResult>("addMarkers", mapElementId, (object)records);
+
+                if (result.Rejected.Count > 0)
+                {
+                    var rejectedIds = result.Rejected.Select(r => r.Id).ToHashSet();
+                    foreach (var aggregate in newAggregates.Where(a => rejectedIds.Contains(a.MarkerId)).ToList())
+                    {
+                        UntrackAggregate(aggregate);
+                        newAggregates.Remove(aggregate);
+                        plottedLocations.RemoveAll(l => aggregate.Locations.Contains(l));
+                    }
+
+                    var reasons = string.Join("; ", result.Rejected.Select(r => $"{r.Id}: {r.Reason}"));
+                    Console.WriteLine($"Map rejected {result.Rejected.Count} marker(s): {reasons}");
+                    await OnError.InvokeAsync($"Map rejected {result.Rejected.Count} marker(s): {reasons}");
+                }
+            }
+
+            foreach (var location in plottedLocations)
+            {
+                await OnLocationPlotted.InvokeAsync(location);
+            }
+
+            if (EnablePinAnnouncements)
+            {
+                foreach (var aggregate in newAggregates)
+                {
+                    await QueuePinAnnouncementAsync(aggregate.Locations.First());
+                }
+            }
+
+            StateHasChanged();
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"ERROR loading locations: {ex.Message}");
+        }
+    }
+
+    public async Task ZoomToLocationAsync(double latitude, double longitude, MapZoomLevel zoomLevel = MapZoomLevel.StateView)
+    {
+        if (!mapInitialized || mapModule == null) return;
+        try
+        {
+            await mapModule.InvokeVoidAsync("zoomToLocation", mapElementId, latitude, longitude, (int)zoomLevel);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error zooming to location: {ex.Message}");
+        }
+    }
+
+    public async Task SetZoomLevelAsync(MapZoomLevel zoomLevel)
+    {
+        if (!mapInitialized || mapModule == null) return;
+        try
+        {
+            await mapModule.InvokeVoidAsync("setZoom", mapElementId, (int)zoomLevel);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting zoom level: {ex.Message}");
+        }
+    }
+
+    public async Task<int> GetMaxZoomAsync()
+    {
+        if (!mapInitialized || mapModule == null) return MaxZoom;
+        try
+        {
+            return await mapModule.InvokeAsync<int>("getMaxZoom", mapElementId);
+        }
+        catch
+        {
+            return MaxZoom;
+        }
+    }
+
+    public async Task<bool> SetMaxZoomAsync(int maxZoom)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setMaxZoom", mapElementId, maxZoom);
+            if (result) MaxZoom = maxZoom;
+            return result;
+        }
+        catch
+        {
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Switches between individual pins, clusters and the density heatmap without resending markers.
+    /// </summary>
+    public async Task<bool> SetDisplayModeAsync(MapDisplayMode mode)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setDisplayMode", mapElementId, mode.ToString().ToLowerInvariant());
+            if (result)
+            {
+                displayMode.Value = mode;
+                StateHasChanged();
+            }
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting display mode: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Shows only the stored markers matching <paramref name="filter"/>; pass null to show all of them.
+    /// Markers, clusters, the heatmap and the tour overlay update without re-sending any markers.
+    /// </summary>
+    public async Task<bool> SetMarkerFilterAsync(MarkerFilter? filter)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setMarkerFilter", mapElementId, filter);
+            if (result) CurrentMarkerFilter = filter;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting marker filter: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Removes the marker filter so every stored marker is shown again.
+    /// </summary>
+    public Task<bool> ClearMarkerFilterAsync() => SetMarkerFilterAsync(null);
+
+    /// <summary>
+    /// The filter last applied with <see cref="SetMarkerFilterAsync"/>, or null when all markers are shown.
+    /// </summary>
+    public MarkerFilter? CurrentMarkerFilter { get; private set; }
+
+    /// <summary>
+    /// Changes marker aging at runtime; pass null to stop markers aging and show them all at full opacity.
+    /// </summary>
+    public async Task<bool> SetMarkerAgingAsync(MarkerAgingOptions? aging)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setAgingOptions", mapElementId, aging ?? new MarkerAgingOptions { Enabled = false });
+            if (result) markerAging.Value = aging;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting marker aging: {ex.Message}");
+            return false;
+        }
+    }
+
+    // Whether the map is running as a streaming overlay - hides the component's own controls
+    private bool OverlayMode => overlay.Value?.Enabled == true;
+
+    /// <summary>
+    /// Switches streaming overlay mode on, off (null) or to different options at runtime.
+    /// </summary>
+    public async Task<bool> SetOverlayAsync(OverlayOptions? overlay)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setOverlayOptions", mapElementId, overlay ?? new OverlayOptions { Enabled = false });
+            if (result)
+            {
+                this.overlay.Value = overlay;
+                StateHasChanged();
+            }
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting overlay mode: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Zooms and pans so every marker that passes the current filter is in view.
+    /// </summary>
+    public async Task<bool> FitToMarkersAsync()
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            return await mapModule.InvokeAsync<bool>("fitToMarkers", mapElementId);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error fitting markers: {ex.Message}");
+            return false;
+        }
+    }
+
+    // Container class that lets CSS follow reduced motion when it overrides the system setting
+    private string? MotionClass => reducedMotion.Value switch
+    {
+        true => "reduced-motion",
+        false => "full-motion",
+        null => null
+    };
+
+    /// <summary>
+    /// Forces reduced motion on or off at runtime, or returns to the viewer's system setting with null.
+    /// </summary>
+    public async Task<bool> SetReducedMotionAsync(bool? reducedMotion)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setReducedMotion", mapElementId, reducedMotion);
+            if (result)
+            {
+                this.reducedMotion.Value = reducedMotion;
+                StateHasChanged();
+            }
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting reduced motion: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Changes screen reader announcements, keyboard navigation and the map's accessible label at runtime.
+    /// </summary>
+    public async Task<bool> SetAccessibilityAsync(MapAccessibilityOptions options)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setAccessibilityOptions", mapElementId, options);
+            if (result) accessibility.Value = options;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting accessibility options: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Changes the arrival arcs drawn for new viewers at runtime; null switches them off.
+    /// </summary>
+    public async Task<bool> SetArrivalArcsAsync(ArrivalArcOptions? arrivalArcs)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setArrivalArcOptions", mapElementId, arrivalArcs ?? new ArrivalArcOptions { Enabled = false });
+            if (result) this.arrivalArcs.Value = arrivalArcs;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting arrival arcs: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Called by the map when markers pass <see cref="MarkerAgingOptions.TimeToLive"/>; the map has already removed them.
+    /// </summary>
+    [JSInvokable]
+    public async Task OnMarkersExpired(string[] markerIds)
+    {
+        var expiredIds = markerIds.ToHashSet();
+        var expired = aggregatedMarkers.Values.Where(a => expiredIds.Contains(a.MarkerId)).ToList();
+
+        foreach (var aggregate in expired)
+        {
+            var locationIds = aggregate.Locations.Select(l => l.Id).ToList();
+            UntrackAggregate(aggregate);
+
+            foreach (var locationId in locationIds)
+            {
+                await OnLocationRemoved.InvokeAsync(locationId);
+            }
+        }
+
+        Console.WriteLine($"Map expired {markerIds.Length} marker(s), dropped {expired.Count} aggregate(s)");
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// Shows, hides or reconfigures the on-map legend; pass null to remove it.
+    /// </summary>
+    public async Task<bool> SetLegendAsync(LegendOptions? legend)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setLegendOptions", mapElementId, legend ?? new LegendOptions { Enabled = false });
+            if (result) this.legend.Value = legend;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting legend: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Restyles cluster icons at runtime; existing clusters are redrawn.
+    /// </summary>
+    public async Task<bool> SetClusterStyleAsync(ClusterStyleOptions style)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setClusterStyle", mapElementId, style);
+            if (result) clusterStyle.Value = style;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting cluster style: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Switches the basemap at runtime, e.g. to a dark style for night streams or to offline tiles.
+    /// </summary>
+    public async Task<bool> SetTileProviderAsync(TileProviderOptions provider)
+    {
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            var result = await mapModule.InvokeAsync<bool>("setTileProvider", mapElementId, provider);
+            if (result) tileProvider.Value = provider;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting tile provider: {ex.Message}");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Changes the celebration queue's limits at runtime; celebrations already queued beyond a lower limit are dropped.
+    /// </summary>
+    public async Task<bool> SetCelebrationQueueAsync(CelebrationQueueOptions options)
     {
-        if (!mapInitialized || mapModule == null) return;
-
-        IsTourActive = false;
-        CurrentTourLocation = null;
-        await mapModule.InvokeVoidAsync("stopTour");
-        await ProcessPendingLocations();
-
-        // Resume announcement processing if queue has items
-        if (announcementQueue.Count > 0 && !isAnnouncementActive && !isUserNavigating)
+        if (!mapInitialized || mapModule == null) return false;
+        try
         {
-            _ = ProcessAnnouncementQueueAsync();
+            var result = await mapModule.InvokeAsync<bool>("setCelebrationQueueOptions", mapElementId, options);
+            if (result) celebrationQueue.Value = options;
+            return result;
         }
-
-        StateHasChanged();
-    }
-
-    private async Task ProcessPendingLocations()
-    {
-        while (PendingLocationQueue.TryDequeue(out var location))
+        catch (Exception ex)
         {
-            await PlotLocation(location);
+            Console.WriteLine($"Error setting celebration queue options: {ex.Message}");
+            return false;
         }
     }
 
-    [JSInvokable]
-    public async Task OnTourStatusChanged(bool isActive, int currentIndex, int totalLocations)
+    /// <summary>
+    /// Changes how pin celebrations look for celebrations that start from now on.
+    /// </summary>
+    public async Task<bool> SetCelebrationOptionsAsync(CelebrationOptions options)
     {
+        if (!mapInitialized || mapModule == null) return false;
         try
         {
-            if (isActive && currentIndex > 0)
-            {
-                // Check if using external tour groups or internal clusters
-                if (externalTourGroups.Count > 0 && currentIndex <= externalTourGroups.Count)
-                {
-                    var currentGroup = externalTourGroups[currentIndex - 1];
-                    CurrentTourLocation = new ViewerLocationEvent(
-                        (decimal)Math.Round(currentGroup.CenterLatitude, 6),
-                        (decimal)Math.Round(currentGroup.CenterLongitude, 6),
-                        currentGroup.RegionName)
-                    {
-                        Id = Guid.NewGuid()
-                    };
-                }
-                else if (tourClusters.Count > 0 && currentIndex <= tourClusters.Count)
-                {
-                    var currentCluster = tourClusters[currentIndex - 1];
-                    CurrentTourLocation = new ViewerLocationEvent(
-                        (decimal)Math.Round(currentCluster.CenterLatitude, 6),
-                        (decimal)Math.Round(currentCluster.CenterLongitude, 6),
-                        TourService.GetLocationDescription(currentCluster))
-                    {
-                        Id = Guid.NewGuid()
-                    };
-                }
-                else
-                {
-                    CurrentTourLocation = null;
-                }
-            }
-            else
-            {
-                CurrentTourLocation = null;
-            }
-
-            if (IsTourActive != isActive)
-            {
-                IsTourActive = isActive;
-                if (!IsTourActive)
-                {
-                    await ProcessPendingLocations();
-                }
-                await InvokeAsync(StateHasChanged);
-            }
-            else if (IsTourActive)
-            {
-                await InvokeAsync(StateHasChanged);
-            }
+            var result = await mapModule.InvokeAsync<bool>("setCelebrationOptions", mapElementId, options);
+            if (result) celebration.Value = options;
+            return result;
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"ERROR in OnTourStatusChanged: {ex.Message}");
+            Console.WriteLine($"Error setting celebration options: {ex.Message}");
+            return false;
         }
     }
 
-    private bool IsValidLocation(ViewerLocationEvent location)
+    /// <summary>
+    /// Draws a trace path polyline on the map for the given coordinates.
+    /// This is the path named "trace"; use <see cref="DrawPathAsync"/> to show several paths at once.
+    /// </summary>
+    public async Task DrawTracePathAsync(IReadOnlyList<(decimal Lat, decimal Lng)> path)
     {
-        if (location.Equals(ViewerLocationEvent.Unknown)) return false;
-        if (location.Latitude == 0 && location.Longitude == 0) return false;
-        if (Math.Abs((double)location.Latitude) < 1.0 && Math.Abs((double)location.Longitude) < 1.0) return false;
-        if (Math.Abs((double)location.Latitude) > 90 || Math.Abs((double)location.Longitude) > 180) return false;
-        return true;
+        if (!mapInitialized || mapModule == null) return;
+        try
+        {
+            var coords = path.Select(p => new[] { (double)p.Lat, (double)p.Lng }).ToArray();
+            await mapModule.InvokeVoidAsync("drawTracePath", mapElementId, (object)coords);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error drawing trace path: {ex.Message}");
+        }
     }
 
-    // AggregateLocation helper class for marker aggregation
-    private class AggregateLocation
+    /// <summary>
+    /// Draws a named path through the given waypoints, replacing any path already drawn with that name.
+    /// Paths with different names are shown side by side, each in its own style.
+    /// </summary>
+    /// <param name="name">Name used to replace or remove the path later</param>
+    /// <param name="path">Waypoints in order of travel; with fewer than two, an existing path with this name is only removed</param>
+    /// <param name="style">Line style and drawing options, or null for the defaults</param>
+    /// <returns>True if the path was drawn</returns>
+    public async Task<bool> DrawPathAsync(string name, IReadOnlyList<(decimal Lat, decimal Lng)> path, PathStyle? style = null)
     {
-        public string MarkerId { get; }
-        public double Lat { get; }
-        public double Lng { get; }
-        public List<ViewerLocationEvent> Locations { get; }
-
-        public AggregateLocation(string markerId, double lat, double lng)
+        if (!mapInitialized || mapModule == null) return false;
+        try
         {
-            MarkerId = markerId;
-            Lat = lat;
-            Lng = lng;
-            Locations = new List<ViewerLocationEvent>();
+            var coords = path.Select(p => new[] { (double)p.Lat, (double)p.Lng }).ToArray();
+            return await mapModule.InvokeAsync<bool>("drawPath", mapElementId, name, coords, style ?? new PathStyle());
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error drawing path '{name}': {ex.Message}");
+            return false;
         }
     }
 
-    public async Task AddMarkerAsync(ViewerLocationEvent location)
+    /// <summary>
+    /// Removes the path drawn with the given name.
+    /// </summary>
+    /// <returns>True if a path with that name was removed</returns>
+    public async Task<bool> RemovePathAsync(string name)
     {
-        await PlotLocation(location);
-        await InvokeAsync(StateHasChanged);
+        if (!mapInitialized || mapModule == null) return false;
+        try
+        {
+            return await mapModule.InvokeAsync<bool>("removePath", mapElementId, name);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error removing path '{name}': {ex.Message}");
+            return false;
+        }
     }
 
-    public async Task ClearAllMarkersAsync()
+    /// <summary>
+    /// Removes every path from the map, including the trace path.
+    /// </summary>
+    public async Task<bool> ClearPathsAsync()
     {
-        if (!mapInitialized || mapModule == null) return;
-
+        if (!mapInitialized || mapModule == null) return false;
         try
         {
-            await mapModule.InvokeVoidAsync("clearMarkers");
-            TourLocations.Clear();
-            PendingLocationQueue.Clear();
-            aggregatedMarkers.Clear();
-            locationKeyIndex.Clear();
-            userLocationIndex.Clear();
-            Console.WriteLine("Cleared all markers");
-            StateHasChanged();
+            return await mapModule.InvokeAsync<bool>("clearPaths", mapElementId);
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"Error clearing markers: {ex.Message}");
+            Console.WriteLine($"Error clearing paths: {ex.Message}");
+            return false;
         }
     }
 
-    public int GetMarkerCount() => aggregatedMarkers.Sum(a => a.Value.Locations.Count);
-
-    public async Task RemoveMarkerAsync(Guid locationId) => await RemoveLocation(locationId);
-
-    public async Task LoadMarkersAsync(IEnumerable<ViewerLocationEvent> locations)
+    /// <summary>
+    /// Renders the current map view - tiles, markers, clusters and paths - to a PNG, e.g. for a post-stream social media post.
+    /// Tiles are only included when the tile provider sets <see cref="TileProviderOptions.CrossOrigin"/>, as the built-in presets do.
+    /// On Blazor Server the image may exceed the hub's default message size; raise MaximumReceiveMessageSize
+    /// or use <see cref="DownloadExportAsync"/>, which keeps the image in the browser.
+    /// </summary>
+    /// <returns>A PNG data URL, or null if the map could not be rendered</returns>
+    public async Task<string?> ExportImageAsync(MapImageExportOptions? options = null)
     {
-        if (!mapInitialized || mapModule == null) return;
-
+        if (!mapInitialized || mapModule == null) return null;
         try
         {
-            var validLocations = locations.Where(IsValidLocation).ToList();
-
-            if (validLocations.Count > 500)
-            {
-                validLocations = validLocations.Take(500).ToList();
-            }
-
-            foreach (var location in validLocations)
-            {
-                await PlotLocation(location);
-            }
-            StateHasChanged();
+            return await mapModule.InvokeAsync<string?>("exportImage", mapElementId, options ?? new MapImageExportOptions());
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"ERROR loading locations: {ex.Message}");
+            Console.WriteLine($"Error exporting map image: {ex.Message}");
+            return null;
         }
     }
 
-    public async Task ZoomToLocationAsync(double latitude, double longitude, MapZoomLevel zoomLevel = MapZoomLevel.StateView)
+    /// <summary>
+    /// Exports the markers as a GeoJSON FeatureCollection with each marker's viewer count, user type,
+    /// service, description and first/last seen times.
+    /// </summary>
+    /// <param name="visibleOnly">Only include markers that pass the current filter, legend and replay cursor</param>
+    /// <returns>The GeoJSON text, or null if the map isn't ready</returns>
+    public async Task<string?> ExportGeoJsonAsync(bool visibleOnly = false)
     {
-        if (!mapInitialized || mapModule == null) return;
+        if (!mapInitialized || mapModule == null) return null;
         try
         {
-            await mapModule.InvokeVoidAsync("zoomToLocation", latitude, longitude, (int)zoomLevel);
+            return await mapModule.InvokeAsync<string?>("exportGeoJson", mapElementId, visibleOnly);
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"Error zooming to location: {ex.Message}");
+            Console.WriteLine($"Error exporting GeoJSON: {ex.Message}");
+            return null;
         }
     }
 
-    public async Task SetZoomLevelAsync(MapZoomLevel zoomLevel)
+    /// <summary>
+    /// Exports the markers as CSV with the same fields as <see cref="ExportGeoJsonAsync"/>, one row per marker.
+    /// </summary>
+    /// <param name="visibleOnly">Only include markers that pass the current filter, legend and replay cursor</param>
+    /// <returns>The CSV text, or null if the map isn't ready</returns>
+    public async Task<string?> ExportCsvAsync(bool visibleOnly = false)
     {
-        if (!mapInitialized || mapModule == null) return;
+        if (!mapInitialized || mapModule == null) return null;
         try
         {
-            await mapModule.InvokeVoidAsync("setZoom", (int)zoomLevel);
+            return await mapModule.InvokeAsync<string?>("exportCsv", mapElementId, visibleOnly);
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"Error setting zoom level: {ex.Message}");
+            Console.WriteLine($"Error exporting CSV: {ex.Message}");
+            return null;
         }
     }
 
-    public async Task<int> GetMaxZoomAsync()
+    /// <summary>
+    /// Imports locations from a GeoJSON FeatureCollection of Points, such as last month's meetup attendees.
+    /// Imported markers are shown, filtered and exported like live ones but live on the map only: they
+    /// aren't tour stops and don't raise <see cref="OnLocationPlotted"/>.
+    /// </summary>
+    /// <param name="geoJson">The GeoJSON text</param>
+    /// <param name="mapping">Which feature properties become which marker fields, or null for the defaults</param>
+    /// <returns>The number of markers imported and the features rejected, also raised through <see cref="OnGeoJsonImported"/></returns>
+    public async Task<MarkerBatchResult> ImportGeoJsonAsync(string geoJson, GeoJsonImportMapping? mapping = null)
     {
-        if (!mapInitialized || mapModule == null) return MaxZoom;
+        if (!mapInitialized || mapModule == null) return new MarkerBatchResult();
         try
         {
-            return await mapModule.InvokeAsync<int>("getMaxZoom");
+            return await mapModule.InvokeAsync<MarkerBatchResult>("importGeoJson", mapElementId, geoJson, mapping ?? new GeoJsonImportMapping());
         }
-        catch
+        catch (Exception ex)
         {
-            return MaxZoom;
+            Console.WriteLine($"Error importing GeoJSON: {ex.Message}");
+            return new MarkerBatchResult { Rejected = [new RejectedMarker { Reason = ex.Message }] };
         }
     }
 
-    public async Task<bool> SetMaxZoomAsync(int maxZoom)
+    /// <summary>
+    /// Called by the map when a marker or cluster is clicked, hovered or opens its popup.
+    /// Only events with a handler attached when the map initialized are sent.
+    /// </summary>
+    /// <param name="eventType">markerClick, markerHover, popupOpen or clusterClick</param>
+    /// <param name="args">The markers involved, their position and viewer count</param>
+    [JSInvokable]
+    public async Task OnMapMarkerEvent(string eventType, MapMarkerEventArgs args)
     {
-        if (!mapInitialized || mapModule == null) return false;
-        try
+        var callback = eventType switch
         {
-            var result = await mapModule.InvokeAsync<bool>("setMaxZoom", maxZoom);
-            if (result) MaxZoom = maxZoom;
-            return result;
-        }
-        catch
+            "markerClick" => OnMarkerClick,
+            "markerHover" => OnMarkerHover,
+            "popupOpen" => OnMarkerPopupOpen,
+            "clusterClick" => OnClusterClick,
+            _ => default
+        };
+        if (!callback.HasDelegate) return;
+
+        var markerIds = args.MarkerIds.ToHashSet();
+        args.IsCluster = eventType == "clusterClick";
+        args.Locations = aggregatedMarkers.Values
+            .Where(aggregate => markerIds.Contains(aggregate.MarkerId))
+            .SelectMany(aggregate => aggregate.Locations)
+            .ToList();
+
+        await callback.InvokeAsync(args);
+    }
+
+    /// <summary>
+    /// Called by the map after a GeoJSON import, however it was started.
+    /// </summary>
+    [JSInvokable]
+    public async Task OnMarkersImported(MarkerBatchResult result)
+    {
+        if (result.Rejected.Count > 0)
         {
-            return false;
+            var reasons = string.Join("; ", result.Rejected.Select(r => r.Index.HasValue ? $"feature {r.Index}: {r.Reason}" : r.Reason));
+            Console.WriteLine($"GeoJSON import rejected {result.Rejected.Count} feature(s): {reasons}");
+            await OnError.InvokeAsync($"GeoJSON import rejected {result.Rejected.Count} feature(s): {reasons}");
         }
+
+        await OnGeoJsonImported.InvokeAsync(result);
+        await InvokeAsync(StateHasChanged);
     }
 
     /// <summary>
-    /// Draws a trace path polyline on the map for the given coordinates.
+    /// Offers the map as a file download in the browser.
     /// </summary>
-    public async Task DrawTracePathAsync(IReadOnlyList<(decimal Lat, decimal Lng)> path)
+    /// <param name="format">PNG image of the current view, or the markers as GeoJSON or CSV</param>
+    /// <param name="fileName">Name of the downloaded file; defaults to one with today's date</param>
+    /// <param name="imageOptions">How the image is rendered, for <see cref="MapExportFormat.Png"/></param>
+    /// <param name="visibleOnly">Only include markers that pass the current filter, for GeoJSON and CSV</param>
+    /// <returns>True if the download was started</returns>
+    public async Task<bool> DownloadExportAsync(MapExportFormat format, string? fileName = null, MapImageExportOptions? imageOptions = null, bool visibleOnly = false)
     {
-        if (!mapInitialized || mapModule == null) return;
+        if (!mapInitialized || mapModule == null) return false;
         try
         {
-            var coords = path.Select(p => new[] { (double)p.Lat, (double)p.Lng }).ToArray();
-            await mapModule.InvokeVoidAsync("drawTracePath", (object)coords);
+            object options = format == MapExportFormat.Png
+                ? imageOptions ?? new MapImageExportOptions()
+                : new { visibleOnly };
+            return await mapModule.InvokeAsync<bool>("downloadExport", mapElementId, format.ToString().ToLowerInvariant(), fileName, options);
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"Error drawing trace path: {ex.Message}");
+            Console.WriteLine($"Error downloading {format} export: {ex.Message}");
+            return false;
         }
     }
 
@@ -795,45 +1836,57 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
             if (aggregate.Locations.Count == 0)
             {
                 // Remove marker completely
-                await mapModule.InvokeVoidAsync("removeMarker", aggregate.MarkerId);
+                await mapModule.InvokeVoidAsync("removeMarker", mapElementId, aggregate.MarkerId);
                 aggregatedMarkers.Remove(key);
             }
             else
             {
                 // Update existing aggregated marker with new count
                 var popupContent = BuildAggregatedPopupContent(aggregate);
-                await mapModule.InvokeVoidAsync("updateAggregatedMarker",
+                await mapModule.InvokeVoidAsync("updateAggregatedMarker", mapElementId,
                   aggregate.MarkerId,
                  aggregate.Locations.Count,
-          popupContent);
+          popupContent,
+                 true,
+                 ToUnixMilliseconds(aggregate.LastSeen));
             }
         }
         else
         {
             // Fallback if not found in aggregation (legacy or mismatch)
-            await mapModule.InvokeVoidAsync("removeMarker", locationId.ToString());
+            await mapModule.InvokeVoidAsync("removeMarker", mapElementId, locationId.ToString());
         }
 
         await OnLocationRemoved.InvokeAsync(locationId);
     }
 
+    // Popup HTML for an aggregated marker - sent to the map as trusted, so every chat-supplied value is encoded
     private string BuildAggregatedPopupContent(AggregateLocation aggregate)
     {
         var count = aggregate.Locations.Count;
         // Show up to 5 distinct (service + userType) samples
         var serviceSummary = aggregate.Locations
             .GroupBy(l => l.Service)
-            .Select(g => $"{g.Key}:{g.Count()}")
+            .Select(g => $"{WebUtility.HtmlEncode(g.Key)}:{g.Count()}")
             .Take(3);
 
         var userTypeSummary = aggregate.Locations
             .GroupBy(l => l.UserType)
             .OrderByDescending(g => g.Count())
-            .Select(g => $"{g.Key}:{g.Count()}")
+            .Select(g => $"{WebUtility.HtmlEncode(g.Key)}:{g.Count()}")
             .Take(5);
 
         var firstDescription = aggregate.Locations.First().LocationDescription;
-        return $"{Truncate(firstDescription, 60)}<br/>Viewers: {count}<br/>Services: {string.Join(", ", serviceSummary)}<br/>Roles: {string.Join(", ", userTypeSummary)}";
+        return $"{WebUtility.HtmlEncode(Truncate(firstDescription, 60))}<br/>Viewers: {count}<br/>Services: {string.Join(", ", serviceSummary)}<br/>Roles: {string.Join(", ", userTypeSummary)}";
+    }
+
+    // Timestamps cross to JavaScript as epoch milliseconds; unspecified kinds are treated as UTC
+    private static long ToUnixMilliseconds(DateTime timestamp)
+    {
+        var utc = timestamp.Kind == DateTimeKind.Local
+            ? timestamp.ToUniversalTime()
+            : DateTime.SpecifyKind(timestamp, DateTimeKind.Utc);
+        return new DateTimeOffset(utc).ToUnixTimeMilliseconds();
     }
 
     private string Truncate(string? text, int max)
@@ -848,6 +1901,10 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
         {
             ViewerLocationService.LocationPlotted -= OnNewLocationFromService;
             ViewerLocationService.LocationRemoved -= OnLocationRemovedFromService;
+            if (IconProvider is IObservableMapIconProvider observableIconProvider)
+            {
+                observableIconProvider.IconsChanged -= OnIconProviderChanged;
+            }
 
             navigationDebounceTimer?.Dispose();
             navigationDebounceTimer = null;
@@ -857,7 +1914,7 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
 
             if (mapModule != null)
             {
-                try { await mapModule.InvokeVoidAsync("dispose"); } catch { }
+                try { await mapModule.InvokeVoidAsync("dispose", mapElementId); } catch { }
                 try { await mapModule.DisposeAsync(); } catch { }
             }
 
@@ -868,7 +1925,6 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
             aggregatedMarkers.Clear();
             locationKeyIndex.Clear();
             userLocationIndex.Clear();
-            announcementQueue.Clear();
         }
         catch (Exception ex)
         {
@@ -908,6 +1964,78 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
     [Inject]
     public IMapIconProvider? IconProvider { get; set; }
 
+    // User types and services the map knows icons for - pushed to JavaScript as one icon map
+    private static readonly string[] KnownUserTypes = ["broadcaster", "moderator", "subscriber", "vip", "user"];
+    private static readonly string[] KnownServices = ["Twitch", "YouTube", "Kick"];
+
+    // Canonical spelling of a known service name; other services pass through unchanged
+    private static string NormalizeService(string? service)
+    {
+        if (string.IsNullOrWhiteSpace(service)) return "Unknown";
+
+        var trimmed = service.Trim();
+        return KnownServices.FirstOrDefault(known => known.Equals(trimmed, StringComparison.OrdinalIgnoreCase)) ?? trimmed;
+    }
+
+    /// <summary>
+    /// Drops the map's cached icon URLs and pushes a fresh icon map from <see cref="IconProvider"/>.
+    /// Call this after changing the icon provider or the icons it returns.
+    /// </summary>
+    public async Task RefreshIconsAsync()
+    {
+        if (!mapInitialized || mapModule == null) return;
+        try
+        {
+            // Markers are redrawn once - by the new icon map, or by dropping the cache when there is none
+            var entries = GetIconMapEntries();
+            await mapModule.InvokeVoidAsync("invalidateIconCache", mapElementId, entries.Count == 0);
+            if (entries.Count > 0)
+            {
+                await mapModule.InvokeVoidAsync("setIconMap", mapElementId, entries);
+            }
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error refreshing icons: {ex.Message}");
+        }
+    }
+
+    // Resolve every known (userType, service) pair once and send them to the map's icon cache
+    private async Task PushIconMapAsync()
+    {
+        if (mapModule == null) return;
+
+        var entries = GetIconMapEntries();
+        if (entries.Count > 0)
+        {
+            await mapModule.InvokeVoidAsync("setIconMap", mapElementId, entries);
+        }
+    }
+
+    private List<object> GetIconMapEntries()
+    {
+        var entries = new List<object>();
+        if (IconProvider == null) return entries;
+
+        foreach (var userType in KnownUserTypes)
+        {
+            foreach (var service in KnownServices)
+            {
+                var url = IconProvider.GetIconUrl(userType, service);
+                if (!string.IsNullOrEmpty(url))
+                {
+                    entries.Add(new { userType, service, url });
+                }
+            }
+        }
+        return entries;
+    }
+
+    private async void OnIconProviderChanged(object? sender, EventArgs e)
+    {
+        await InvokeAsync(RefreshIconsAsync);
+    }
+
     /// <summary>
     /// Callback method invoked from JavaScript to get the icon URL for a marker
     /// </summary>
@@ -946,6 +2074,13 @@ public partial class ChatterMapDirect : ComponentBase, IAsyncDisposable
 
 }
 
+public enum MapDisplayMode
+{
+    Pins,
+    Clusters,
+    Heatmap
+}
+
 public enum MapZoomLevel
 {
     WorldView = 1,
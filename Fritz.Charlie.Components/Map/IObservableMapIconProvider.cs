@@ -0,0 +1,12 @@
+namespace Fritz.Charlie.Components.Map;
+
+/// <summary>
+/// An icon provider that announces when its icons change, so maps can drop their cached icon URLs
+/// </summary>
+public interface IObservableMapIconProvider : IMapIconProvider
+{
+    /// <summary>
+    /// Raised when the URLs returned by <see cref="IMapIconProvider.GetIconUrl"/> may have changed
+    /// </summary>
+    event EventHandler? IconsChanged;
+}
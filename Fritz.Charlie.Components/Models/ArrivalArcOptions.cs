@@ -0,0 +1,118 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// A "hello from afar" effect: when a new viewer's marker appears, a curved arc is drawn from the
+/// broadcaster's home location to the pin and fades out a few seconds later. Arcs only start once the
+/// initial markers have loaded, and bursts of arrivals are thinned out so the map stays readable.
+/// Arcs are independent of pin announcements.
+/// </summary>
+public class ArrivalArcOptions
+{
+	/// <summary>
+	/// Whether arcs are drawn at all.
+	/// </summary>
+	public bool Enabled { get; set; } = true;
+
+	/// <summary>
+	/// Latitude of the broadcaster's home location, where every arc starts. No arcs are drawn until both coordinates are set.
+	/// </summary>
+	[JsonPropertyName("homeLat")]
+	public double? HomeLatitude { get; set; }
+
+	/// <summary>
+	/// Longitude of the broadcaster's home location, where every arc starts.
+	/// </summary>
+	[JsonPropertyName("homeLng")]
+	public double? HomeLongitude { get; set; }
+
+	/// <summary>
+	/// CSS colour of the arcs. Null uses the colour of the viewer's service from <see cref="CelebrationOptions"/>.
+	/// </summary>
+	public string? Color { get; set; }
+
+	/// <summary>
+	/// Line width in pixels.
+	/// </summary>
+	public double Weight { get; set; } = 2;
+
+	/// <summary>
+	/// SVG dash pattern, e.g. "8, 12". Null draws a solid line.
+	/// </summary>
+	public string? DashArray { get; set; }
+
+	/// <summary>
+	/// Opacity of a fully drawn arc, from 0 to 1.
+	/// </summary>
+	public double Opacity { get; set; } = 0.9;
+
+	/// <summary>
+	/// How far the arc bows out to the side, as a fraction of its length. 0 draws a straight line.
+	/// </summary>
+	public double Curvature { get; set; } = 0.25;
+
+	/// <summary>
+	/// How long the arc takes to reach the viewer's pin.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan DrawDuration { get; set; } = TimeSpan.FromSeconds(1.2);
+
+	/// <summary>
+	/// How long the finished arc stays fully visible before fading.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan HoldDuration { get; set; } = TimeSpan.FromSeconds(3);
+
+	/// <summary>
+	/// How long the arc takes to fade out.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan FadeDuration { get; set; } = TimeSpan.FromSeconds(1);
+
+	/// <summary>
+	/// Shortest gap between two arcs. Viewers arriving sooner than this after the last arc get none.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan MinInterval { get; set; } = TimeSpan.FromMilliseconds(500);
+
+	/// <summary>
+	/// Most arcs on screen at once. Further arrivals get no arc until one has faded.
+	/// </summary>
+	public int MaxActive { get; set; } = 4;
+
+	/// <summary>
+	/// <see cref="DrawDuration"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("drawMs")]
+	public double DrawMs => DrawDuration.TotalMilliseconds;
+
+	/// <summary>
+	/// <see cref="HoldDuration"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("holdMs")]
+	public double HoldMs => HoldDuration.TotalMilliseconds;
+
+	/// <summary>
+	/// <see cref="FadeDuration"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("fadeMs")]
+	public double FadeMs => FadeDuration.TotalMilliseconds;
+
+	/// <summary>
+	/// <see cref="MinInterval"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("minIntervalMs")]
+	public double MinIntervalMs => MinInterval.TotalMilliseconds;
+
+	/// <summary>
+	/// Arcs from the given home location with the default look.
+	/// </summary>
+	/// <param name="latitude">Latitude of the broadcaster's home location</param>
+	/// <param name="longitude">Longitude of the broadcaster's home location</param>
+	public static ArrivalArcOptions From(double latitude, double longitude) => new()
+	{
+		HomeLatitude = latitude,
+		HomeLongitude = longitude
+	};
+}
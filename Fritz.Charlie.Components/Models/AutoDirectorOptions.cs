@@ -0,0 +1,90 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// An automatic camera for unattended maps: once nobody has panned, zoomed or clicked for
+/// <see cref="IdleTimeout"/>, the map slowly moves between the busiest areas or the newest arrivals.
+/// It hands the camera back as soon as anyone touches the map and waits for tours and celebrations to finish.
+/// </summary>
+public class AutoDirectorOptions
+{
+	/// <summary>
+	/// Whether the director takes over when the map is idle.
+	/// </summary>
+	public bool Enabled { get; set; } = true;
+
+	/// <summary>
+	/// What the camera is pointed at.
+	/// </summary>
+	[JsonConverter(typeof(JsonStringEnumConverter))]
+	public AutoDirectorMode Mode { get; set; } = AutoDirectorMode.Densest;
+
+	/// <summary>
+	/// How long the map has to go without user input before the director takes over.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan IdleTimeout { get; set; } = TimeSpan.FromMinutes(1);
+
+	/// <summary>
+	/// How long the camera stays on each shot once it arrives.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan DwellDuration { get; set; } = TimeSpan.FromSeconds(12);
+
+	/// <summary>
+	/// How long the camera takes to fly between shots. Ignored when reduced motion is on.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan FlightDuration { get; set; } = TimeSpan.FromSeconds(4);
+
+	/// <summary>
+	/// Zoom level of each shot, capped at the map's maximum zoom.
+	/// </summary>
+	public int Zoom { get; set; } = 4;
+
+	/// <summary>
+	/// How many of the busiest areas or newest arrivals are cycled through.
+	/// </summary>
+	public int Shots { get; set; } = 5;
+
+	/// <summary>
+	/// Size in degrees of the areas compared in <see cref="AutoDirectorMode.Densest"/> mode.
+	/// Larger areas group viewers from neighbouring regions together.
+	/// </summary>
+	public double CellSize { get; set; } = 10;
+
+	/// <summary>
+	/// <see cref="IdleTimeout"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("idleMs")]
+	public double IdleMs => IdleTimeout.TotalMilliseconds;
+
+	/// <summary>
+	/// <see cref="DwellDuration"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("dwellMs")]
+	public double DwellMs => DwellDuration.TotalMilliseconds;
+
+	/// <summary>
+	/// <see cref="FlightDuration"/> in seconds, the unit Leaflet's flyTo takes.
+	/// </summary>
+	[JsonPropertyName("flightSeconds")]
+	public double FlightSeconds => FlightDuration.TotalSeconds;
+}
+
+/// <summary>
+/// What an <see cref="AutoDirectorOptions"/> camera is pointed at.
+/// </summary>
+public enum AutoDirectorMode
+{
+	/// <summary>
+	/// Cycles between the areas with the most viewers.
+	/// </summary>
+	Densest,
+
+	/// <summary>
+	/// Follows the viewers who were seen most recently.
+	/// </summary>
+	Newest
+}
@@ -0,0 +1,159 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Controls how a pin celebration looks: where its modal sits, what it shows,
+/// the colours and icons used for each streaming service, and the effect drawn at the pin.
+/// </summary>
+public class CelebrationOptions
+{
+	/// <summary>
+	/// The corner or point of the map the modal is positioned from.
+	/// </summary>
+	[JsonConverter(typeof(JsonStringEnumConverter))]
+	public CelebrationAnchor Anchor { get; set; } = CelebrationAnchor.TopLeft;
+
+	/// <summary>
+	/// Horizontal distance in pixels from the anchored edge, or from the centre/pin.
+	/// </summary>
+	public int OffsetX { get; set; } = 250;
+
+	/// <summary>
+	/// Vertical distance in pixels from the anchored edge, or from the centre/pin.
+	/// </summary>
+	public int OffsetY { get; set; } = 20;
+
+	/// <summary>
+	/// Optional HTML for the modal content. {{title}}, {{dismissText}}, {{description}}, {{service}},
+	/// {{serviceIcon}}, {{serviceColor}}, {{userType}}, {{lat}} and {{lng}} are replaced with HTML-escaped values.
+	/// Any element with a data-celebration-dismiss attribute ends the celebration when clicked.
+	/// </summary>
+	public string? Template { get; set; }
+
+	/// <summary>
+	/// Optional ID of a &lt;template&gt; element on the page to use for the modal content.
+	/// Elements with a data-celebration-field attribute (e.g. data-celebration-field="description")
+	/// have their text set to that field. Takes precedence over <see cref="Template"/>.
+	/// </summary>
+	public string? TemplateId { get; set; }
+
+	/// <summary>
+	/// Heading of the built-in modal.
+	/// </summary>
+	public string? Title { get; set; }
+
+	/// <summary>
+	/// Label of the built-in modal's dismiss button.
+	/// </summary>
+	public string? DismissText { get; set; }
+
+	/// <summary>
+	/// The effect drawn at the pin when the celebration starts.
+	/// </summary>
+	[JsonConverter(typeof(JsonStringEnumConverter))]
+	public CelebrationEffect Effect { get; set; } = CelebrationEffect.Confetti;
+
+	/// <summary>
+	/// Number of confetti pieces in the <see cref="CelebrationEffect.Confetti"/> effect.
+	/// </summary>
+	public int ConfettiCount { get; set; } = 20;
+
+	/// <summary>
+	/// CSS colours the confetti pieces are picked from. Null keeps the default palette.
+	/// </summary>
+	public string[]? ConfettiColors { get; set; }
+
+	/// <summary>
+	/// CSS colour of the ripple ring. Null keeps the default gold.
+	/// </summary>
+	public string? RippleColor { get; set; }
+
+	/// <summary>
+	/// Colours and icons per service name (case-insensitive), merged over the built-in
+	/// Twitch, YouTube and Kick styles.
+	/// </summary>
+	public Dictionary<string, CelebrationServiceStyle>? Services { get; set; }
+}
+
+/// <summary>
+/// The colour and icon a celebration uses for one streaming service.
+/// </summary>
+public class CelebrationServiceStyle
+{
+	/// <summary>
+	/// CSS colour used for the modal accent.
+	/// </summary>
+	public string? Color { get; set; }
+
+	/// <summary>
+	/// Text or emoji shown next to the service name.
+	/// </summary>
+	public string? Icon { get; set; }
+}
+
+/// <summary>
+/// Where a celebration modal is positioned within the map.
+/// </summary>
+public enum CelebrationAnchor
+{
+	/// <summary>
+	/// The top-left corner.
+	/// </summary>
+	[JsonStringEnumMemberName("top-left")]
+	TopLeft,
+
+	/// <summary>
+	/// The top-right corner.
+	/// </summary>
+	[JsonStringEnumMemberName("top-right")]
+	TopRight,
+
+	/// <summary>
+	/// The bottom-left corner.
+	/// </summary>
+	[JsonStringEnumMemberName("bottom-left")]
+	BottomLeft,
+
+	/// <summary>
+	/// The bottom-right corner.
+	/// </summary>
+	[JsonStringEnumMemberName("bottom-right")]
+	BottomRight,
+
+	/// <summary>
+	/// The centre of the map.
+	/// </summary>
+	[JsonStringEnumMemberName("center")]
+	Center,
+
+	/// <summary>
+	/// Next to the celebrated pin.
+	/// </summary>
+	[JsonStringEnumMemberName("marker")]
+	Marker
+}
+
+/// <summary>
+/// The effect drawn at the pin when a celebration starts.
+/// </summary>
+public enum CelebrationEffect
+{
+	/// <summary>
+	/// A confetti burst with a ripple ring.
+	/// </summary>
+	[JsonStringEnumMemberName("confetti")]
+	Confetti,
+
+	/// <summary>
+	/// Only the ripple ring.
+	/// </summary>
+	[JsonStringEnumMemberName("ripple")]
+	Ripple,
+
+	/// <summary>
+	/// No effect.
+	/// </summary>
+	[JsonStringEnumMemberName("none")]
+	None
+}
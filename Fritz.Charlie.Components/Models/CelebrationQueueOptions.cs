@@ -0,0 +1,24 @@
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Controls how the map queues pin celebrations when many new locations arrive at once (e.g. a raid).
+/// Celebrations play one at a time, broadcaster first, then moderators, then subscribers and VIPs, then viewers.
+/// </summary>
+public class CelebrationQueueOptions
+{
+	/// <summary>
+	/// Most celebrations kept waiting. The lowest-priority, most recent ones beyond this are dropped.
+	/// </summary>
+	public int MaxQueueLength { get; set; } = 20;
+
+	/// <summary>
+	/// Once more than this many celebrations are waiting, those from the same region
+	/// are collapsed into a single "N new viewers from X" celebration.
+	/// </summary>
+	public int BurstThreshold { get; set; } = 5;
+
+	/// <summary>
+	/// Holds celebrations until a running tour ends. When false they are dropped while a tour runs.
+	/// </summary>
+	public bool DeferDuringTour { get; set; } = false;
+}
@@ -0,0 +1,125 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Controls how marker clusters are drawn: colour bands by viewer count, icon size,
+/// and an optional donut showing the split of viewers by service or user type.
+/// Null values keep the map's defaults.
+/// </summary>
+public class ClusterStyleOptions
+{
+	/// <summary>
+	/// Ascending viewer counts that separate the colour bands, e.g. [10, 25, 50, 100].
+	/// Band i covers counts below Thresholds[i]; the last band covers everything above.
+	/// </summary>
+	public int[]? Thresholds { get; set; }
+
+	/// <summary>
+	/// CSS colour for each band - one more entry than <see cref="Thresholds"/>.
+	/// A shorter palette repeats its last colour.
+	/// </summary>
+	public string[]? Palette { get; set; }
+
+	/// <summary>
+	/// CSS colour of the viewer count.
+	/// </summary>
+	public string? TextColor { get; set; }
+
+	/// <summary>
+	/// How the icon grows with the viewer count.
+	/// </summary>
+	[JsonConverter(typeof(JsonStringEnumConverter))]
+	public ClusterSizeCurve SizeCurve { get; set; } = ClusterSizeCurve.Bands;
+
+	/// <summary>
+	/// Icon diameter in pixels for each band when <see cref="SizeCurve"/> is <see cref="ClusterSizeCurve.Bands"/>.
+	/// </summary>
+	public int[]? Sizes { get; set; }
+
+	/// <summary>
+	/// Diameter in pixels of a single-viewer cluster for the scaled size curves.
+	/// </summary>
+	public int? MinSize { get; set; }
+
+	/// <summary>
+	/// Diameter in pixels reached at <see cref="MaxSizeCount"/> viewers for the scaled size curves.
+	/// </summary>
+	public int? MaxSize { get; set; }
+
+	/// <summary>
+	/// Viewer count at which the scaled size curves stop growing.
+	/// </summary>
+	public int? MaxSizeCount { get; set; }
+
+	/// <summary>
+	/// Draws a donut around the count splitting the cluster's viewers by this property.
+	/// </summary>
+	[JsonConverter(typeof(JsonStringEnumConverter))]
+	public ClusterBreakdown Breakdown { get; set; } = ClusterBreakdown.None;
+
+	/// <summary>
+	/// Donut colours keyed by service or user type (case-insensitive), merged over the defaults
+	/// for Twitch, YouTube, Kick and the built-in user types.
+	/// </summary>
+	public Dictionary<string, string>? BreakdownColors { get; set; }
+
+	/// <summary>
+	/// Donut colour for services or user types without an entry in <see cref="BreakdownColors"/>.
+	/// </summary>
+	public string? OtherColor { get; set; }
+}
+
+/// <summary>
+/// How a cluster icon's size follows its viewer count.
+/// </summary>
+public enum ClusterSizeCurve
+{
+	/// <summary>
+	/// A fixed size per colour band.
+	/// </summary>
+	[JsonStringEnumMemberName("bands")]
+	Bands,
+
+	/// <summary>
+	/// Proportional to the viewer count.
+	/// </summary>
+	[JsonStringEnumMemberName("linear")]
+	Linear,
+
+	/// <summary>
+	/// Proportional to the square root of the viewer count, so area tracks viewers.
+	/// </summary>
+	[JsonStringEnumMemberName("sqrt")]
+	Sqrt,
+
+	/// <summary>
+	/// Logarithmic, for audiences spanning several orders of magnitude.
+	/// </summary>
+	[JsonStringEnumMemberName("log")]
+	Log
+}
+
+/// <summary>
+/// The property a cluster donut splits viewers by.
+/// </summary>
+public enum ClusterBreakdown
+{
+	/// <summary>
+	/// No donut - only the total count.
+	/// </summary>
+	[JsonStringEnumMemberName("none")]
+	None,
+
+	/// <summary>
+	/// Split by streaming service.
+	/// </summary>
+	[JsonStringEnumMemberName("service")]
+	Service,
+
+	/// <summary>
+	/// Split by user type (broadcaster, moderator, subscriber, VIP, viewer).
+	/// </summary>
+	[JsonStringEnumMemberName("userType")]
+	UserType
+}
@@ -33,6 +33,11 @@ public class ExternalTourGroup
 	/// </summary>
 	public int OptimalZoomLevel { get; set; }
 
+	/// <summary>
+	/// How long the tour stays at this group, in milliseconds. Null uses the map's default dwell time.
+	/// </summary>
+	public int? DwellTimeMs { get; set; }
+
 	/// <summary>
 	/// Number of locations in this group.
 	/// </summary>
@@ -0,0 +1,60 @@
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Which GeoJSON feature properties become which marker fields when importing locations with
+/// <see cref="ChatterMapDirect.ImportGeoJsonAsync"/>. Each field lists property names tried in order;
+/// null keeps the default, which reads back what <see cref="ChatterMapDirect.ExportGeoJsonAsync"/> writes.
+/// </summary>
+public class GeoJsonImportMapping
+{
+	/// <summary>
+	/// Properties holding the marker ID. Defaults to "id", then the feature's own id, then its position in the collection.
+	/// </summary>
+	public string[]? Id { get; set; }
+
+	/// <summary>
+	/// Properties holding the location text shown in the popup. Defaults to "description", then "name".
+	/// </summary>
+	public string[]? Description { get; set; }
+
+	/// <summary>
+	/// Properties holding the user type, e.g. "subscriber". Defaults to "userType".
+	/// </summary>
+	public string[]? UserType { get; set; }
+
+	/// <summary>
+	/// Properties holding the streaming service, e.g. "Twitch". Defaults to "service".
+	/// </summary>
+	public string[]? Service { get; set; }
+
+	/// <summary>
+	/// Properties holding the number of viewers at the location. Defaults to "count"; missing or invalid counts are 1.
+	/// </summary>
+	public string[]? Count { get; set; }
+
+	/// <summary>
+	/// Properties holding when the location first appeared, as a date string or milliseconds since the epoch.
+	/// Defaults to "firstSeen", then "timestamp"; missing times are the time of the import.
+	/// </summary>
+	public string[]? Timestamp { get; set; }
+
+	/// <summary>
+	/// Properties holding when a viewer at the location was last seen. Defaults to "lastSeen".
+	/// </summary>
+	public string[]? LastSeen { get; set; }
+
+	/// <summary>
+	/// Prefix added to every imported marker ID so it can't collide with live viewer locations.
+	/// </summary>
+	public string IdPrefix { get; set; } = "import-";
+
+	/// <summary>
+	/// User type for features that don't have one.
+	/// </summary>
+	public string DefaultUserType { get; set; } = "user";
+
+	/// <summary>
+	/// Service for features that don't have one.
+	/// </summary>
+	public string? DefaultService { get; set; }
+}
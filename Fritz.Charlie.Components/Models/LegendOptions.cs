@@ -0,0 +1,66 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// The on-map legend listing services and user types with their icons and viewer counts.
+/// Clicking an entry hides or shows that category on the map.
+/// </summary>
+public class LegendOptions
+{
+	/// <summary>
+	/// Whether the legend is shown.
+	/// </summary>
+	public bool Enabled { get; set; } = true;
+
+	/// <summary>
+	/// The map corner the legend sits in.
+	/// </summary>
+	[JsonConverter(typeof(JsonStringEnumConverter))]
+	public LegendPosition Position { get; set; } = LegendPosition.BottomRight;
+
+	/// <summary>
+	/// Starts the legend collapsed to its title; viewers can expand it by clicking the title.
+	/// </summary>
+	public bool Collapsed { get; set; } = false;
+
+	/// <summary>
+	/// Title shown at the top of the legend.
+	/// </summary>
+	public string Title { get; set; } = "Viewers";
+
+	/// <summary>
+	/// Explains the cluster colour bands while the map is in cluster mode.
+	/// </summary>
+	public bool ShowClusterColors { get; set; } = true;
+}
+
+/// <summary>
+/// A corner of the map for on-map controls.
+/// </summary>
+public enum LegendPosition
+{
+	/// <summary>
+	/// The top-left corner.
+	/// </summary>
+	[JsonStringEnumMemberName("topleft")]
+	TopLeft,
+
+	/// <summary>
+	/// The top-right corner.
+	/// </summary>
+	[JsonStringEnumMemberName("topright")]
+	TopRight,
+
+	/// <summary>
+	/// The bottom-left corner.
+	/// </summary>
+	[JsonStringEnumMemberName("bottomleft")]
+	BottomLeft,
+
+	/// <summary>
+	/// The bottom-right corner.
+	/// </summary>
+	[JsonStringEnumMemberName("bottomright")]
+	BottomRight
+}
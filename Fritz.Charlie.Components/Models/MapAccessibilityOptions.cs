@@ -0,0 +1,39 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Screen reader announcements and keyboard navigation for the map. New arrivals, celebrations and
+/// tour stops are read out through an ARIA live region, and once a marker has focus the arrow keys
+/// move to the nearest marker or cluster in that direction.
+/// </summary>
+public class MapAccessibilityOptions
+{
+	/// <summary>
+	/// Announces new arrivals, celebrations and tour stops to screen readers.
+	/// </summary>
+	public bool Announcements { get; set; } = true;
+
+	/// <summary>
+	/// Arrivals this close together are announced as one summary instead of one by one.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan ArrivalDebounce { get; set; } = TimeSpan.FromSeconds(2);
+
+	/// <summary>
+	/// Lets keyboard users move between markers and clusters with the arrow keys, Home and End.
+	/// The map is then a single tab stop for its markers instead of one per marker.
+	/// </summary>
+	public bool KeyboardNavigation { get; set; } = true;
+
+	/// <summary>
+	/// Accessible name of the map.
+	/// </summary>
+	public string Label { get; set; } = "Map of where viewers are chatting from";
+
+	/// <summary>
+	/// <see cref="ArrivalDebounce"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("arrivalDebounceMs")]
+	public double ArrivalDebounceMs => ArrivalDebounce.TotalMilliseconds;
+}
@@ -0,0 +1,49 @@
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// How <see cref="ChatterMapDirect.ExportImageAsync"/> renders the current map view to a PNG.
+/// </summary>
+public class MapImageExportOptions
+{
+	/// <summary>
+	/// Banner text across the top of the image, e.g. "Where our chat was from today". No banner when null.
+	/// </summary>
+	public string? Title { get; set; }
+
+	/// <summary>
+	/// Draws the viewer counts per service and user type in the bottom-right corner.
+	/// </summary>
+	public bool Legend { get; set; }
+
+	/// <summary>
+	/// Pixel ratio of the image relative to the map's size on screen, e.g. 2 for a sharper image.
+	/// Null uses the screen's pixel ratio.
+	/// </summary>
+	public double? Scale { get; set; }
+
+	/// <summary>
+	/// CSS colour behind the tiles when the tile provider doesn't set a background colour.
+	/// </summary>
+	public string BackgroundColor { get; set; } = "#ffffff";
+}
+
+/// <summary>
+/// A file format the map can be downloaded as.
+/// </summary>
+public enum MapExportFormat
+{
+	/// <summary>
+	/// An image of the current map view.
+	/// </summary>
+	Png,
+
+	/// <summary>
+	/// The markers as a GeoJSON FeatureCollection of Points.
+	/// </summary>
+	GeoJson,
+
+	/// <summary>
+	/// The markers as comma-separated values, one row per marker.
+	/// </summary>
+	Csv
+}
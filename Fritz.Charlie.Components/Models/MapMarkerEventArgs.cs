@@ -0,0 +1,45 @@
+using System.Text.Json.Serialization;
+using Fritz.Charlie.Common;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// A click, hover or popup opening on a marker, or a click on a cluster of markers.
+/// </summary>
+public class MapMarkerEventArgs
+{
+	/// <summary>
+	/// The marker's ID, or the ID of every marker in the cluster.
+	/// </summary>
+	public string[] MarkerIds { get; set; } = [];
+
+	/// <summary>
+	/// Latitude of the marker, or of the cluster icon.
+	/// </summary>
+	[JsonPropertyName("lat")]
+	public double Latitude { get; set; }
+
+	/// <summary>
+	/// Longitude of the marker, or of the cluster icon.
+	/// </summary>
+	[JsonPropertyName("lng")]
+	public double Longitude { get; set; }
+
+	/// <summary>
+	/// Number of viewers at the marker, or in the whole cluster.
+	/// </summary>
+	public int Count { get; set; }
+
+	/// <summary>
+	/// Whether the event came from a cluster rather than a single marker.
+	/// </summary>
+	[JsonIgnore]
+	public bool IsCluster { get; set; }
+
+	/// <summary>
+	/// The viewer locations behind the marker or cluster, e.g. to show each chatter's profile.
+	/// Markers imported from GeoJSON have no viewer locations.
+	/// </summary>
+	[JsonIgnore]
+	public IReadOnlyList<ViewerLocationEvent> Locations { get; set; } = [];
+}
@@ -0,0 +1,58 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Fades markers whose viewers haven't been seen for a while and optionally removes them
+/// altogether, so a long stream's map shows who is around now. A marker's age resets whenever
+/// another viewer is plotted at its location.
+/// </summary>
+public class MarkerAgingOptions
+{
+	/// <summary>
+	/// Whether markers age at all.
+	/// </summary>
+	public bool Enabled { get; set; } = true;
+
+	/// <summary>
+	/// How long a marker stays fully opaque after its viewers were last seen.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan FadeAfter { get; set; } = TimeSpan.FromMinutes(30);
+
+	/// <summary>
+	/// How long a marker takes to fade from fully opaque to <see cref="MinOpacity"/>.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan FadeDuration { get; set; } = TimeSpan.FromHours(2);
+
+	/// <summary>
+	/// Opacity of a fully faded marker, from 0 (invisible) to 1.
+	/// </summary>
+	public double MinOpacity { get; set; } = 0.35;
+
+	/// <summary>
+	/// Removes markers unseen for longer than this. Their locations are dropped from the
+	/// component and reported through OnLocationRemoved. Null keeps markers indefinitely.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan? TimeToLive { get; set; }
+
+	/// <summary>
+	/// <see cref="FadeAfter"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("fadeAfterMs")]
+	public double FadeAfterMs => FadeAfter.TotalMilliseconds;
+
+	/// <summary>
+	/// <see cref="FadeDuration"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("fadeDurationMs")]
+	public double FadeDurationMs => FadeDuration.TotalMilliseconds;
+
+	/// <summary>
+	/// <see cref="TimeToLive"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("ttlMs")]
+	public double? TimeToLiveMs => TimeToLive?.TotalMilliseconds;
+}
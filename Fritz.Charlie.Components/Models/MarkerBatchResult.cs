@@ -0,0 +1,39 @@
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// The outcome of loading a batch of markers into the map in a single interop call.
+/// </summary>
+public class MarkerBatchResult
+{
+	/// <summary>
+	/// Number of markers that were stored on the map.
+	/// </summary>
+	public int Accepted { get; set; }
+
+	/// <summary>
+	/// Markers the map refused, with the reason for each.
+	/// </summary>
+	public List<RejectedMarker> Rejected { get; set; } = new();
+}
+
+/// <summary>
+/// A marker that failed validation when loaded into the map.
+/// </summary>
+public class RejectedMarker
+{
+	/// <summary>
+	/// The marker ID, or null when the record had none.
+	/// </summary>
+	public string? Id { get; set; }
+
+	/// <summary>
+	/// Position of the feature in an imported GeoJSON FeatureCollection, or null for other batches
+	/// and for problems with the whole collection.
+	/// </summary>
+	public int? Index { get; set; }
+
+	/// <summary>
+	/// Why the marker was rejected.
+	/// </summary>
+	public string Reason { get; set; } = string.Empty;
+}
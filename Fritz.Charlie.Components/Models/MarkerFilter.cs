@@ -0,0 +1,57 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Limits which stored markers the map draws. Markers that don't match stay stored in the map
+/// and reappear as soon as the filter changes. Empty or null criteria match everything.
+/// </summary>
+public class MarkerFilter
+{
+	/// <summary>
+	/// Services to show (case-insensitive), e.g. ["YouTube"].
+	/// </summary>
+	public string[]? Services { get; set; }
+
+	/// <summary>
+	/// User types to show (case-insensitive), e.g. ["subscriber", "vip"].
+	/// </summary>
+	public string[]? UserTypes { get; set; }
+
+	/// <summary>
+	/// Only show markers that first appeared within this span before now. The window keeps rolling while the filter is set.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan? Within { get; set; }
+
+	/// <summary>
+	/// <see cref="Within"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("withinMs")]
+	public double? WithinMs => Within?.TotalMilliseconds;
+
+	/// <summary>
+	/// Only show markers that first appeared at or after this time.
+	/// </summary>
+	public DateTimeOffset? From { get; set; }
+
+	/// <summary>
+	/// Only show markers that first appeared at or before this time.
+	/// </summary>
+	public DateTimeOffset? To { get; set; }
+
+	/// <summary>
+	/// Markers from the given services only.
+	/// </summary>
+	public static MarkerFilter ForServices(params string[] services) => new() { Services = services };
+
+	/// <summary>
+	/// Markers for the given user types only.
+	/// </summary>
+	public static MarkerFilter ForUserTypes(params string[] userTypes) => new() { UserTypes = userTypes };
+
+	/// <summary>
+	/// Markers that first appeared within the last <paramref name="within"/>.
+	/// </summary>
+	public static MarkerFilter Recent(TimeSpan within) => new() { Within = within };
+}
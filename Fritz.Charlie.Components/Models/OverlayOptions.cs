@@ -0,0 +1,78 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Streaming overlay mode for showing the map as an OBS (or similar) browser source: a transparent or
+/// chroma-key background, no interactive controls, no user navigation, and a camera that keeps the
+/// markers in frame. Celebrations and tour captions scale with the map's height (1.5x at 1080 pixels);
+/// size the component to match the browser source, e.g. Height="1080" Width="1920px".
+/// </summary>
+public class OverlayOptions
+{
+	/// <summary>
+	/// Whether the map runs as an overlay.
+	/// </summary>
+	public bool Enabled { get; set; } = true;
+
+	/// <summary>
+	/// CSS colour behind the map - "transparent", or a key colour such as "#00ff00" for a chroma key filter.
+	/// The host page's own background must be transparent too for a transparent overlay.
+	/// </summary>
+	public string Background { get; set; } = "transparent";
+
+	/// <summary>
+	/// Draws the basemap tiles. Turn off to show only outlines, markers and effects over the background.
+	/// </summary>
+	public bool ShowTiles { get; set; } = true;
+
+	/// <summary>
+	/// Keeps the legend (read-only in overlay mode) when <see cref="ChatterMapDirect.Legend"/> is set.
+	/// </summary>
+	public bool ShowLegend { get; set; }
+
+	/// <summary>
+	/// Shows the tile and data attribution. Most tile providers require it; leave it on unless the
+	/// attribution is shown elsewhere on stream.
+	/// </summary>
+	[JsonIgnore]
+	public bool ShowAttribution { get; set; } = true;
+
+	/// <summary>
+	/// The map corner the attribution sits in.
+	/// </summary>
+	[JsonIgnore]
+	public LegendPosition AttributionCorner { get; set; } = LegendPosition.BottomRight;
+
+	/// <summary>
+	/// Zooms and pans to keep every marker in frame as viewers arrive, between tours and celebrations.
+	/// </summary>
+	public bool AutoFit { get; set; } = true;
+
+	/// <summary>
+	/// Pixels kept clear around the markers when fitting them in frame.
+	/// </summary>
+	public int AutoFitPadding { get; set; } = 60;
+
+	/// <summary>
+	/// Highest zoom level auto-fit uses, so a handful of nearby markers doesn't fill the screen with streets.
+	/// </summary>
+	public int AutoFitMaxZoom { get; set; } = 5;
+
+	/// <summary>
+	/// Where the map puts the attribution, as it expects it.
+	/// </summary>
+	[JsonPropertyName("attributionPosition")]
+	public string AttributionPosition => ShowAttribution ? AttributionCorner.ToString().ToLowerInvariant() : "none";
+
+	/// <summary>
+	/// A see-through overlay for browser sources.
+	/// </summary>
+	public static OverlayOptions Transparent => new();
+
+	/// <summary>
+	/// An overlay on a solid key colour, for a chroma key filter.
+	/// </summary>
+	/// <param name="keyColor">CSS colour the chroma key filter removes</param>
+	public static OverlayOptions ChromaKey(string keyColor = "#00ff00") => new() { Background = keyColor };
+}
@@ -0,0 +1,58 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// How a named path drawn with <see cref="ChatterMapDirect.DrawPathAsync"/> looks and is drawn.
+/// Null style values fall back to the map's defaults.
+/// </summary>
+public class PathStyle
+{
+	/// <summary>
+	/// CSS colour of the line and its arrows.
+	/// </summary>
+	public string? Color { get; set; }
+
+	/// <summary>
+	/// Line width in pixels.
+	/// </summary>
+	public double? Weight { get; set; }
+
+	/// <summary>
+	/// SVG dash pattern, e.g. "8, 12". An empty string draws a solid line.
+	/// </summary>
+	public string? DashArray { get; set; }
+
+	/// <summary>
+	/// Line opacity, from 0 to 1.
+	/// </summary>
+	public double? Opacity { get; set; }
+
+	/// <summary>
+	/// Follows great-circle arcs between waypoints instead of straight lines on the map,
+	/// so long legs curve the way a flight route would.
+	/// </summary>
+	public bool Geodesic { get; set; } = true;
+
+	/// <summary>
+	/// Draws the path progressively from its first waypoint instead of all at once.
+	/// </summary>
+	public bool Animate { get; set; }
+
+	/// <summary>
+	/// How long the animated drawing takes when <see cref="Animate"/> is set.
+	/// </summary>
+	[JsonIgnore]
+	public TimeSpan AnimationDuration { get; set; } = TimeSpan.FromSeconds(2);
+
+	/// <summary>
+	/// Shows an arrow halfway along each leg pointing in the direction of travel.
+	/// </summary>
+	public bool Arrows { get; set; }
+
+	/// <summary>
+	/// <see cref="AnimationDuration"/> in milliseconds.
+	/// </summary>
+	[JsonPropertyName("animationMs")]
+	public double AnimationMs => AnimationDuration.TotalMilliseconds;
+}
@@ -0,0 +1,137 @@
+using System.Text.Json.Serialization;
+
+namespace Fritz.Charlie.Components.Models;
+
+/// <summary>
+/// Describes the basemap drawn underneath the markers of a <see cref="ChatterMapDirect"/> map.
+/// Use one of the presets or configure a tile server, a local folder of pre-rendered tiles,
+/// or no tiles at all with optional GeoJSON country outlines.
+/// </summary>
+public class TileProviderOptions
+{
+	/// <summary>
+	/// Whether the basemap is drawn from raster tiles or left empty.
+	/// </summary>
+	[JsonConverter(typeof(JsonStringEnumConverter))]
+	public TileProviderType Type { get; set; } = TileProviderType.Tiles;
+
+	/// <summary>
+	/// The Leaflet URL template for tiles, e.g. "https://{s}.example.com/{z}/{x}/{y}.png".
+	/// Relative URLs are allowed for tiles served by the host application.
+	/// </summary>
+	public string? UrlTemplate { get; set; } = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+	/// <summary>
+	/// Attribution HTML shown in the map's attribution control.
+	/// </summary>
+	public string Attribution { get; set; } = "&copy; <a href=\"http://www.openstreetmap.org/copyright\" target=\"_blank\" rel=\"noopener\">OpenStreetMap</a> contributors";
+
+	/// <summary>
+	/// The minimum zoom level the tile source serves.
+	/// </summary>
+	public int MinZoom { get; set; } = 0;
+
+	/// <summary>
+	/// The maximum zoom level the tile layer displays.
+	/// </summary>
+	public int MaxZoom { get; set; } = 19;
+
+	/// <summary>
+	/// The highest zoom level the tile source actually has tiles for. Tiles from this level
+	/// are scaled up beyond it, which is useful for offline tile folders with only a few levels.
+	/// </summary>
+	public int? MaxNativeZoom { get; set; }
+
+	/// <summary>
+	/// Values substituted for {s} in <see cref="UrlTemplate"/>.
+	/// </summary>
+	public string[] Subdomains { get; set; } = ["a", "b", "c"];
+
+	/// <summary>
+	/// Image shown in place of tiles that fail to load.
+	/// </summary>
+	public string? ErrorTileUrl { get; set; }
+
+	/// <summary>
+	/// The CORS mode tiles are requested with, or null for plain requests. "anonymous" lets image exports include
+	/// the tiles - the <see cref="OpenStreetMap"/> and <see cref="CartoDark"/> presets set it, as those servers send
+	/// CORS headers. Only set it for other servers that do too, as the rest then stop serving tiles at all.
+	/// Without it, exported images leave the tiles out.
+	/// </summary>
+	public string? CrossOrigin { get; set; }
+
+	/// <summary>
+	/// Optional URL of a GeoJSON file (e.g. country outlines) drawn beneath the markers.
+	/// </summary>
+	public string? OutlineUrl { get; set; }
+
+	/// <summary>
+	/// Optional CSS background colour for the map, visible where no tiles are drawn.
+	/// </summary>
+	public string? BackgroundColor { get; set; }
+
+	/// <summary>
+	/// The public OpenStreetMap tile server (the default).
+	/// </summary>
+	public static TileProviderOptions OpenStreetMap => new() { CrossOrigin = "anonymous" };
+
+	/// <summary>
+	/// CARTO's dark basemap, suited to night streams.
+	/// </summary>
+	public static TileProviderOptions CartoDark => new()
+	{
+		UrlTemplate = "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png",
+		Attribution = "&copy; <a href=\"http://www.openstreetmap.org/copyright\" target=\"_blank\" rel=\"noopener\">OpenStreetMap</a> contributors &copy; <a href=\"https://carto.com/attributions\" target=\"_blank\" rel=\"noopener\">CARTO</a>",
+		MaxZoom = 20,
+		Subdomains = ["a", "b", "c", "d"],
+		BackgroundColor = "#0e0e0e",
+		CrossOrigin = "anonymous"
+	};
+
+	/// <summary>
+	/// Tiles served from a folder laid out as {z}/{x}/{y}, such as a self-hosted tile server
+	/// or pre-rendered tiles shipped with the host application for offline use.
+	/// </summary>
+	/// <param name="baseUrl">Base URL of the tile folder, e.g. "/tiles" or "https://tiles.example.com"</param>
+	/// <param name="extension">Tile image file extension</param>
+	/// <param name="maxNativeZoom">Highest zoom level present in the folder</param>
+	/// <param name="attribution">Attribution HTML for the tile data</param>
+	public static TileProviderOptions Local(string baseUrl, string extension = "png", int maxNativeZoom = 6, string attribution = "") => new()
+	{
+		UrlTemplate = $"{baseUrl.TrimEnd('/')}/{{z}}/{{x}}/{{y}}.{extension.TrimStart('.')}",
+		Attribution = attribution,
+		MaxNativeZoom = maxNativeZoom,
+		Subdomains = []
+	};
+
+	/// <summary>
+	/// No basemap at all - only the GeoJSON outlines at <paramref name="outlineUrl"/> (if any) over a plain background.
+	/// Needs no network access when the outline file is served by the host application.
+	/// </summary>
+	/// <param name="outlineUrl">URL of a GeoJSON file with country outlines, or null for a blank map</param>
+	/// <param name="backgroundColor">CSS colour used for the water/background</param>
+	public static TileProviderOptions OutlinesOnly(string? outlineUrl, string backgroundColor = "#aad3df") => new()
+	{
+		Type = TileProviderType.None,
+		UrlTemplate = null,
+		Attribution = string.Empty,
+		OutlineUrl = outlineUrl,
+		BackgroundColor = backgroundColor
+	};
+}
+
+/// <summary>
+/// The kind of basemap a <see cref="TileProviderOptions"/> describes.
+/// </summary>
+public enum TileProviderType
+{
+	/// <summary>
+	/// Raster tiles loaded from <see cref="TileProviderOptions.UrlTemplate"/>.
+	/// </summary>
+	Tiles,
+
+	/// <summary>
+	/// No tiles - only outlines and the background colour.
+	/// </summary>
+	None
+}
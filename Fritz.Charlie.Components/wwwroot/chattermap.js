@@ -1,32 +1,715 @@
 // ChatterMapDirect Component Isolated JavaScript Module
 
+// Basemap used when no tile provider is configured
+const DEFAULT_TILE_PROVIDER = {
+    type: 'tiles',
+    urlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="http://www.openstreetmap.org/copyright" target="_blank" rel="noopener">OpenStreetMap</a> contributors',
+    minZoom: 0,
+    maxZoom: 19,
+    maxNativeZoom: null,
+    subdomains: 'abc',
+    errorTileUrl: '',
+    crossOrigin: 'anonymous', // Lets exportImage include the tiles - OpenStreetMap sends CORS headers; null for servers that don't
+    outlineUrl: null,
+    outlineStyle: {
+        color: '#6c757d',
+        weight: 1,
+        fillColor: '#f8f9fa',
+        fillOpacity: 1
+    },
+    backgroundColor: null
+};
+
+// Merge an options object from .NET over its defaults, ignoring null/undefined values
+function mergeOptions(defaults, overrides) {
+    const merged = { ...defaults };
+    if (!overrides) return merged;
+
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== null && value !== undefined) {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+// Milliseconds since the epoch from a number, Date or date string - null when missing or unparseable
+function toEpochMs(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const ms = value instanceof Date ? value.getTime()
+        : typeof value === 'number' ? value
+        : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+// Escape text for safe interpolation into HTML strings
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Points along the great circle between two [lat, lng] pairs, about one every stepDegrees of arc
+function greatCircleArc(from, to, stepDegrees = 2) {
+    const toRadians = Math.PI / 180;
+    const toVector = ([lat, lng]) => [
+        Math.cos(lat * toRadians) * Math.cos(lng * toRadians),
+        Math.cos(lat * toRadians) * Math.sin(lng * toRadians),
+        Math.sin(lat * toRadians)
+    ];
+
+    const a = toVector(from);
+    const b = toVector(to);
+    const dot = Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+    const angle = Math.acos(dot);
+
+    // Too close (or exactly opposite, where the great circle is undefined) - keep the straight segment
+    if (angle < 1e-6 || Math.PI - angle < 1e-6) {
+        return [from, to];
+    }
+
+    const steps = Math.max(1, Math.ceil(angle / toRadians / stepDegrees));
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+        const wb = Math.sin(t * angle) / Math.sin(angle);
+        const x = wa * a[0] + wb * b[0];
+        const y = wa * a[1] + wb * b[1];
+        const z = wa * a[2] + wb * b[2];
+        points.push([Math.atan2(z, Math.hypot(x, y)) / toRadians, Math.atan2(y, x) / toRadians]);
+    }
+    return points;
+}
+
+// Shift longitudes by whole turns so consecutive points never jump across the antimeridian
+function unwrapLongitudes(points) {
+    const unwrapped = [];
+    for (const [lat, lng] of points) {
+        let adjusted = lng;
+        const previous = unwrapped[unwrapped.length - 1];
+        if (previous) {
+            while (adjusted - previous[1] > 180) adjusted -= 360;
+            while (adjusted - previous[1] < -180) adjusted += 360;
+        }
+        unwrapped.push([lat, adjusted]);
+    }
+    return unwrapped;
+}
+
+// Uniform lat/lng grid index so viewport queries only touch cells that overlap the bounds
+class SpatialGrid {
+    constructor(cellSize = 2) {
+        this.cellSize = cellSize; // Cell size in degrees
+        this.cells = new Map(); // Map of cell key -> {row, col, ids: Set}
+        this.cellKeys = new Map(); // Reverse lookup - ID -> cell key for O(1) removal
+    }
+
+    getRow(lat) {
+        return Math.floor((Math.max(-90, Math.min(90, lat)) + 90) / this.cellSize);
+    }
+
+    getCol(lng) {
+        return Math.floor((Math.max(-180, Math.min(180, lng)) + 180) / this.cellSize);
+    }
+
+    insert(id, lat, lng) {
+        const row = this.getRow(lat);
+        const col = this.getCol(lng);
+        const key = `${row}:${col}`;
+
+        const previousKey = this.cellKeys.get(id);
+        if (previousKey === key) return;
+        if (previousKey !== undefined) this.remove(id);
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = { row, col, ids: new Set() };
+            this.cells.set(key, cell);
+        }
+        cell.ids.add(id);
+        this.cellKeys.set(id, key);
+    }
+
+    remove(id) {
+        const key = this.cellKeys.get(id);
+        if (key === undefined) return false;
+
+        const cell = this.cells.get(key);
+        cell.ids.delete(id);
+        if (cell.ids.size === 0) {
+            this.cells.delete(key);
+        }
+        this.cellKeys.delete(id);
+        return true;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.cellKeys.clear();
+    }
+
+    // Yield IDs in cells overlapping the bounds - callers still do an exact containment check
+    *query(bounds) {
+        const minRow = this.getRow(bounds.getSouth());
+        const maxRow = this.getRow(bounds.getNorth());
+
+        // Wrapped world views can report longitudes beyond +/-180 - treat those as the full width
+        const spansWorld = bounds.getEast() - bounds.getWest() >= 360;
+        const minCol = spansWorld ? 0 : this.getCol(bounds.getWest());
+        const maxCol = spansWorld ? this.getCol(180) : this.getCol(bounds.getEast());
+
+        // Zoomed far out it is cheaper to walk the occupied cells than every cell in range
+        const cellsInRange = (maxRow - minRow + 1) * (maxCol - minCol + 1);
+        if (cellsInRange > this.cells.size) {
+            for (const cell of this.cells.values()) {
+                if (cell.row >= minRow && cell.row <= maxRow && cell.col >= minCol && cell.col <= maxCol) {
+                    yield* cell.ids;
+                }
+            }
+            return;
+        }
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const cell = this.cells.get(`${row}:${col}`);
+                if (cell) {
+                    yield* cell.ids;
+                }
+            }
+        }
+    }
+}
+
+// Celebration queue defaults
+const DEFAULT_CELEBRATION_QUEUE_OPTIONS = {
+    maxQueueLength: 20, // Lowest-priority celebrations beyond this are dropped
+    burstThreshold: 5, // Once more than this many are waiting, celebrations from the same region collapse into one
+    deferDuringTour: false, // Hold celebrations until a running tour ends instead of dropping them
+    durationMs: 5000 // Default time each celebration stays on screen
+};
+
+// Celebration modal anchors and effect styles
+const CELEBRATION_ANCHORS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center', 'marker'];
+const CELEBRATION_EFFECTS = ['confetti', 'ripple', 'none'];
+
+// Celebration look and feel - services are keyed by lower-case service name
+const DEFAULT_CELEBRATION_OPTIONS = {
+    anchor: 'top-left', // Where the modal sits in the map; 'marker' places it next to the celebrated pin
+    offsetX: 250, // Pixels from the anchored edge (or from the pin/centre)
+    offsetY: 20,
+    template: null, // HTML with {{placeholders}}; values are HTML-escaped
+    templateId: null, // ID of a <template> element whose [data-celebration-field] elements are filled in
+    title: 'New Viewer Location!',
+    dismissText: 'Got it! ✓',
+    effect: 'confetti',
+    confettiCount: 20,
+    confettiColors: ['#ff6b6b', '#4ecdc4', '#45b7d1', '#f7b731', '#5f27cd', '#00d2d3'],
+    rippleColor: '#ffd700',
+    services: {
+        twitch: { color: '#9146ff', icon: '📺' },
+        youtube: { color: '#ff0000', icon: '▶️' },
+        kick: { color: '#53fc18', icon: '🟩' }
+    },
+    defaultService: { color: '#6c757d', icon: '🌐' }
+};
+
+// Cluster icon styles - colour band i covers counts below thresholds[i], the last band everything above
+const CLUSTER_SIZE_CURVES = ['bands', 'linear', 'sqrt', 'log'];
+const CLUSTER_BREAKDOWNS = ['none', 'service', 'userType'];
+const DEFAULT_CLUSTER_STYLE = {
+    thresholds: [10, 25, 50, 100],
+    palette: ['#4169E1', '#6A5ACD', '#8A2BE2', '#9932CC', '#4B0082'], // Royal blue to indigo, one colour per band
+    textColor: '#FFFFFF',
+    sizeCurve: 'bands', // 'bands' uses sizes[band]; the others scale from minSize to maxSize up to maxSizeCount viewers
+    sizes: [30, 35, 35, 40, 45],
+    minSize: 30,
+    maxSize: 60,
+    maxSizeCount: 500,
+    breakdown: 'none', // 'service' or 'userType' draws a donut split around the count
+    breakdownColors: {
+        twitch: '#9146ff',
+        youtube: '#ff0000',
+        kick: '#53fc18',
+        broadcaster: '#e74c3c',
+        moderator: '#2ecc71',
+        subscriber: '#f1c40f',
+        vip: '#e91e63',
+        user: '#3498db'
+    },
+    otherColor: '#adb5bd' // Donut colour for values without a breakdown colour
+};
+
+// Legend control defaults - position is a Leaflet control corner
+const DEFAULT_LEGEND_OPTIONS = {
+    enabled: false,
+    position: 'bottomright',
+    collapsed: false,
+    title: 'Viewers',
+    showClusterColors: true
+};
+
+// Timeline replay defaults - the control sits in a Leaflet control corner
+const DEFAULT_REPLAY_OPTIONS = {
+    enabled: false, // Show the replay control
+    position: 'bottomleft',
+    durationMs: 60000, // Default time a full replay takes, however long the stream was
+    tickMs: 200 // How often the time cursor advances while playing
+};
+
+// Marker aging - markers fade once unseen for fadeAfterMs, reaching minOpacity fadeDurationMs later,
+// and are removed after ttlMs unseen when it is set
+const DEFAULT_AGING_OPTIONS = {
+    enabled: false,
+    fadeAfterMs: 30 * 60 * 1000,
+    fadeDurationMs: 2 * 60 * 60 * 1000,
+    minOpacity: 0.35,
+    ttlMs: null, // No automatic expiry unless set
+    checkIntervalMs: 30000 // How often ages are re-evaluated
+};
+
+// Named path defaults - Leaflet polyline style plus how the path is drawn
+const DEFAULT_PATH_STYLE = {
+    color: '#8A2BE2',
+    weight: 2,
+    dashArray: '8, 12',
+    opacity: 0.8,
+    geodesic: true, // Follow great circles instead of straight lines on the projection
+    animate: false, // Draw the path progressively from its first point
+    animationMs: 2000,
+    arrows: false // Direction arrows halfway along each leg
+};
+
+// Arrival arcs - a curved line from the broadcaster's home to each new viewer's pin
+const DEFAULT_ARRIVAL_ARC_OPTIONS = {
+    enabled: false,
+    homeLat: null, // No arcs until a home coordinate is set
+    homeLng: null,
+    color: null, // Null uses the viewer's service colour from the celebration options
+    weight: 2,
+    dashArray: null,
+    opacity: 0.9,
+    curvature: 0.25, // How far the arc bows out, as a fraction of its length
+    drawMs: 1200, // Time taken to draw the arc out to the pin
+    holdMs: 3000, // Time the finished arc stays fully visible
+    fadeMs: 1000,
+    minIntervalMs: 500, // Arrivals closer together than this get no arc of their own
+    maxActive: 4 // Most arcs on screen at once
+};
+
+// Auto director - moves the camera by itself once nobody has touched the map for a while
+const DIRECTOR_MODES = ['densest', 'newest'];
+const DEFAULT_DIRECTOR_OPTIONS = {
+    enabled: false,
+    mode: 'densest', // 'densest' cycles between the busiest areas, 'newest' follows the latest arrivals
+    idleMs: 60000, // Time without user input before the director takes over
+    dwellMs: 12000, // Time spent at each shot once the camera arrives
+    flightSeconds: 4, // Slow, gentle moves between shots
+    zoom: 4, // Zoom level for each shot
+    shots: 5, // How many of the densest areas or newest arrivals are cycled through
+    cellSize: 10 // Size in degrees of the areas compared in 'densest' mode
+};
+
+// Streaming overlay (e.g. an OBS browser source) - no controls or navigation, the map frames the markers itself
+const DEFAULT_OVERLAY_OPTIONS = {
+    enabled: false,
+    background: 'transparent', // CSS colour behind the map, e.g. '#00ff00' for a chroma key
+    showTiles: true, // false leaves only outlines, markers and effects over the background
+    showLegend: false, // Read-only legend; it can't be clicked in overlay mode
+    attributionPosition: 'bottomright', // Leaflet corner for the attribution, or 'none' to hide it
+    autoFit: true, // Keep every marker in frame as markers arrive
+    autoFitPadding: 60, // Pixels kept clear around the markers
+    autoFitMaxZoom: 5, // Don't zoom in further than this when there are only a few markers
+    autoFitDelayMs: 2000 // Arrivals this close together cause a single refit
+};
+
+// Celebrations and tour captions are laid out for a page about this tall; in an overlay they are scaled
+// with the canvas height, so a 1920x1080 browser source shows them at 1.5x
+const OVERLAY_LAYOUT_HEIGHT = 720;
+
+// Screen reader announcements and keyboard navigation between markers
+const DEFAULT_ACCESSIBILITY_OPTIONS = {
+    announcements: true, // Announce arrivals, celebrations and tour stops through an ARIA live region
+    arrivalDebounceMs: 2000, // Arrivals this close together are announced as one summary
+    keyboardNavigation: true, // Arrow keys move between markers and clusters once one has focus
+    label: 'Map of where viewers are chatting from'
+};
+
+// Marker and cluster interactions raised to .NET - off until .NET has a handler, so unused events cost no round-trips
+const DEFAULT_INTERACTION_EVENTS = {
+    markerClick: false,
+    markerHover: false,
+    popupOpen: false,
+    clusterClick: false
+};
+
+// Legend labels for the built-in user types
+const USER_TYPE_LABELS = {
+    broadcaster: 'Broadcaster',
+    moderator: 'Moderator',
+    subscriber: 'Subscriber',
+    vip: 'VIP',
+    user: 'Viewer'
+};
+
+// Image export defaults - see exportImage
+const DEFAULT_IMAGE_EXPORT_OPTIONS = {
+    title: null, // Banner text across the top of the image
+    legend: false, // Draw service and user type counts in the bottom-right corner
+    scale: null, // Pixel ratio of the image; null uses the screen's
+    backgroundColor: '#ffffff', // Behind the tiles, unless the tile provider sets its own
+    asBlob: false // Resolve to a PNG Blob instead of a data URL
+};
+
+// Columns written by exportCsv, in order
+const CSV_COLUMNS = ['id', 'lat', 'lng', 'count', 'userType', 'service', 'description', 'firstSeen', 'lastSeen'];
+
+// Quote a CSV field when needed, and defuse text a spreadsheet would run as a formula
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Which feature properties importGeoJson reads for each marker field - a name, or a list of names tried in order
+// The defaults read back what exportGeoJson writes
+const DEFAULT_GEOJSON_IMPORT_MAPPING = {
+    id: 'id', // Falls back to the feature's own id, then its position in the collection
+    description: ['description', 'name'],
+    userType: 'userType',
+    service: 'service',
+    count: 'count',
+    timestamp: ['firstSeen', 'timestamp'],
+    lastSeen: 'lastSeen',
+    idPrefix: 'import-', // Keeps imported IDs apart from live viewer locations
+    defaultUserType: 'user',
+    defaultService: null
+};
+
+// Whether an image can be drawn to a canvas without tainting it - same-origin, inline, or fetched with CORS
+function isCanvasReadable(image) {
+    if (image.crossOrigin) return true;
+    const url = new URL(image.currentSrc || image.src, window.location.href);
+    return url.protocol === 'data:' || url.protocol === 'blob:' || url.origin === window.location.origin;
+}
+
+// Resolve once an image has loaded (or failed) so it can be drawn on a canvas
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load image ${src.slice(0, 100)}`));
+        image.src = src;
+    });
+}
+
+// Supported ways of drawing the stored markers
+const DISPLAY_MODES = ['pins', 'clusters', 'heatmap'];
+
+// Heatmap defaults - radius/blur in pixels, gradient stops keyed by normalized density
+const DEFAULT_HEATMAP_OPTIONS = {
+    radius: 25,
+    blur: 15,
+    minOpacity: 0.05,
+    max: null, // Weight that maps to full intensity; null = densest visible point
+    gradient: { 0.4: '#4169E1', 0.6: '#00d2d3', 0.7: '#4ecdc4', 0.8: '#f7b731', 1.0: '#ff6b6b' }
+};
+
+// Canvas density heatmap kept in sync point-by-point, so updates never rebuild the data set
+class DensityHeatmap {
+    constructor(options) {
+        this.options = mergeOptions(DEFAULT_HEATMAP_OPTIONS, options);
+        this.points = new Map(); // Map of marker ID -> {lat, lng, weight}
+        this.index = new SpatialGrid(); // Only points in view are stamped on redraw
+        this.map = null;
+        this.canvas = null;
+        this.frame = null;
+        this.stamp = this.createStamp();
+        this.palette = this.createPalette();
+
+        this.onMoveEnd = () => this.redraw();
+        this.onZoomStart = () => {
+            if (this.canvas) this.canvas.style.visibility = 'hidden';
+        };
+    }
+
+    // Pre-render one blurred circle that is stamped for every point
+    createStamp() {
+        const { radius, blur } = this.options;
+        const outer = radius + blur;
+        const stamp = document.createElement('canvas');
+        stamp.width = stamp.height = outer * 2;
+
+        const ctx = stamp.getContext('2d');
+        ctx.shadowOffsetX = ctx.shadowOffsetY = outer * 2;
+        ctx.shadowBlur = blur;
+        ctx.shadowColor = 'black';
+        ctx.beginPath();
+        ctx.arc(-outer, -outer, radius, 0, Math.PI * 2, true);
+        ctx.closePath();
+        ctx.fill();
+
+        return stamp;
+    }
+
+    // Build a 256-entry RGBA lookup from the gradient stops
+    createPalette() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 256;
+
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, 0, 256);
+        for (const [stop, color] of Object.entries(this.options.gradient)) {
+            gradient.addColorStop(Number(stop), color);
+        }
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 1, 256);
+
+        return ctx.getImageData(0, 0, 1, 256).data;
+    }
+
+    addTo(map) {
+        if (this.map) return this;
+        this.map = map;
+
+        if (!map.getPane('chattermapHeatmap')) {
+            const pane = map.createPane('chattermapHeatmap');
+            pane.style.zIndex = 450; // Above tiles and outlines, below markers
+            pane.style.pointerEvents = 'none';
+        }
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'chattermap-heatmap';
+        map.getPane('chattermapHeatmap').appendChild(this.canvas);
+
+        map.on('moveend zoomend resize', this.onMoveEnd);
+        map.on('zoomstart', this.onZoomStart);
+        this.redraw();
+        return this;
+    }
+
+    remove() {
+        if (!this.map) return this;
+
+        this.map.off('moveend zoomend resize', this.onMoveEnd);
+        this.map.off('zoomstart', this.onZoomStart);
+        if (this.frame) {
+            L.Util.cancelAnimFrame(this.frame);
+            this.frame = null;
+        }
+        this.canvas?.remove();
+        this.canvas = null;
+        this.map = null;
+        return this;
+    }
+
+    setPoint(id, lat, lng, weight = 1) {
+        this.points.set(id, { lat, lng, weight });
+        this.index.insert(id, lat, lng);
+        this.redraw();
+    }
+
+    removePoint(id) {
+        if (this.points.delete(id)) {
+            this.index.remove(id);
+            this.redraw();
+        }
+    }
+
+    clear() {
+        this.points.clear();
+        this.index.clear();
+        this.redraw();
+    }
+
+    // Coalesce bursts of point changes into one paint per animation frame
+    redraw() {
+        if (!this.map || this.frame) return;
+        this.frame = L.Util.requestAnimFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        if (!this.map || !this.canvas) return;
+
+        const size = this.map.getSize();
+        const topLeft = this.map.containerPointToLayerPoint([0, 0]);
+        L.DomUtil.setPosition(this.canvas, topLeft);
+        this.canvas.width = size.x;
+        this.canvas.height = size.y;
+        this.canvas.style.visibility = '';
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, size.x, size.y);
+
+        const outer = this.stamp.width / 2;
+        const bounds = this.map.getBounds().pad(0.1);
+        const visible = [];
+        let maxWeight = 1;
+
+        for (const id of this.index.query(bounds)) {
+            const point = this.points.get(id);
+            if (point && bounds.contains([point.lat, point.lng])) {
+                visible.push(point);
+                maxWeight = Math.max(maxWeight, point.weight);
+            }
+        }
+
+        if (visible.length === 0) return;
+
+        const max = this.options.max || maxWeight;
+        for (const point of visible) {
+            const p = this.map.latLngToContainerPoint([point.lat, point.lng]);
+            ctx.globalAlpha = Math.min(Math.max(point.weight / max, this.options.minOpacity), 1);
+            ctx.drawImage(this.stamp, p.x - outer, p.y - outer);
+        }
+
+        // Colorize the alpha channel through the gradient palette
+        const image = ctx.getImageData(0, 0, size.x, size.y);
+        const pixels = image.data;
+        for (let i = 0; i < pixels.length; i += 4) {
+            const offset = pixels[i + 3] * 4;
+            if (offset) {
+                pixels[i] = this.palette[offset];
+                pixels[i + 1] = this.palette[offset + 1];
+                pixels[i + 2] = this.palette[offset + 2];
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+}
+
 class ChatterMapManager {
     constructor() {
         this.map = null;
         this.maxZoom = 6; // Default max zoom
         this.markerClusterGroups = new Map(); // Separate cluster groups per continent
+        this.clusterStyle = { ...DEFAULT_CLUSTER_STYLE };
         this.markers = new Map(); // Map of ID -> {marker, continentCode}
         this.markerToIdMap = new Map(); // Reverse lookup - Leaflet marker -> ID for O(1) lookup
         this.allMarkerData = new Map(); // Store all marker data without adding to map
+        this.spatialIndex = new SpatialGrid(); // Grid index over allMarkerData for viewport queries
         this.visibleMarkers = new Set(); // Track currently visible markers
         this.pendingMarkers = new Set(); // Track markers being added to prevent duplicates during async ops
         this.tourActive = false;
         this.tourStops = [];
         this.currentTourIndex = 0;
         this.tourTimer = null;
+        this.tourPaused = false;
+        this.tourLoop = false;
+        this.tourDwellMs = 5000; // Default time at each stop when a stop has no dwellMs of its own
+        this.tourTimerDueAt = 0; // When the running tour timer fires
+        this.tourTimerRemaining = null; // Time left on the timer while paused
+        this.tourPendingStep = null; // What the tour timer runs when it fires (next stop or next spotlight)
+        this.tourSpotlight = false; // Call out each listed viewer at a stop before moving on
+        this.tourSpotlightMs = 2500; // Time spent on each spotlighted viewer
+        this.tourSpotlightLimit = 10; // Most viewers spotlighted at one stop
+        this.spotlightMarker = null; // Marker whose popup the spotlight has open
         this.elementId = null;
         this.dotNetObjectRef = null; // Reference to C# component for callbacks
         this.viewportUpdateThrottle = null;
         this.maxMarkersPerView = 1000; // Limit visible markers per viewport
 
+        // Icon URLs resolved through .NET, cached per (userType, service) pair
+        this.iconUrlCache = new Map(); // Map of "usertype|service" -> Promise<string>
+        this.preloadedIcons = new Map(); // Map of icon URL -> decoded Image
+
+        // Display mode: individual pins, clusters, or a density heatmap
+        this.displayMode = 'clusters';
+        this.pinLayer = null; // Unclustered marker layer used in 'pins' mode
+        this.heatmap = null; // DensityHeatmap kept in sync with allMarkerData in every mode
+
+        // Marker filter - null shows every stored marker
+        this.markerFilter = null;
+        this.markerFilterTimer = null; // Re-applies a rolling time window as markers age out of it
+
+        // Legend control and the categories switched off from it (lower-case service / user type names)
+        this.legendOptions = { ...DEFAULT_LEGEND_OPTIONS };
+        this.legendControl = null;
+        this.legendUpdateTimer = null;
+        this.legendHidden = { services: new Set(), userTypes: new Set() };
+
+        // Named paths (routes, raid chains) - name -> {layer, line, frame}
+        this.paths = new Map();
+
+        // Auto director - camera moves of its own while the map is idle
+        this.directorOptions = { ...DEFAULT_DIRECTOR_OPTIONS };
+        this.directorTimer = null;
+        this.directorActive = false; // The director has the camera (reset by any user input)
+        this.directorShotIndex = 0;
+        this.directorShot = null; // {lat, lng, description} of the current shot
+        this.lastUserActivity = Date.now();
+        this.programmaticMove = false; // Set while the map moves itself, so its own zooms aren't taken for user navigation
+
+        // Streaming overlay mode
+        this.overlayOptions = { ...DEFAULT_OVERLAY_OPTIONS };
+        this.overlayFitTimer = null;
+
+        // Reduced motion - null follows the prefers-reduced-motion media query, true/false is forced from .NET
+        this.reducedMotionOverride = null;
+        this.reducedMotionQuery = null;
+        this.leafletAnimationSupport = null; // Whether this browser can animate Leaflet zooms and fades at all
+        this.clusterGroupsAnimated = true;
+        this.onReducedMotionChange = () => this.applyReducedMotion();
+
+        // Accessibility - live region for announcements and the arrivals waiting to be announced
+        this.accessibilityOptions = { ...DEFAULT_ACCESSIBILITY_OPTIONS };
+        this.liveRegion = null;
+        this.containerListeners = null; // Aborts the listeners on the map element, which outlives this manager
+        this.pendingArrivals = [];
+        this.arrivalAnnouncementTimer = null;
+        this.modalReturnFocus = null; // Element to give focus back to when the celebration modal closes
+
+        // Marker and cluster interactions .NET listens for - see DEFAULT_INTERACTION_EVENTS
+        this.interactionEvents = { ...DEFAULT_INTERACTION_EVENTS };
+
+        // Arrival arcs currently on screen - {layer, line, frame, timer}
+        this.arrivalArcOptions = { ...DEFAULT_ARRIVAL_ARC_OPTIONS };
+        this.arrivalArcs = new Set();
+        this.lastArrivalArcAt = 0;
+
+        // Marker aging - opacity decay and expiry by last-seen time
+        this.agingOptions = { ...DEFAULT_AGING_OPTIONS };
+        this.agingTimer = null;
+
+        // Timeline replay - timeCursor hides markers that appeared after it; null shows the live map
+        this.timeCursor = null;
+        this.replayOptions = { ...DEFAULT_REPLAY_OPTIONS };
+        this.replay = null; // {from, to, durationMs, playing, timer, lastTick} while a replay is loaded
+        this.replayControl = null;
+
+        // Basemap state
+        this.tileProvider = null;
+        this.tileLayer = null;
+        this.outlineLayer = null; // GeoJSON outlines used by offline / no-basemap providers
+        this.tileProviderVersion = 0; // Guards against out-of-order outline loads
+
         // NEW: Pin celebration state
         this.celebrationActive = false;
         this.celebrationTimeout = null;
+        this.celebrationResolve = null; // Ends the celebration on screen early (dismiss button, tour start)
+        this.celebrationQueue = []; // Waiting celebrations, highest priority first
+        this.celebrationQueueOptions = { ...DEFAULT_CELEBRATION_QUEUE_OPTIONS };
+        this.celebrationOptions = { ...DEFAULT_CELEBRATION_OPTIONS };
+        this.currentCelebration = null;
+        this.celebrationSequence = 0; // Keeps equal-priority celebrations in arrival order
+        this.processingCelebrations = false;
+        this.userDragging = false; // Celebrations wait while the user is dragging the map
         this.userNavigationTimeout = null;
     }
 
-    // Initialize the map with the specific element ID, dimensions, and configurable max zoom
-    initializeMap(elementId, height, width, lat, lng, zoom, maxZoom = 6) {
+    // Initialize the map with the specific element ID, dimensions, configurable max zoom and optional settings
+    initializeMap(elementId, height, width, lat, lng, zoom, maxZoom = 6, options = {}) {
         this.elementId = elementId;
         const element = document.getElementById(elementId);
 
@@ -52,15 +735,42 @@ class ChatterMapManager {
                 dragging: true
             }).setView([lat, lng], zoom);
 
-            // Add OpenStreetMap tiles with better attribution
-            L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                maxZoom: 19,
-                attribution: '&copy; <a href="http://www.openstreetmap.org/copyright" target="_blank" rel="noopener">OpenStreetMap</a> contributors'
-            }).addTo(this.map);
+            // Follow the viewer's motion preference unless .NET forces it - before anything animates
+            this.reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+            this.reducedMotionQuery?.addEventListener('change', this.onReducedMotionChange);
+            this.setReducedMotion(options?.reducedMotion ?? null);
+
+            // Add the configured basemap (OpenStreetMap unless told otherwise)
+            this.setTileProvider(options?.tileProvider);
 
             // Initialize continent-specific marker cluster groups to prevent cross-ocean clustering
+            this.setClusterStyle(options?.clusterStyle);
             this.initializeClusterGroups();
 
+            this.setCelebrationQueueOptions(options?.celebrationQueue);
+            this.setCelebrationOptions(options?.celebration);
+
+            // Pin layer and heatmap for the alternative display modes
+            this.pinLayer = L.layerGroup();
+            this.heatmap = new DensityHeatmap(options?.heatmap);
+            if (options?.displayMode) {
+                this.setDisplayMode(options.displayMode);
+            }
+
+            this.setInteractionEvents(options?.events);
+            this.setAccessibilityOptions(options?.accessibility);
+            this.setOverlayOptions(options?.overlay);
+            this.setDirectorOptions(options?.director);
+            this.containerListeners = new AbortController();
+            const { signal } = this.containerListeners;
+            this.map.getContainer().addEventListener('keydown', event => this.handleMarkerKeyDown(event), { signal });
+            this.map.getContainer().addEventListener('focusin', event => {
+                if (event.target.closest?.('.leaflet-marker-pane')) this.updateKeyboardTargets(event.target);
+            }, { signal });
+            this.setLegendOptions(options?.legend);
+            this.setReplayOptions(options?.replay);
+            this.setAgingOptions(options?.aging);
+
             // Set zoom constraints with configurable max zoom level
             this.map.setMinZoom(2);
 
@@ -70,14 +780,16 @@ class ChatterMapManager {
             // Add event listeners for better UX and viewport management
             this.map.on('zoomstart', () => {
                 console.log('Map zoom started');
-                this.notifyUserNavigationStart();
+                if (!this.programmaticMove) {
+                    this.notifyUserNavigationStart();
+                }
             });
 
             this.map.on('zoomend', () => {
                 console.log(`Map zoom ended at level ${this.map.getZoom()}`);
 
-                // If user manually zooms out during tour, stop the tour
-                if (this.tourActive && this.map.getZoom() <= 2) {
+                // If user manually zooms out during tour, stop the tour (a paused tour is left for the host)
+                if (this.tourActive && !this.tourPaused && this.map.getZoom() <= 2) {
                     console.log('User zoomed out during tour - stopping tour');
                     this.stopTour();
                 }
@@ -85,12 +797,16 @@ class ChatterMapManager {
                 // Update visible markers based on new viewport
                 this.updateVisibleMarkers();
 
-                this.notifyUserNavigationEnd();
+                if (!this.programmaticMove) {
+                    this.notifyUserNavigationEnd();
+                }
             });
 
             // Add drag event listener to stop tour on manual pan and update viewport
             this.map.on('dragstart', () => {
-                if (this.tourActive) {
+                this.userDragging = true;
+                this.programmaticMove = false; // A drag interrupts whatever flight was running
+                if (this.tourActive && !this.tourPaused) {
                     console.log('User started dragging during tour - stopping tour');
                     this.stopTour();
                 }
@@ -98,16 +814,27 @@ class ChatterMapManager {
             });
 
             this.map.on('dragend', () => {
+                this.userDragging = false;
+
                 // Throttle viewport updates during dragging
                 this.throttleViewportUpdate();
                 this.notifyUserNavigationEnd();
             });
 
+            this.map.on('resize', () => this.updateOverlayScale());
+
             this.map.on('moveend', () => {
+                this.programmaticMove = false;
+
                 // Update visible markers when map movement ends
                 this.throttleViewportUpdate();
             });
 
+            // Input that doesn't move the map (clicks, wheel at max zoom, keys) still counts as someone using it
+            for (const type of ['pointerdown', 'wheel', 'keydown']) {
+                this.map.getContainer().addEventListener(type, () => this.noteUserActivity(), { passive: true, signal: this.containerListeners.signal });
+            }
+
             console.log(`Map initialized successfully on element ${elementId} with max zoom: ${maxZoom}`);
             return true;
         } catch (error) {
@@ -124,11 +851,83 @@ class ChatterMapManager {
         const targetZoom = Math.min(zoom, currentMaxZoom); // Respect configurable max zoom
         console.log(`Zooming to ${lat}, ${lng} at zoom level ${targetZoom} (max: ${currentMaxZoom})`);
 
-        this.map.flyTo([lat, lng], targetZoom, {
+        this.moveTo(lat, lng, targetZoom, 2.0);
+    }
+
+    // Fly to a view, or jump straight there in reduced motion mode - returns how long the move takes in ms
+    moveTo(lat, lng, zoom, durationSeconds) {
+        if (!this.map) return 0;
+
+        this.programmaticMove = true;
+
+        if (this.isReducedMotion()) {
+            this.map.setView([lat, lng], zoom, { animate: false });
+            return 0;
+        }
+
+        this.map.flyTo([lat, lng], zoom, {
             animate: true,
-            duration: 2.0,
+            duration: durationSeconds,
             easeLinearity: 0.25
         });
+        return durationSeconds * 1000;
+    }
+
+    // Whether animations are replaced by instant jumps and static effects
+    isReducedMotion() {
+        return this.reducedMotionOverride ?? this.reducedMotionQuery?.matches ?? false;
+    }
+
+    // Force reduced motion on (true) or off (false), or follow the viewer's system setting (null)
+    setReducedMotion(value) {
+        this.reducedMotionOverride = typeof value === 'boolean' ? value : null;
+        this.applyReducedMotion();
+        return true;
+    }
+
+    // Tag the map element so CSS can switch off its transitions and keyframe animations, and switch
+    // Leaflet's and the cluster group's own animations to match
+    applyReducedMotion() {
+        if (!this.map) return;
+
+        const reduced = this.isReducedMotion();
+        this.map.getContainer().classList.toggle('chattermap-reduced-motion', reduced);
+
+        // Leaflet decides whether zooms and tiles animate when the map is created, so besides its options
+        // update the flags it derived from them - otherwise wheel, button and keyboard zooms keep animating
+        this.leafletAnimationSupport ??= { zoom: this.map._zoomAnimated, fade: this.map._fadeAnimated };
+        Object.assign(this.map.options, {
+            zoomAnimation: !reduced,
+            fadeAnimation: !reduced,
+            markerZoomAnimation: !reduced,
+            inertia: !reduced
+        });
+        this.map._zoomAnimated = !reduced && this.leafletAnimationSupport.zoom;
+        this.map._fadeAnimated = !reduced && this.leafletAnimationSupport.fade;
+
+        // Cluster groups (and markers) pick their animations when they are added, so redraw them
+        if (this.markerClusterGroups.size > 0 && this.clusterGroupsAnimated !== !reduced) {
+            this.rebuildMarkerLayers();
+        }
+
+        console.log(`Reduced motion ${reduced ? 'on' : 'off'}${this.reducedMotionOverride === null ? ' (system setting)' : ''}`);
+    }
+
+    // Recreate the cluster group and redraw the visible markers on the current display mode's layer
+    rebuildMarkerLayers() {
+        for (const markerId of this.visibleMarkers) {
+            this.removeMarkerFromMap(markerId);
+        }
+        this.visibleMarkers.clear();
+
+        this.markerClusterGroups.forEach(clusterGroup => this.map.removeLayer(clusterGroup));
+        this.markerClusterGroups.clear();
+        this.initializeClusterGroups();
+        if (this.displayMode !== 'clusters') {
+            this.markerClusterGroups.forEach(clusterGroup => this.map.removeLayer(clusterGroup));
+        }
+
+        this.updateVisibleMarkers().catch(error => console.error('Error redrawing markers:', error));
     }
 
     // Get current max zoom level
@@ -146,6 +945,125 @@ class ChatterMapManager {
         return false;
     }
 
+    // Switch the basemap - tile server, offline tile folder, or no tiles with optional GeoJSON outlines
+    async setTileProvider(provider) {
+        if (!this.map) return false;
+
+        const config = mergeOptions(DEFAULT_TILE_PROVIDER, provider);
+        // CORS is only assumed for the default server - a provider's own tiles are requested the way it says
+        if (provider) {
+            config.crossOrigin = provider.crossOrigin ?? null;
+        }
+        const version = ++this.tileProviderVersion;
+
+        try {
+            if (this.tileLayer) {
+                this.map.removeLayer(this.tileLayer);
+                this.tileLayer = null;
+            }
+
+            if (this.outlineLayer) {
+                this.map.removeLayer(this.outlineLayer);
+                this.outlineLayer = null;
+            }
+
+            this.tileProvider = config;
+            this.applyMapBackground();
+
+            if (String(config.type).toLowerCase() !== 'none' && config.urlTemplate) {
+                const tileOptions = {
+                    minZoom: config.minZoom,
+                    maxZoom: config.maxZoom,
+                    subdomains: config.subdomains,
+                    attribution: config.attribution || '',
+                    errorTileUrl: config.errorTileUrl || ''
+                };
+                if (config.maxNativeZoom !== null) {
+                    tileOptions.maxNativeZoom = config.maxNativeZoom;
+                }
+                if (config.crossOrigin) {
+                    tileOptions.crossOrigin = config.crossOrigin;
+                }
+
+                this.tileLayer = L.tileLayer(config.urlTemplate, tileOptions).addTo(this.map);
+                this.tileLayer.bringToBack();
+            }
+
+            if (config.outlineUrl) {
+                const response = await fetch(config.outlineUrl);
+                if (!response.ok) {
+                    throw new Error(`Outline request failed with status ${response.status}`);
+                }
+                const outlines = await response.json();
+
+                // A newer provider was applied while the outlines were loading
+                if (version !== this.tileProviderVersion || !this.map) return false;
+
+                this.outlineLayer = L.geoJSON(outlines, {
+                    style: config.outlineStyle,
+                    interactive: false,
+                    attribution: config.attribution || ''
+                }).addTo(this.map);
+                this.outlineLayer.bringToBack();
+            }
+
+            console.log(`Tile provider set: ${config.type} ${config.urlTemplate || ''}${config.outlineUrl ? ` (outlines: ${config.outlineUrl})` : ''}`);
+            return true;
+        } catch (error) {
+            console.error('Error setting tile provider:', error);
+            return false;
+        }
+    }
+
+    // Switch between individual pins, clusters and the density heatmap
+    setDisplayMode(mode) {
+        const normalizedMode = String(mode).toLowerCase();
+        if (!this.map || !DISPLAY_MODES.includes(normalizedMode)) {
+            console.warn(`Unsupported display mode: ${mode}`);
+            return false;
+        }
+
+        if (normalizedMode === this.displayMode) return true;
+
+        // Take rendered markers off the outgoing layer; they are redrawn on the new one below
+        for (const markerId of this.visibleMarkers) {
+            this.removeMarkerFromMap(markerId);
+        }
+        this.visibleMarkers.clear();
+
+        this.markerClusterGroups.forEach(clusterGroup => {
+            if (normalizedMode === 'clusters') {
+                this.map.addLayer(clusterGroup);
+            } else {
+                this.map.removeLayer(clusterGroup);
+            }
+        });
+
+        if (normalizedMode === 'pins') {
+            this.map.addLayer(this.pinLayer);
+        } else {
+            this.map.removeLayer(this.pinLayer);
+        }
+
+        if (normalizedMode === 'heatmap') {
+            this.heatmap.addTo(this.map);
+        } else {
+            this.heatmap.remove();
+        }
+
+        this.displayMode = normalizedMode;
+        console.log(`Display mode set to ${normalizedMode}`);
+
+        this.updateVisibleMarkers();
+        this.scheduleLegendUpdate();
+        return true;
+    }
+
+    // Layer that holds rendered markers for the current display mode
+    getMarkerLayer(continentCode) {
+        return this.displayMode === 'pins' ? this.pinLayer : this.markerClusterGroups.get(continentCode);
+    }
+
     // Throttle viewport updates to prevent excessive recalculation during rapid map movements
     throttleViewportUpdate() {
         if (this.viewportUpdateThrottle) {
@@ -182,16 +1100,20 @@ class ChatterMapManager {
     async updateVisibleMarkers() {
         if (!this.map || this.allMarkerData.size === 0) return;
 
+        // The heatmap draws every stored point itself - no individual markers are rendered
+        if (this.displayMode === 'heatmap') return;
+
         const bounds = this.map.getBounds();
         const zoom = this.map.getZoom();
 
         // Expand bounds slightly to include markers just outside viewport
         const expandedBounds = bounds.pad(0.1);
 
-        // Get markers within expanded viewport
+        // Get markers within expanded viewport - the grid index limits this to nearby cells
         const visibleMarkerData = [];
-        for (const [id, data] of this.allMarkerData) {
-            if (expandedBounds.contains([data.lat, data.lng])) {
+        for (const id of this.spatialIndex.query(expandedBounds)) {
+            const data = this.allMarkerData.get(id);
+            if (data && expandedBounds.contains([data.lat, data.lng]) && this.matchesMarkerFilter(data)) {
                 visibleMarkerData.push({ id, ...data });
             }
         }
@@ -210,9 +1132,10 @@ class ChatterMapManager {
 
         console.log(`Viewport update: ${visibleMarkerData.length} markers visible (zoom: ${zoom}, max: ${maxVisible}, maxZoom: ${this.getMaxZoom()})`);
 
-        // Remove markers no longer in viewport
+        // Remove markers no longer in viewport (Set lookup keeps the diff linear)
+        const visibleIds = new Set(visibleMarkerData.map(m => m.id));
         for (const markerId of this.visibleMarkers) {
-            if (!visibleMarkerData.find(m => m.id === markerId)) {
+            if (!visibleIds.has(markerId)) {
                 if (this.removeMarkerFromMap(markerId)) {
                     this.visibleMarkers.delete(markerId);
                 }
@@ -235,6 +1158,8 @@ class ChatterMapManager {
                 }
             }
         }
+
+        this.updateKeyboardTargets();
     }
 
     // Get maximum visible markers based on zoom level (adjusted for higher zoom levels)
@@ -264,6 +1189,8 @@ class ChatterMapManager {
 
     // Initialize continent-specific cluster groups to prevent cross-ocean clustering
     initializeClusterGroups() {
+        this.clusterGroupsAnimated = !this.isReducedMotion();
+
         // Use a single global cluster group instead of per-continent groups
         const clusterGroup = L.markerClusterGroup({
             maxClusterRadius: (zoom) => {
@@ -273,525 +1200,2223 @@ class ChatterMapManager {
             spiderfyOnMaxZoom: true,
             showCoverageOnHover: false,
             zoomToBoundsOnClick: true,
-            animate: true,
+            animate: this.clusterGroupsAnimated, // Only read when the group is created - see applyReducedMotion
             animateAddingMarkers: false, // Disable for better performance with many markers
             disableClusteringAtZoom: Math.min(this.getMaxZoom() + 1, 7), // Disable clustering at max zoom + 1
             maxClusterSize: 100, // Limit cluster size for performance
-            iconCreateFunction: (cluster) => {
-                // Calculate total viewer count from all markers in cluster
-                const markers = cluster.getAllChildMarkers();
-                let totalViewers = 0;
-
-                // OPTIMIZED: Use reverse lookup Map for O(1) performance instead of nested loop
-                markers.forEach(marker => {
-                    const markerId = this.markerToIdMap.get(marker);
-                    if (markerId) {
-                        const markerData = this.allMarkerData.get(markerId);
-                        const viewerCount = markerData?.count || 1;
-                        totalViewers += viewerCount;
-                    } else {
-                        // Fallback if marker data not found
-                        totalViewers += 1;
-                        console.warn('Cluster: Marker not found in reverse lookup, counting as 1');
-                    }
-                });
-
-                console.log(`Cluster created with ${markers.length} location markers representing ${totalViewers} total viewers`);
-
-                // Use totalViewers instead of childCount for display
-                const childCount = totalViewers;
-
-                // Define royal blue to dark purple gradient colors based on viewer count
-                let backgroundColor, textColor;
-                if (childCount < 10) {
-                    backgroundColor = '#4169E1'; // Royal Blue
-                    textColor = '#FFFFFF';
-                } else if (childCount < 25) {
-                    backgroundColor = '#6A5ACD'; // Slate Blue
-                    textColor = '#FFFFFF';
-                } else if (childCount < 50) {
-                    backgroundColor = '#8A2BE2'; // Blue Violet
-                    textColor = '#FFFFFF';
-                } else if (childCount < 100) {
-                    backgroundColor = '#9932CC'; // Dark Orchid
-                    textColor = '#FFFFFF';
-                } else {
-                    backgroundColor = '#4B0082'; // Indigo (Dark Purple)
-                    textColor = '#FFFFFF';
-                }
-
-                // Calculate icon size based on viewer count
-                let iconSize;
-                if (childCount < 10) {
-                    iconSize = 30;
-                } else if (childCount < 50) {
-                    iconSize = 35;
-                } else if (childCount < 100) {
-                    iconSize = 40;
-                } else {
-                    iconSize = 45;
-                }
-
-                return new L.DivIcon({
-                    html: `<div style="background-color: ${backgroundColor}; color: ${textColor}; width: ${iconSize}px; height: ${iconSize}px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: ${Math.max(10, iconSize * 0.3)}px; border: 2px solid rgba(255, 255, 255, 0.8); box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);"><span>${childCount}</span></div>`,
-                    className: 'marker-cluster-custom',
-                    iconSize: new L.Point(iconSize, iconSize)
-                });
-            }
+            iconCreateFunction: (cluster) => this.createClusterIcon(cluster)
         });
 
+        clusterGroup.on('clusterclick', event => this.notifyClusterInteraction(event.layer));
+        clusterGroup.on('animationend', () => this.updateKeyboardTargets());
+
         // Add single global cluster group
         this.markerClusterGroups.set('GLO', clusterGroup);
         this.map.addLayer(clusterGroup);
     }
 
-    // Add a marker to the map with count support (modified to support aggregation)
-    async addMarker(id, lat, lng, userType, description, service, count = 1) {
-        if (!this.map || this.markerClusterGroups.size === 0) {
-            console.error('Map not initialized');
-            return false;
+    // Configure cluster icons - see DEFAULT_CLUSTER_STYLE - and redraw existing clusters
+    setClusterStyle(options) {
+        const style = mergeOptions(DEFAULT_CLUSTER_STYLE, options);
+
+        if (!CLUSTER_SIZE_CURVES.includes(style.sizeCurve)) {
+            console.warn(`Unknown cluster size curve '${style.sizeCurve}', using '${DEFAULT_CLUSTER_STYLE.sizeCurve}'`);
+            style.sizeCurve = DEFAULT_CLUSTER_STYLE.sizeCurve;
+        }
+        if (!CLUSTER_BREAKDOWNS.includes(style.breakdown)) {
+            console.warn(`Unknown cluster breakdown '${style.breakdown}', using '${DEFAULT_CLUSTER_STYLE.breakdown}'`);
+            style.breakdown = DEFAULT_CLUSTER_STYLE.breakdown;
         }
 
-        try {
-            // Validate coordinates
-            if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
-                console.warn(`Invalid coordinates for marker ${id}: ${lat}, ${lng}`);
-                return false;
+        // Thresholds must ascend; palette and sizes need one entry per band, padded with their last value
+        style.thresholds = [...style.thresholds].sort((a, b) => a - b);
+        const bandCount = style.thresholds.length + 1;
+        const padToBands = (values, fallback) => {
+            const padded = values.length > 0 ? values.slice(0, bandCount) : [fallback];
+            while (padded.length < bandCount) {
+                padded.push(padded[padded.length - 1]);
+            }
+            return padded;
+        };
+        style.palette = padToBands(style.palette, DEFAULT_CLUSTER_STYLE.palette[0]);
+        style.sizes = padToBands(style.sizes, DEFAULT_CLUSTER_STYLE.sizes[0]);
+
+        // Breakdown colours merge per value, keyed in lower case
+        style.breakdownColors = { ...DEFAULT_CLUSTER_STYLE.breakdownColors };
+        for (const [key, color] of Object.entries(options?.breakdownColors ?? {})) {
+            if (color) {
+                style.breakdownColors[key.toLowerCase()] = color;
             }
+        }
 
-            // Store marker data without immediately adding to map
-            const markerData = {
-                lat, lng, userType, description, service, count,
-                continentCode: 'GLO' // Use global cluster group for all markers
-            };
+        this.clusterStyle = style;
+        this.markerClusterGroups.forEach(clusterGroup => clusterGroup.refreshClusters());
+        this.scheduleLegendUpdate();
+        return true;
+    }
 
-            this.allMarkerData.set(id, markerData);
+    // Build a cluster icon from the viewer counts of its markers, optionally with a donut breakdown
+    createClusterIcon(cluster) {
+        const style = this.clusterStyle;
+        const breakdownKey = style.breakdown === 'none' ? null : style.breakdown;
+        const breakdown = new Map();
 
-            // Only add to map if it would be visible in current viewport AND not already visible
-            if (this.map.getBounds().pad(0.1).contains([lat, lng]) && !this.visibleMarkers.has(id)) {
-                await this.addMarkerToMap({ id, ...markerData });
-                this.visibleMarkers.add(id);
+        // Calculate total viewer count from all markers in cluster
+        const markers = cluster.getAllChildMarkers();
+        let totalViewers = 0;
+
+        // OPTIMIZED: Use reverse lookup Map for O(1) performance instead of nested loop
+        markers.forEach(marker => {
+            const markerId = this.markerToIdMap.get(marker);
+            const markerData = markerId ? this.allMarkerData.get(markerId) : null;
+            if (!markerData) {
+                // Fallback if marker data not found
+                totalViewers += 1;
+                console.warn('Cluster: Marker not found in reverse lookup, counting as 1');
+                return;
             }
 
-            console.log(`Stored marker ${id} at ${lat}, ${lng} for ${userType} (${service}) with count ${count}`);
-            return true;
-        } catch (error) {
-            console.error(`Error adding marker ${id}:`, error);
-            return false;
+            const viewerCount = markerData.count || 1;
+            totalViewers += viewerCount;
+
+            if (breakdownKey) {
+                const value = String(markerData[breakdownKey] ?? 'unknown').toLowerCase();
+                breakdown.set(value, (breakdown.get(value) ?? 0) + viewerCount);
+            }
+        });
+
+        console.log(`Cluster created with ${markers.length} location markers representing ${totalViewers} total viewers`);
+
+        const band = this.getClusterBand(totalViewers);
+        const backgroundColor = style.palette[band];
+        const iconSize = this.getClusterIconSize(totalViewers, band);
+        const fontSize = Math.max(10, iconSize * 0.3);
+
+        // Screen readers get a description instead of the bare number drawn on the icon
+        const label = `<span class="chattermap-sr-only">Cluster of ${totalViewers} viewers at ${markers.length} locations</span>`;
+
+        if (breakdownKey && breakdown.size > 0) {
+            return new L.DivIcon({
+                html: label + this.createClusterDonut(totalViewers, breakdown, iconSize, backgroundColor, fontSize),
+                className: 'marker-cluster-custom marker-cluster-breakdown',
+                iconSize: new L.Point(iconSize, iconSize)
+            });
         }
+
+        return new L.DivIcon({
+            html: `<div style="background-color: ${escapeHtml(backgroundColor)}; color: ${escapeHtml(style.textColor)}; width: ${iconSize}px; height: ${iconSize}px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: ${fontSize}px; border: 2px solid rgba(255, 255, 255, 0.8); box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);">${label}<span aria-hidden="true">${totalViewers}</span></div>`,
+            className: 'marker-cluster-custom',
+            iconSize: new L.Point(iconSize, iconSize)
+        });
     }
 
-    // Internal method to add marker to the visible map (modified to support count)
-    async addMarkerToMap(markerData) {
-        const { id, lat, lng, userType, description, service, continentCode, count = 1 } = markerData;
+    // Index of the colour band a viewer count falls into
+    getClusterBand(count) {
+        const band = this.clusterStyle.thresholds.findIndex(threshold => count < threshold);
+        return band === -1 ? this.clusterStyle.thresholds.length : band;
+    }
 
-        // Check if marker already exists or is being added to prevent duplicates
-        if (this.markers.has(id) || this.pendingMarkers.has(id)) {
-            console.log(`Marker ${id} already exists or is being added, skipping duplicate addition`);
-            return true;
+    // Icon diameter in pixels for a viewer count, following the configured size curve
+    getClusterIconSize(count, band) {
+        const { sizeCurve, sizes, minSize, maxSize, maxSizeCount } = this.clusterStyle;
+        if (sizeCurve === 'bands') {
+            return sizes[band];
         }
 
-        // Mark as pending to prevent concurrent additions
-        this.pendingMarkers.add(id);
+        const scale = {
+            linear: value => value - 1,
+            sqrt: value => Math.sqrt(value - 1),
+            log: value => Math.log(value)
+        }[sizeCurve];
 
-        try {
-            const clusterGroup = this.markerClusterGroups.get(continentCode);
-            if (!clusterGroup) {
-                this.pendingMarkers.delete(id); // Clean up on error
-                console.error(`No cluster group found for continent ${continentCode}`);
-                return false;
-            }
+        const limit = Math.max(2, maxSizeCount);
+        const fraction = scale(Math.min(Math.max(count, 1), limit)) / scale(limit);
+        return Math.round(minSize + (maxSize - minSize) * fraction);
+    }
 
-            const iconUrl = await this.getIconUrl(userType, service);
-            const icon = this.createMarkerIcon(iconUrl, count, userType);
+    // SVG donut with one arc per breakdown value, largest first, around the total count
+    createClusterDonut(total, breakdown, size, centerColor, fontSize) {
+        const { breakdownColors, otherColor, textColor } = this.clusterStyle;
+        const center = size / 2;
+        const ringWidth = Math.max(4, size * 0.18);
+        const radius = center - ringWidth / 2;
+        const circumference = 2 * Math.PI * radius;
+
+        const entries = [...breakdown.entries()].sort((a, b) => b[1] - a[1]);
+        let offset = 0;
+        const arcs = entries.map(([value, count]) => {
+            const length = circumference * count / total;
+            const arc = `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="${escapeHtml(breakdownColors[value] ?? otherColor)}" stroke-width="${ringWidth}" stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 ${center} ${center})"></circle>`;
+            offset += length;
+            return arc;
+        }).join('');
+
+        const summary = entries.map(([value, count]) => `${value}: ${count}`).join(', ');
+        return `<svg aria-hidden="true" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" style="filter: drop-shadow(0 2px 4px rgba(0, 0, 0, 0.3));">`
+            + `<title>${escapeHtml(summary)}</title>`
+            + `<circle cx="${center}" cy="${center}" r="${center - ringWidth}" fill="${escapeHtml(centerColor)}"></circle>`
+            + arcs
+            + `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="central" fill="${escapeHtml(textColor)}" font-weight="bold" font-size="${fontSize}">${total}</text>`
+            + `</svg>`;
+    }
 
-        const marker = L.marker([lat, lng], {
-            icon: icon,
-            title: description // Tooltip on hover
-        });
+    // Show, hide or reconfigure the legend control - see DEFAULT_LEGEND_OPTIONS
+    setLegendOptions(options) {
+        this.legendOptions = mergeOptions(DEFAULT_LEGEND_OPTIONS, options);
 
-        // Create rich popup content
-        const popupContent = `
-            <div style="font-family: 'Segoe UI', sans-serif; max-width: 200px;">
-         <div style="font-weight: bold; color: #495057; margin-bottom: 8px; font-size: 1.1em;">${description}</div>
-   ${count > 1 ? `<div style="margin-bottom: 4px;"><strong>Viewers:</strong> <span style="color: #dc3545;">${count}</span></div>` : ''}
-   <div style="margin-bottom: 4px;"><strong>Type:</strong> <span style="color: #6c757d;">${userType}</span></div>
-    <div style="margin-bottom: 4px;"><strong>Service:</strong> <span style="color: #007bff;">${service}</span></div>
-      <div style="font-size: 0.85em; color: #868e96;">
-       <strong>Coordinates:</strong><br>
-    ${lat.toFixed(4)}, ${lng.toFixed(4)}<br>
-        <strong>Continent:</strong> ${continentCode}
-     </div>
-      </div>
-        `;
+        if (this.legendControl) {
+            this.legendControl.remove();
+            this.legendControl = null;
+        }
 
-        marker.bindPopup(popupContent, {
-            maxWidth: 250,
-            className: 'custom-popup'
+        if (this.legendOptions.enabled && this.map) {
+            this.legendControl = L.control({ position: this.legendOptions.position });
+            this.legendControl.onAdd = () => this.createLegendContainer();
+            this.legendControl.addTo(this.map);
+            this.updateLegend();
+        }
+        return true;
+    }
+
+    // Switch a legend category on or off - kind is 'service' or 'userType'
+    toggleLegendCategory(kind, value) {
+        const hidden = kind === 'service' ? this.legendHidden.services : this.legendHidden.userTypes;
+        const key = String(value ?? '').toLowerCase();
+        if (hidden.has(key)) {
+            hidden.delete(key);
+        } else {
+            hidden.add(key);
+        }
+
+        this.applyMarkerFilter();
+        return !hidden.has(key);
+    }
+
+    // Legend container with a collapsible header; the body is filled by updateLegend
+    createLegendContainer() {
+        const container = L.DomUtil.create('div', 'chattermap-legend leaflet-bar');
+        container.classList.toggle('collapsed', this.legendOptions.collapsed);
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        const header = L.DomUtil.create('button', 'chattermap-legend-header', container);
+        header.type = 'button';
+        header.textContent = this.legendOptions.title;
+        header.setAttribute('aria-expanded', String(!this.legendOptions.collapsed));
+        header.addEventListener('click', () => {
+            const collapsed = container.classList.toggle('collapsed');
+            header.setAttribute('aria-expanded', String(!collapsed));
         });
 
-        // Store marker reference with continent info
-        this.markers.set(id, { marker, continentCode });
+        L.DomUtil.create('div', 'chattermap-legend-body', container);
+        return container;
+    }
 
-        // Maintain reverse lookup for O(1) cluster aggregation
-        this.markerToIdMap.set(marker, id);
+    // Batch legend refreshes while markers stream in
+    scheduleLegendUpdate() {
+        if (!this.legendControl || this.legendUpdateTimer) return;
 
-            // Add to appropriate continent cluster group
-            clusterGroup.addLayer(marker);
+        this.legendUpdateTimer = setTimeout(() => {
+            this.legendUpdateTimer = null;
+            this.updateLegend();
+        }, 250);
+    }
 
-            // Remove from pending now that it's successfully added
-            this.pendingMarkers.delete(id);
-            
-            console.log(`Successfully added marker ${id} to map at ${lat}, ${lng}`);
-            return true;
-        } catch (error) {
-            // Clean up pending state on error
-            this.pendingMarkers.delete(id);
-            console.error(`Error adding marker ${id}:`, error);
-            return false;
+    // Viewer counts per service and user type across all stored markers (filtered or not)
+    getLegendCounts() {
+        const services = new Map();
+        const userTypes = new Map();
+        const add = (counts, value, count) => {
+            const key = String(value ?? 'unknown').toLowerCase();
+            const entry = counts.get(key) ?? { value: value ?? 'Unknown', count: 0 };
+            entry.count += count;
+            counts.set(key, entry);
+        };
+
+        for (const data of this.allMarkerData.values()) {
+            const count = data.count || 1;
+            add(services, data.service, count);
+            add(userTypes, data.userType, count);
+        }
+
+        // Keep switched-off categories listed so they can be switched back on
+        for (const key of this.legendHidden.services) {
+            if (!services.has(key)) services.set(key, { value: key, count: 0 });
+        }
+        for (const key of this.legendHidden.userTypes) {
+            if (!userTypes.has(key)) userTypes.set(key, { value: key, count: 0 });
         }
+
+        const byCount = (a, b) => b[1].count - a[1].count;
+        return {
+            services: [...services.entries()].sort(byCount),
+            userTypes: [...userTypes.entries()].sort((a, b) =>
+                this.getUserTypePriority(b[0]) - this.getUserTypePriority(a[0]) || byCount(a, b))
+        };
     }
 
-    // Create marker icon with optional count badge
-    createMarkerIcon(iconUrl, count, userType) {
-        if (count <= 1) {
-            // Standard icon without badge
-            return L.icon({
-                iconUrl: iconUrl,
-                iconSize: [20, 20],
-                iconAnchor: [10, 10],
-                popupAnchor: [0, -10],
-                className: `marker-${userType.toLowerCase()}`
-            });
+    // Rebuild the legend body from the current counts, icons and cluster colours
+    async updateLegend() {
+        const control = this.legendControl;
+        const body = control?.getContainer()?.querySelector('.chattermap-legend-body');
+        if (!body) return;
+
+        const { services, userTypes } = this.getLegendCounts();
+        const sections = [];
+
+        if (services.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'chattermap-legend-empty';
+            empty.textContent = 'No viewers yet';
+            sections.push(empty);
         } else {
-            // Create custom icon with count badge
-            const html = `
-              <div style="position: relative; width: 24px; height: 24px;">
-         <img src="${iconUrl}" style="width: 20px; height: 20px;" />
-      <div style="
-      position: absolute;
-            top: -8px;
-        right: -8px;
-         background: #dc3545;
-      color: white;
-border-radius: 50%;
- width: 18px;
-           height: 18px;
-                    display: flex;
-    align-items: center;
-justify-content: center;
-              font-size: 10px;
-    font-weight: bold;
-   border: 2px solid white;
-   box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-   ">${count}</div>
-              </div>
-   `;
+            sections.push(
+                await this.createLegendSection('Services', 'service', services,
+                    key => this.getIconUrl('user', services.find(([k]) => k === key)?.[1].value)),
+                await this.createLegendSection('Roles', 'userType', userTypes,
+                    key => this.getIconUrl(key, services[0]?.[1].value)));
+        }
 
-            return L.divIcon({
-                html: html,
-                iconSize: [24, 24],
-                iconAnchor: [12, 12],
-                popupAnchor: [0, -12],
-                className: `marker-${userType.toLowerCase()}-aggregated`
-            });
+        if (this.legendOptions.showClusterColors && this.displayMode === 'clusters') {
+            sections.push(this.createClusterLegendSection());
+        }
+
+        // The control may have been replaced or removed while icons resolved
+        if (this.legendControl === control) {
+            body.replaceChildren(...sections);
         }
     }
 
-    // Get icon URL from C# component or use default
-    async getIconUrl(userType, service) {
-        // Try to get icon URL from C# callback first
-        if (this.dotNetObjectRef) {
+    // One legend section of toggle buttons: icon, label and viewer count
+    async createLegendSection(title, kind, entries, resolveIcon) {
+        const section = document.createElement('div');
+        section.className = 'chattermap-legend-section';
+
+        const heading = document.createElement('div');
+        heading.className = 'chattermap-legend-heading';
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        const hidden = kind === 'service' ? this.legendHidden.services : this.legendHidden.userTypes;
+        for (const [key, { value, count }] of entries) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'chattermap-legend-entry';
+            button.setAttribute('aria-pressed', String(!hidden.has(key)));
+            button.addEventListener('click', () => {
+                const shown = this.toggleLegendCategory(kind, key);
+                button.setAttribute('aria-pressed', String(shown));
+            });
+
+            const icon = document.createElement('img');
+            icon.className = 'chattermap-legend-icon';
+            icon.alt = '';
             try {
-                const iconUrl = await this.dotNetObjectRef.invokeMethodAsync('GetIconUrl', userType, service);
-                if (iconUrl) {
-                    console.log(`Got icon URL from C#: ${iconUrl} for ${userType}/${service}`);
-                    return iconUrl;
-                } else {
-                    return this.getDefaultIconUrl(userType, service);
-                }
+                icon.src = await resolveIcon(key);
             } catch (error) {
-                console.warn('Failed to get icon URL from C#, using JavaScript fallback:', error);
+                icon.src = this.getDefaultIconUrl(key, value);
             }
-        }
 
-        // Fallback to JavaScript-side defaults if C# callback fails or returns null
-        return this.getDefaultIconUrl(userType, service);
+            const label = document.createElement('span');
+            label.className = 'chattermap-legend-label';
+            label.textContent = kind === 'userType' ? (USER_TYPE_LABELS[key] ?? value) : value;
+
+            const countLabel = document.createElement('span');
+            countLabel.className = 'chattermap-legend-count';
+            countLabel.textContent = count;
+
+            button.append(icon, label, countLabel);
+            section.appendChild(button);
+        }
+        return section;
     }
 
-    // Default icon URL logic (fallback when C# doesn't provide custom icons)
-    getDefaultIconUrl(userType, service) {
-        return "/_content/Fritz.Charlie.Components/img/pin.webp";
+    // Swatches for the cluster colour bands and a note on pin badges
+    createClusterLegendSection() {
+        const { thresholds, palette } = this.clusterStyle;
+        const section = document.createElement('div');
+        section.className = 'chattermap-legend-section';
+
+        const heading = document.createElement('div');
+        heading.className = 'chattermap-legend-heading';
+        heading.textContent = 'Clusters (viewers)';
+        section.appendChild(heading);
+
+        palette.forEach((color, band) => {
+            const lower = band === 0 ? 1 : thresholds[band - 1];
+            const upper = thresholds[band];
+            const row = document.createElement('div');
+            row.className = 'chattermap-legend-band';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'chattermap-legend-swatch';
+            swatch.style.backgroundColor = color;
+
+            const label = document.createElement('span');
+            label.textContent = upper === undefined ? `${lower}+`
+                : upper - 1 > lower ? `${lower}–${upper - 1}`
+                : `${lower}`;
+
+            row.append(swatch, label);
+            section.appendChild(row);
+        });
+
+        const note = document.createElement('div');
+        note.className = 'chattermap-legend-note';
+        note.textContent = 'A number on a pin counts viewers at that spot';
+        section.appendChild(note);
+        return section;
     }
 
-    // Update an existing aggregated marker with new count and popup content
-    async updateAggregatedMarker(id, count, popupContent) {
-        if (!this.map) {
-            console.error('Map not initialized');
-            return false;
+    // Configure marker aging - see DEFAULT_AGING_OPTIONS - and apply it straight away
+    setAgingOptions(options) {
+        this.agingOptions = mergeOptions(DEFAULT_AGING_OPTIONS, options);
+
+        if (this.agingTimer) {
+            clearInterval(this.agingTimer);
+            this.agingTimer = null;
         }
 
-        try {
-            const markerInfo = this.markers.get(id);
-            if (!markerInfo) {
-                console.warn(`Marker ${id} not found for update`);
-                return false;
-            }
+        if (this.agingOptions.enabled) {
+            this.agingTimer = setInterval(() => this.updateMarkerAges(), Math.max(this.agingOptions.checkIntervalMs, 1000));
+        }
 
-            const { marker, continentCode } = markerInfo;
-            const markerData = this.allMarkerData.get(id);
+        this.updateMarkerAges();
+        return true;
+    }
 
-            if (!markerData) {
-                console.warn(`Marker data for ${id} not found`);
-                return false;
-            }
+    // Opacity for a marker from how long ago its viewers were last seen
+    getMarkerOpacity(markerData, now = Date.now()) {
+        const { enabled, fadeAfterMs, fadeDurationMs, minOpacity } = this.agingOptions;
+        if (!enabled || !markerData?.lastSeen) return 1;
 
-            // Update stored count
-            markerData.count = count;
-            this.allMarkerData.set(id, markerData);
+        const fadingFor = now - markerData.lastSeen - fadeAfterMs;
+        if (fadingFor <= 0) return 1;
 
-            // Update the marker icon with new count
-            const iconUrl = await this.getIconUrl(markerData.userType, markerData.service);
-            const icon = this.createMarkerIcon(iconUrl, count, markerData.userType);
-            marker.setIcon(icon);
+        const progress = fadeDurationMs > 0 ? Math.min(1, fadingFor / fadeDurationMs) : 1;
+        return 1 - progress * (1 - minOpacity);
+    }
 
-            // Update popup content
-            marker.setPopupContent(popupContent);
+    // Fade rendered markers by age and expire markers unseen for longer than the TTL
+    updateMarkerAges() {
+        if (!this.map) return;
 
-            // Refresh the cluster to update viewer counts in cluster icons
-            const clusterGroup = this.markerClusterGroups.get(continentCode);
-            if (clusterGroup) {
-                // Remove and re-add the marker to force cluster refresh
-                clusterGroup.removeLayer(marker);
-                clusterGroup.addLayer(marker);
+        const now = Date.now();
+        const { enabled, ttlMs } = this.agingOptions;
 
-                // Force cluster icon refresh by triggering a view refresh
-                clusterGroup.refreshClusters();
+        if (enabled && ttlMs > 0) {
+            const expired = [];
+            for (const [id, data] of this.allMarkerData) {
+                if (now - data.lastSeen > ttlMs) {
+                    expired.push(id);
+                }
             }
 
-            console.log(`Updated aggregated marker ${id} with count ${count} and refreshed cluster`);
-            return true;
-        } catch (error) {
-            console.error(`Error updating aggregated marker ${id}:`, error);
+            if (expired.length > 0) {
+                expired.forEach(id => this.removeMarker(id));
+                console.log(`Expired ${expired.length} markers unseen for over ${ttlMs}ms`);
+                this.notifyMarkersExpired(expired);
+            }
+        }
+
+        for (const [id, { marker }] of this.markers) {
+            marker.setOpacity(this.getMarkerOpacity(this.allMarkerData.get(id), now));
+        }
+    }
+
+    // Tell C# which markers expired so it can drop their aggregates
+    notifyMarkersExpired(ids) {
+        if (this.dotNetObjectRef) {
+            this.dotNetObjectRef.invokeMethodAsync('OnMarkersExpired', ids)
+                .catch(err => console.warn('Failed to notify expired markers:', err));
+        }
+    }
+
+    // Show or hide the replay control - see DEFAULT_REPLAY_OPTIONS
+    setReplayOptions(options) {
+        this.replayOptions = mergeOptions(DEFAULT_REPLAY_OPTIONS, options);
+
+        if (this.replayControl) {
+            this.replayControl.remove();
+            this.replayControl = null;
+        }
+
+        if (this.replayOptions.enabled && this.map) {
+            this.replayControl = L.control({ position: this.replayOptions.position });
+            this.replayControl.onAdd = () => this.createReplayContainer();
+            this.replayControl.addTo(this.map);
+            this.updateReplayControl();
+        }
+        return true;
+    }
+
+    // Earliest and latest marker timestamps, or null when no markers are stored
+    getTimelineRange() {
+        let from = Infinity;
+        let to = -Infinity;
+        for (const { timestamp } of this.allMarkerData.values()) {
+            if (timestamp < from) from = timestamp;
+            if (timestamp > to) to = timestamp;
+        }
+        return from <= to ? { from, to } : null;
+    }
+
+    // Replay the audience arriving: the time cursor runs from the first marker to the last in durationMs
+    // (or at speed x real time) and markers reappear in the order they first showed up.
+    // options: {durationMs, speed, from, to} - times in ms since the epoch or date strings
+    startReplay(options = {}) {
+        const range = this.getTimelineRange();
+        const from = toEpochMs(options.from) ?? range?.from;
+        const to = toEpochMs(options.to) ?? range?.to;
+        if (!this.map || from === undefined || to === undefined || to < from) {
+            console.warn('Cannot start replay: no markers with timestamps in range');
             return false;
         }
+
+        const durationMs = options.speed > 0
+            ? (to - from) / options.speed
+            : options.durationMs > 0 ? options.durationMs : this.replayOptions.durationMs;
+
+        this.stopReplayTimer();
+        this.replay = { from, to, durationMs: Math.max(durationMs, 1), playing: false, timer: null, lastTick: 0 };
+        this.setTimeCursor(from);
+        console.log(`Replay started: ${new Date(from).toISOString()} to ${new Date(to).toISOString()} in ${Math.round(durationMs)}ms`);
+        return this.resumeReplay();
+    }
+
+    // Pause the replay, keeping the map as of the current time cursor
+    pauseReplay() {
+        if (!this.replay?.playing) return false;
+
+        this.stopReplayTimer();
+        this.replay.playing = false;
+        this.updateReplayControl();
+        this.notifyReplayStatusChanged();
+        return true;
+    }
+
+    // Continue a paused replay (from the start again if it had reached the end)
+    resumeReplay() {
+        if (!this.replay || this.replay.playing) return false;
+
+        if (this.timeCursor === null || this.timeCursor >= this.replay.to) {
+            this.setTimeCursor(this.replay.from);
+        }
+
+        this.replay.playing = true;
+        this.replay.lastTick = performance.now();
+        this.replay.timer = setInterval(() => this.advanceReplay(), this.replayOptions.tickMs);
+        this.updateReplayControl();
+        this.notifyReplayStatusChanged();
+        return true;
+    }
+
+    // End the replay and return to the live map
+    stopReplay() {
+        this.stopReplayTimer();
+        const wasActive = this.replay !== null || this.timeCursor !== null;
+        this.replay = null;
+        this.setTimeCursor(null);
+        this.updateReplayControl();
+
+        if (wasActive) {
+            console.log('Replay stopped');
+            this.notifyReplayStatusChanged();
+        }
+        return true;
+    }
+
+    stopReplayTimer() {
+        if (this.replay?.timer) {
+            clearInterval(this.replay.timer);
+            this.replay.timer = null;
+        }
     }
 
-    // Show pin celebration with animation and modal
-    async showPinCelebration(lat, lng, description, service, userType, duration) {
-        if (!this.map || this.tourActive || this.celebrationActive) {
-            console.log('Skipping celebration - tour active or celebration in progress');
+    // Move the time cursor by the wall-clock time since the last tick, scaled to the replay speed
+    advanceReplay() {
+        if (!this.replay?.playing) return;
+
+        const now = performance.now();
+        const elapsed = now - this.replay.lastTick;
+        this.replay.lastTick = now;
+
+        const { from, to, durationMs } = this.replay;
+        const cursor = (this.timeCursor ?? from) + elapsed * (to - from) / durationMs;
+
+        if (cursor >= to) {
+            // Replay finished - hand back to the live map
+            console.log('Replay finished');
+            this.stopReplay();
             return;
         }
 
-        this.celebrationActive = true;
-        console.log(`Showing celebration for ${description} at ${lat}, ${lng}`);
+        this.setTimeCursor(cursor);
+    }
+
+    // Show the map as of time T (ms since the epoch or a date string); null returns to the live map
+    setTimeCursor(time) {
+        const cursor = toEpochMs(time);
+        if (cursor === this.timeCursor) return true;
+
+        this.timeCursor = cursor;
+        this.applyMarkerFilter();
+        this.updateReplayControl();
+        return true;
+    }
+
+    // Replay state for .NET
+    getReplayStatus() {
+        return {
+            active: this.replay !== null,
+            playing: this.replay?.playing ?? false,
+            cursor: this.timeCursor,
+            from: this.replay?.from ?? null,
+            to: this.replay?.to ?? null
+        };
+    }
+
+    // Replay control: play/pause, scrubber, time label and a button back to the live map
+    createReplayContainer() {
+        const container = L.DomUtil.create('div', 'chattermap-replay leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        const playButton = L.DomUtil.create('button', 'chattermap-replay-play', container);
+        playButton.type = 'button';
+        playButton.addEventListener('click', () => {
+            if (this.replay?.playing) {
+                this.pauseReplay();
+            } else if (this.replay) {
+                this.resumeReplay();
+            } else {
+                this.startReplay();
+            }
+        });
+
+        const scrubber = L.DomUtil.create('input', 'chattermap-replay-scrubber', container);
+        scrubber.type = 'range';
+        scrubber.setAttribute('aria-label', 'Replay time');
+        // The live range grows as markers arrive - refresh it as the scrubber is grabbed
+        scrubber.addEventListener('pointerdown', () => {
+            if (!this.replay) this.updateReplayControl();
+        });
+        scrubber.addEventListener('input', () => {
+            // Scrubbing loads a paused replay at the chosen time
+            if (!this.replay) {
+                const range = this.getTimelineRange();
+                if (!range) return;
+                this.replay = { ...range, durationMs: this.replayOptions.durationMs, playing: false, timer: null, lastTick: 0 };
+            }
+            this.pauseReplay();
+            this.setTimeCursor(Number(scrubber.value));
+        });
+        scrubber.addEventListener('change', () => this.notifyReplayStatusChanged());
+
+        const label = L.DomUtil.create('span', 'chattermap-replay-time', container);
+        label.setAttribute('aria-live', 'off');
+
+        const liveButton = L.DomUtil.create('button', 'chattermap-replay-live', container);
+        liveButton.type = 'button';
+        liveButton.textContent = 'Live';
+        liveButton.title = 'Back to the live map';
+        liveButton.addEventListener('click', () => this.stopReplay());
+
+        return container;
+    }
+
+    // Sync the replay control with the replay state
+    updateReplayControl() {
+        const container = this.replayControl?.getContainer();
+        if (!container) return;
+
+        const playButton = container.querySelector('.chattermap-replay-play');
+        const scrubber = container.querySelector('.chattermap-replay-scrubber');
+        const label = container.querySelector('.chattermap-replay-time');
+        const liveButton = container.querySelector('.chattermap-replay-live');
+
+        const playing = this.replay?.playing ?? false;
+        playButton.textContent = playing ? '⏸' : '▶';
+        playButton.title = playing ? 'Pause replay' : 'Replay the audience arriving';
+
+        const range = this.replay ?? this.getTimelineRange();
+        scrubber.disabled = !range;
+        if (range) {
+            scrubber.min = range.from;
+            scrubber.max = range.to;
+            scrubber.value = this.timeCursor ?? range.to;
+        }
+
+        label.textContent = this.timeCursor === null
+            ? 'Live'
+            : new Date(this.timeCursor).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        liveButton.disabled = this.timeCursor === null;
+    }
+
+    // Notify C# when a replay starts, pauses, resumes, is scrubbed or ends (not on every tick)
+    notifyReplayStatusChanged() {
+        if (this.dotNetObjectRef) {
+            const { active, playing, cursor } = this.getReplayStatus();
+            this.dotNetObjectRef.invokeMethodAsync('OnReplayStatusChanged', active, playing, cursor)
+                .catch(err => console.warn('Failed to notify replay status change:', err));
+        }
+    }
+
+    // Add a marker to the map with count support (modified to support aggregation)
+    async addMarker(id, lat, lng, userType, description, service, count = 1, timestamp = null) {
+        if (!this.map || this.markerClusterGroups.size === 0) {
+            console.error('Map not initialized');
+            return false;
+        }
 
         try {
-            // Create confetti/fireworks effect at the location
-            this.createCelebrationEffect(lat, lng);
+            // Validate coordinates
+            const invalidReason = this.validateMarkerRecord({ id, lat, lng });
+            if (invalidReason) {
+                console.warn(`Invalid marker ${id}: ${invalidReason}`);
+                return false;
+            }
 
-            // Zoom to the location with animation
-            const targetZoom = Math.min(8, this.getMaxZoom()); // Close-up view
-            this.map.flyTo([lat, lng], targetZoom, {
-                animate: true,
-                duration: 1.5,
-                easeLinearity: 0.25
-            });
+            const isNew = !this.allMarkerData.has(id);
 
-            // Wait for zoom animation to complete
-            await this.sleep(1500);
+            // Store marker data without immediately adding to map
+            const markerData = this.storeMarkerData(id, { lat, lng, userType, description, service, count, timestamp });
 
-            // Show modal overlay with location details
-            this.showLocationModal(description, service, userType, lat, lng);
+            if (isNew && this.matchesMarkerFilter(markerData)) {
+                this.showArrivalArc(lat, lng, service);
+                this.announceArrival(description);
+            }
 
-            // Auto-dismiss after duration
-            this.celebrationTimeout = setTimeout(() => {
-                this.dismissLocationModal();
-                this.celebrationActive = false;
-            }, duration);
+            // Only add to map if it would be visible in current viewport, passes the filter AND not already visible
+            if (this.displayMode !== 'heatmap' && this.matchesMarkerFilter(markerData) &&
+                this.map.getBounds().pad(0.1).contains([lat, lng]) && !this.visibleMarkers.has(id)) {
+                await this.addMarkerToMap({ id, ...markerData });
+                this.visibleMarkers.add(id);
+            }
 
+            console.log(`Stored marker ${id} at ${lat}, ${lng} for ${userType} (${service}) with count ${count}`);
+            return true;
         } catch (error) {
-            console.error('Error in showPinCelebration:', error);
-            this.celebrationActive = false;
+            console.error(`Error adding marker ${id}:`, error);
+            return false;
         }
     }
 
-    // Create visual celebration effect (confetti/fireworks)
-    createCelebrationEffect(lat, lng) {
-        const mapElement = document.getElementById(this.elementId);
-        const point = this.map.latLngToContainerPoint([lat, lng]);
+    // Add or update many markers in a single call - validate and store them all, then render the visible subset once.
+    // Records for ids already stored update that marker - see storeMarkerData for what an update keeps
+    async addMarkers(records) {
+        const result = { accepted: 0, rejected: [] };
+        const redrawn = [];
 
-        // Create celebration container
-        const celebrationContainer = document.createElement('div');
-        celebrationContainer.className = 'pin-celebration-effect';
-        celebrationContainer.style.cssText = `
-  position: absolute;
-      left: ${point.x}px;
-    top: ${point.y}px;
- width: 100px;
-    height: 100px;
-    margin-left: -50px;
-    margin-top: -50px;
-            pointer-events: none;
-            z-index: 2000;
-        `;
+        if (!this.map || this.markerClusterGroups.size === 0) {
+            console.error('Map not initialized');
+            return result;
+        }
 
-        // Create multiple confetti particles
-        for (let i = 0; i < 20; i++) {
-            const confetti = document.createElement('div');
-            const colors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#f7b731', '#5f27cd', '#00d2d3'];
-            const color = colors[Math.floor(Math.random() * colors.length)];
-            const angle = (Math.PI * 2 * i) / 20;
-            const velocity = 50 + Math.random() * 50;
-            const dx = Math.cos(angle) * velocity;
-            const dy = Math.sin(angle) * velocity;
-
-            confetti.style.cssText = `
-  position: absolute;
-   left: 50%;
-top: 50%;
-       width: 8px;
-      height: 8px;
-    background: ${color};
-                border-radius: 50%;
-                animation: confetti-burst 0.8s ease-out forwards;
-        --dx: ${dx}px;
-       --dy: ${dy}px;
-      `;
-
-            celebrationContainer.appendChild(confetti);
-        }
-
-        // Add pulsing ring effect
-        const ring = document.createElement('div');
-        ring.style.cssText = `
-            position: absolute;
+        for (const record of records || []) {
+            const invalidReason = this.validateMarkerRecord(record);
+            if (invalidReason) {
+                result.rejected.push({ id: record?.id ?? null, reason: invalidReason });
+                continue;
+            }
+
+            const { id, lat, lng, userType, description, service, count = 1, popupContent = null, popupTrusted = false, timestamp = null, lastSeen = null } = record;
+            this.storeMarkerData(id, { lat, lng, userType, description, service, count, popupContent, popupTrusted, timestamp, lastSeen });
+            result.accepted++;
+
+            // A record for a marker already on the map updates it in place
+            if (this.markers.has(id)) {
+                redrawn.push(id);
+            }
+        }
+
+        try {
+            const layers = [];
+            for (const id of redrawn) {
+                const marker = await this.redrawMarker(id);
+                if (marker) layers.push(marker);
+            }
+            if (layers.length > 0 && this.displayMode === 'clusters') {
+                this.markerClusterGroups.forEach(clusterGroup => clusterGroup.refreshClusters(layers));
+            }
+
+            await this.updateVisibleMarkers();
+        } catch (error) {
+            console.error('Error rendering batch markers:', error);
+        }
+
+        console.log(`Stored ${result.accepted} markers in batch, rejected ${result.rejected.length}`);
+        return result;
+    }
+
+    // Load markers from a GeoJSON FeatureCollection of Points, e.g. hand-curated or historical locations
+    // mapping picks the properties used for each field - see DEFAULT_GEOJSON_IMPORT_MAPPING
+    // Resolves to {accepted, rejected: [{id, index, reason}]}, which is also reported to .NET
+    async importGeoJson(geojson, mapping = {}) {
+        const result = { accepted: 0, rejected: [] };
+        const config = mergeOptions(DEFAULT_GEOJSON_IMPORT_MAPPING, mapping);
+
+        let collection = geojson;
+        try {
+            if (typeof collection === 'string') {
+                collection = JSON.parse(collection);
+            }
+        } catch (error) {
+            result.rejected.push({ id: null, index: null, reason: `Not valid JSON: ${error.message}` });
+            this.notifyMarkersImported(result);
+            return result;
+        }
+
+        if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+            result.rejected.push({ id: null, index: null, reason: 'Not a GeoJSON FeatureCollection' });
+            this.notifyMarkersImported(result);
+            return result;
+        }
+
+        const readProperty = (properties, names) => {
+            for (const name of [].concat(names ?? [])) {
+                const value = properties[name];
+                if (value !== null && value !== undefined && value !== '') return value;
+            }
+            return null;
+        };
+
+        const records = [];
+        const indexes = new Map(); // Marker ID -> feature index, to report rejections from addMarkers
+        collection.features.forEach((feature, index) => {
+            const properties = feature?.properties ?? {};
+            const rawId = readProperty(properties, config.id) ?? feature?.id ?? index;
+            const id = `${config.idPrefix ?? ''}${rawId}`;
+            const reject = reason => result.rejected.push({ id, index, reason });
+
+            if (feature?.type !== 'Feature') {
+                return reject('Not a GeoJSON Feature');
+            }
+            if (feature.geometry?.type !== 'Point' || !Array.isArray(feature.geometry.coordinates)) {
+                return reject(`Geometry is ${feature.geometry?.type ?? 'missing'}, not a Point`);
+            }
+            if (indexes.has(id) || this.allMarkerData.has(id)) {
+                return reject('Duplicate marker ID');
+            }
+
+            // GeoJSON positions are [longitude, latitude]
+            const [lng, lat] = feature.geometry.coordinates;
+            const count = Number(readProperty(properties, config.count) ?? 1);
+            const record = {
+                id,
+                lat,
+                lng,
+                userType: String(readProperty(properties, config.userType) ?? config.defaultUserType),
+                service: readProperty(properties, config.service) ?? config.defaultService,
+                description: String(readProperty(properties, config.description) ?? ''),
+                count: Number.isInteger(count) && count > 0 ? count : 1,
+                timestamp: readProperty(properties, config.timestamp),
+                lastSeen: readProperty(properties, config.lastSeen)
+            };
+
+            const invalidReason = this.validateMarkerRecord(record);
+            if (invalidReason) {
+                return reject(invalidReason);
+            }
+
+            indexes.set(id, index);
+            records.push(record);
+        });
+
+        const batch = await this.addMarkers(records);
+        result.accepted = batch.accepted;
+        result.rejected.push(...batch.rejected.map(rejected => ({ ...rejected, index: indexes.get(rejected.id) ?? null })));
+        result.rejected.sort((a, b) => (a.index ?? -1) - (b.index ?? -1));
+
+        console.log(`Imported ${result.accepted} of ${collection.features.length} GeoJSON features, rejected ${result.rejected.length}`);
+        this.notifyMarkersImported(result);
+        return result;
+    }
+
+    notifyMarkersImported(result) {
+        if (this.dotNetObjectRef) {
+            this.dotNetObjectRef.invokeMethodAsync('OnMarkersImported', result)
+                .catch(err => console.warn('Failed to notify imported markers:', err));
+        }
+    }
+
+    // Check a marker record before storing it - returns the rejection reason, or null when valid
+    validateMarkerRecord(record) {
+        if (!record || record.id === null || record.id === undefined || record.id === '') {
+            return 'Missing marker ID';
+        }
+
+        const { lat, lng } = record;
+        if (typeof lat !== 'number' || typeof lng !== 'number' || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+            return `Coordinates are not numbers: ${lat}, ${lng}`;
+        }
+
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return `Coordinates out of range: ${lat}, ${lng}`;
+        }
+
+        return null;
+    }
+
+    // Store marker data and keep the spatial index and heatmap in step with it
+    // timestamp is when the marker first appeared (ms since epoch or a date string), defaulting to now;
+    // lastSeen is when any of its viewers was last seen, defaulting to timestamp.
+    // For a marker already stored, values left out (null) keep what it had - its first-seen time above all
+    storeMarkerData(id, { lat, lng, userType, description, service, count = 1, popupContent = null, popupTrusted = false, timestamp = null, lastSeen = null }) {
+        const existing = this.allMarkerData.get(id);
+        const firstSeen = toEpochMs(timestamp) ?? existing?.timestamp ?? Date.now();
+        const keepPopup = popupContent === null && existing;
+        const markerData = {
+            lat, lng,
+            userType: userType ?? existing?.userType,
+            description: description ?? existing?.description,
+            service: service ?? existing?.service,
+            count,
+            popupContent: keepPopup ? existing.popupContent : popupContent,
+            popupTrusted: keepPopup ? existing.popupTrusted : popupTrusted,
+            timestamp: firstSeen,
+            lastSeen: toEpochMs(lastSeen) ?? existing?.lastSeen ?? firstSeen,
+            continentCode: 'GLO' // Use global cluster group for all markers
+        };
+
+        this.allMarkerData.set(id, markerData);
+        this.spatialIndex.insert(id, lat, lng);
+        this.syncHeatmapPoint(id, markerData);
+        this.scheduleLegendUpdate();
+        this.scheduleOverlayFit();
+
+        return markerData;
+    }
+
+    // Keep a marker's heatmap point in step with its data and the current filter
+    syncHeatmapPoint(id, markerData) {
+        if (this.matchesMarkerFilter(markerData)) {
+            this.heatmap.setPoint(id, markerData.lat, markerData.lng, markerData.count);
+        } else {
+            this.heatmap.removePoint(id);
+        }
+    }
+
+    // Filter stored markers by service, user type and time window without discarding them:
+    // {services: ['YouTube'], userTypes: ['subscriber', 'vip'], withinMs: 1800000, from, to}
+    // Empty or missing criteria match everything; null clears the filter
+    setMarkerFilter(filter) {
+        const toSet = values => Array.isArray(values) && values.length > 0
+            ? new Set(values.map(value => String(value).toLowerCase()))
+            : null;
+
+        const normalized = filter ? {
+            services: toSet(filter.services),
+            userTypes: toSet(filter.userTypes),
+            withinMs: filter.withinMs > 0 ? filter.withinMs : null,
+            from: toEpochMs(filter.from),
+            to: toEpochMs(filter.to)
+        } : null;
+
+        const isEmpty = !normalized || Object.values(normalized).every(value => value === null);
+        this.markerFilter = isEmpty ? null : normalized;
+
+        // A rolling window keeps moving, so re-apply it while it is set
+        if (this.markerFilterTimer) {
+            clearInterval(this.markerFilterTimer);
+            this.markerFilterTimer = null;
+        }
+        if (this.markerFilter?.withinMs) {
+            const refreshMs = Math.min(Math.max(this.markerFilter.withinMs / 10, 5000), 60000);
+            this.markerFilterTimer = setInterval(() => this.applyMarkerFilter(), refreshMs);
+        }
+
+        this.applyMarkerFilter();
+        return true;
+    }
+
+    // Current filter as plain arrays, or null when every marker is shown
+    getMarkerFilter() {
+        if (!this.markerFilter) return null;
+
+        const { services, userTypes, withinMs, from, to } = this.markerFilter;
+        return {
+            services: services ? [...services] : null,
+            userTypes: userTypes ? [...userTypes] : null,
+            withinMs, from, to
+        };
+    }
+
+    // Whether the filter or the legend hides anything
+    isMarkerFilterActive() {
+        return this.markerFilter !== null || this.timeCursor !== null ||
+            this.legendHidden.services.size > 0 ||
+            this.legendHidden.userTypes.size > 0;
+    }
+
+    // Whether a stored marker (or tour location) passes the current filter
+    matchesMarkerFilter(markerData, now = Date.now()) {
+        // Categories switched off in the legend apply on top of the filter
+        if (this.legendHidden.services.has(String(markerData.service ?? '').toLowerCase())) return false;
+        if (this.legendHidden.userTypes.has(String(markerData.userType ?? '').toLowerCase())) return false;
+
+        // During a replay only markers that had appeared by the time cursor are shown
+        if (this.timeCursor !== null && toEpochMs(markerData.timestamp) > this.timeCursor) return false;
+
+        const filter = this.markerFilter;
+        if (!filter) return true;
+
+        if (filter.services && !filter.services.has(String(markerData.service ?? '').toLowerCase())) return false;
+        if (filter.userTypes && !filter.userTypes.has(String(markerData.userType ?? '').toLowerCase())) return false;
+
+        const timestamp = toEpochMs(markerData.timestamp);
+        if (timestamp !== null) {
+            if (filter.withinMs && timestamp < now - filter.withinMs) return false;
+            if (filter.from !== null && timestamp < filter.from) return false;
+            if (filter.to !== null && timestamp > filter.to) return false;
+        }
+        return true;
+    }
+
+    // Re-evaluate the filter for every stored marker: rebuild the heatmap points, re-render the
+    // visible markers (cluster counts follow) and refresh the tour overlay
+    applyMarkerFilter() {
+        if (!this.map) return;
+
+        const now = Date.now();
+        this.heatmap.clear();
+        for (const [id, data] of this.allMarkerData) {
+            if (this.matchesMarkerFilter(data, now)) {
+                this.heatmap.setPoint(id, data.lat, data.lng, data.count);
+            }
+        }
+
+        this.updateVisibleMarkers().catch(error => console.error('Error applying marker filter:', error));
+        this.scheduleLegendUpdate();
+
+        if (this.tourActive && this.currentTourIndex > 0 && !this.tourSpotlight) {
+            const stop = this.tourStops[(this.currentTourIndex - 1) % this.tourStops.length];
+            this.updateRegionOverlay(stop.description, this.getTourStopViewerCount(stop));
+        }
+    }
+
+    // Internal method to add marker to the visible map (modified to support count)
+    async addMarkerToMap(markerData) {
+        const { id, lat, lng, userType, service, continentCode, count = 1 } = markerData;
+
+        // Check if marker already exists or is being added to prevent duplicates
+        if (this.markers.has(id) || this.pendingMarkers.has(id)) {
+            console.log(`Marker ${id} already exists or is being added, skipping duplicate addition`);
+            return true;
+        }
+
+        // Mark as pending to prevent concurrent additions
+        this.pendingMarkers.add(id);
+
+        try {
+            const clusterGroup = this.getMarkerLayer(continentCode);
+            if (!clusterGroup) {
+                this.pendingMarkers.delete(id); // Clean up on error
+                console.error(`No cluster group found for continent ${continentCode}`);
+                return false;
+            }
+
+            const iconUrl = await this.getIconUrl(userType, service);
+            const icon = this.createMarkerIcon(iconUrl, count, userType);
+
+        const marker = L.marker([lat, lng], {
+            icon: icon,
+            title: markerData.description, // Tooltip on hover
+            opacity: this.getMarkerOpacity(markerData)
+        });
+
+        marker.bindPopup(this.buildMarkerPopup(markerData), {
+            maxWidth: 250,
+            className: 'custom-popup'
+        });
+
+        // Icons are recreated as markers move in and out of clusters, so label them whenever they are added -
+        // from the stored data, as the count changes after the marker is created
+        marker.on('add', () => this.labelMarker(marker, this.allMarkerData.get(id) ?? markerData));
+
+        marker.on('click', () => this.notifyMarkerInteraction('markerClick', marker));
+        marker.on('mouseover', () => this.notifyMarkerInteraction('markerHover', marker));
+        marker.on('popupopen', () => this.notifyMarkerInteraction('popupOpen', marker));
+
+        // Store marker reference with continent info
+        this.markers.set(id, { marker, continentCode });
+
+        // Maintain reverse lookup for O(1) cluster aggregation
+        this.markerToIdMap.set(marker, id);
+
+            // Add to appropriate continent cluster group
+            clusterGroup.addLayer(marker);
+
+            // Remove from pending now that it's successfully added
+            this.pendingMarkers.delete(id);
+            
+            console.log(`Successfully added marker ${id} to map at ${lat}, ${lng}`);
+            return true;
+        } catch (error) {
+            // Clean up pending state on error
+            this.pendingMarkers.delete(id);
+            console.error(`Error adding marker ${id}:`, error);
+            return false;
+        }
+    }
+
+    // A marker's popup - the aggregated popup sent by .NET, or rich default content from its data
+    // Descriptions come from chat, so every value is escaped
+    buildMarkerPopup({ lat, lng, userType, description, service, continentCode, count = 1, popupContent, popupTrusted }) {
+        if (popupContent) {
+            return this.createPopupContent(popupContent, popupTrusted);
+        }
+
+        return `
+            <div style="font-family: 'Segoe UI', sans-serif; max-width: 200px;">
+         <div style="font-weight: bold; color: #495057; margin-bottom: 8px; font-size: 1.1em;">${escapeHtml(description)}</div>
+   ${count > 1 ? `<div style="margin-bottom: 4px;"><strong>Viewers:</strong> <span style="color: #dc3545;">${escapeHtml(count)}</span></div>` : ''}
+   <div style="margin-bottom: 4px;"><strong>Type:</strong> <span style="color: #6c757d;">${escapeHtml(userType)}</span></div>
+    <div style="margin-bottom: 4px;"><strong>Service:</strong> <span style="color: #007bff;">${escapeHtml(service)}</span></div>
+      <div style="font-size: 0.85em; color: #868e96;">
+       <strong>Coordinates:</strong><br>
+    ${lat.toFixed(4)}, ${lng.toFixed(4)}<br>
+        <strong>Continent:</strong> ${escapeHtml(continentCode)}
+     </div>
+      </div>
+        `;
+    }
+
+    // Popup content sent by .NET - rendered as HTML only when the caller marked it trusted, otherwise as plain text
+    createPopupContent(content, trusted = false) {
+        if (trusted) {
+            return content;
+        }
+
+        const element = document.createElement('div');
+        element.className = 'chattermap-popup-text';
+        element.style.whiteSpace = 'pre-line';
+        element.textContent = content;
+        return element;
+    }
+
+    // Create marker icon with optional count badge
+    createMarkerIcon(iconUrl, count, userType) {
+        if (count <= 1) {
+            // Standard icon without badge
+            return L.icon({
+                iconUrl: iconUrl,
+                iconSize: [20, 20],
+                iconAnchor: [10, 10],
+                popupAnchor: [0, -10],
+                className: `marker-${userType.toLowerCase()}`
+            });
+        } else {
+            // Create custom icon with count badge
+            const html = `
+              <div style="position: relative; width: 24px; height: 24px;">
+         <img src="${escapeHtml(iconUrl)}" style="width: 20px; height: 20px;" />
+      <div style="
+      position: absolute;
+            top: -8px;
+        right: -8px;
+         background: #dc3545;
+      color: white;
+border-radius: 50%;
+ width: 18px;
+           height: 18px;
+                    display: flex;
+    align-items: center;
+justify-content: center;
+              font-size: 10px;
+    font-weight: bold;
+   border: 2px solid white;
+   box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+   ">${escapeHtml(count)}</div>
+              </div>
+   `;
+
+            return L.divIcon({
+                html: html,
+                iconSize: [24, 24],
+                iconAnchor: [12, 12],
+                popupAnchor: [0, -12],
+                className: `marker-${userType.toLowerCase()}-aggregated`
+            });
+        }
+    }
+
+    // Cache key for an icon - the URL only depends on the (userType, service) pair
+    getIconCacheKey(userType, service) {
+        return `${String(userType ?? '').toLowerCase()}|${String(service ?? '').toLowerCase()}`;
+    }
+
+    // Get icon URL from the cache, resolving it through C# (or the default) only once per pair
+    getIconUrl(userType, service) {
+        const key = this.getIconCacheKey(userType, service);
+        const cached = this.iconUrlCache.get(key);
+        if (cached) return cached;
+
+        // Cache the promise itself so concurrent lookups for the same pair share one round-trip
+        const lookup = this.resolveIconUrl(userType, service).then(({ iconUrl, cacheable }) => {
+            if (!cacheable && this.iconUrlCache.get(key) === lookup) {
+                this.iconUrlCache.delete(key);
+            }
+            this.preloadIcon(iconUrl);
+            return iconUrl;
+        });
+        this.iconUrlCache.set(key, lookup);
+        return lookup;
+    }
+
+    // Ask C# for the icon URL, falling back to the JavaScript default
+    async resolveIconUrl(userType, service) {
+        // Try to get icon URL from C# callback first
+        if (this.dotNetObjectRef) {
+            try {
+                const iconUrl = await this.dotNetObjectRef.invokeMethodAsync('GetIconUrl', userType, service);
+                if (iconUrl) {
+                    console.log(`Got icon URL from C#: ${iconUrl} for ${userType}/${service}`);
+                    return { iconUrl, cacheable: true };
+                } else {
+                    return { iconUrl: this.getDefaultIconUrl(userType, service), cacheable: true };
+                }
+            } catch (error) {
+                console.warn('Failed to get icon URL from C#, using JavaScript fallback:', error);
+            }
+        }
+
+        // Fallback to JavaScript-side defaults if C# callback fails - not cached so C# is asked again next time
+        return { iconUrl: this.getDefaultIconUrl(userType, service), cacheable: false };
+    }
+
+    // Download and decode an icon ahead of use so markers render without a flash
+    preloadIcon(iconUrl) {
+        if (!iconUrl || this.preloadedIcons.has(iconUrl)) return;
+
+        const image = new Image();
+        image.src = iconUrl;
+        this.preloadedIcons.set(iconUrl, image);
+        image.decode().catch(error => {
+            console.warn(`Failed to preload icon ${iconUrl}:`, error);
+            this.preloadedIcons.delete(iconUrl);
+        });
+    }
+
+    // Seed the icon cache up front from .NET - entries are {userType, service, url}
+    setIconMap(entries) {
+        for (const { userType, service, url } of entries || []) {
+            if (!url) continue;
+            this.iconUrlCache.set(this.getIconCacheKey(userType, service), Promise.resolve(url));
+            this.preloadIcon(url);
+        }
+
+        console.log(`Icon map set with ${entries?.length || 0} entries`);
+        return this.refreshMarkerIcons();
+    }
+
+    // Forget all cached icon URLs (e.g. when the .NET icon provider changes) and redraw rendered markers -
+    // pass redraw = false when a new icon map follows, as setIconMap redraws them itself
+    invalidateIconCache(redraw = true) {
+        this.iconUrlCache.clear();
+        this.preloadedIcons.clear();
+        console.log('Icon cache invalidated');
+        return redraw ? this.refreshMarkerIcons() : true;
+    }
+
+    // Re-resolve icons for markers currently on the map (and the legend)
+    async refreshMarkerIcons() {
+        this.scheduleLegendUpdate();
+
+        for (const [id, { marker }] of this.markers) {
+            const markerData = this.allMarkerData.get(id);
+            if (!markerData) continue;
+
+            try {
+                const iconUrl = await this.getIconUrl(markerData.userType, markerData.service);
+                marker.setIcon(this.createMarkerIcon(iconUrl, markerData.count, markerData.userType));
+                this.labelMarker(marker, markerData);
+            } catch (error) {
+                console.warn(`Failed to refresh icon for marker ${id}:`, error);
+            }
+        }
+        return true;
+    }
+
+    // Default icon URL logic (fallback when C# doesn't provide custom icons)
+    getDefaultIconUrl(userType, service) {
+        return "/_content/Fritz.Charlie.Components/img/pin.webp";
+    }
+
+    // Update an existing aggregated marker with new count and popup content
+    // popupContent is shown as plain text unless trusted is true; the marker's age resets to lastSeen (default now)
+    async updateAggregatedMarker(id, count, popupContent, trusted = false, lastSeen = null) {
+        if (!this.map) {
+            console.error('Map not initialized');
+            return false;
+        }
+
+        try {
+            const markerData = this.allMarkerData.get(id);
+
+            if (!markerData) {
+                console.warn(`Marker data for ${id} not found`);
+                return false;
+            }
+
+            // Update stored count and popup so markers drawn later (or the heatmap) use them
+            markerData.count = count;
+            markerData.popupContent = popupContent;
+            markerData.popupTrusted = trusted;
+            markerData.lastSeen = toEpochMs(lastSeen) ?? Date.now();
+            this.allMarkerData.set(id, markerData);
+            this.syncHeatmapPoint(id, markerData);
+            this.scheduleLegendUpdate();
+
+            const markerInfo = this.markers.get(id);
+            if (!markerInfo) {
+                console.log(`Marker ${id} is not rendered - stored count ${count} for when it comes into view`);
+                return true;
+            }
+
+            const { marker, continentCode } = markerInfo;
+            await this.redrawMarker(id);
+
+            // Refresh the cluster to update viewer counts in cluster icons
+            const clusterGroup = this.getMarkerLayer(continentCode);
+            if (clusterGroup?.refreshClusters) {
+                // Remove and re-add the marker to force cluster refresh
+                clusterGroup.removeLayer(marker);
+                clusterGroup.addLayer(marker);
+
+                // Force cluster icon refresh by triggering a view refresh
+                clusterGroup.refreshClusters();
+            }
+
+            console.log(`Updated aggregated marker ${id} with count ${count} and refreshed cluster`);
+            return true;
+        } catch (error) {
+            console.error(`Error updating aggregated marker ${id}:`, error);
+            return false;
+        }
+    }
+
+    // Bring a rendered marker's position, icon, opacity, label and popup in line with its stored data - returns the marker
+    async redrawMarker(id) {
+        const markerData = this.allMarkerData.get(id);
+        const marker = this.markers.get(id)?.marker;
+        if (!markerData || !marker) return null;
+
+        const position = marker.getLatLng();
+        if (position.lat !== markerData.lat || position.lng !== markerData.lng) {
+            marker.setLatLng([markerData.lat, markerData.lng]);
+        }
+
+        const iconUrl = await this.getIconUrl(markerData.userType, markerData.service);
+        marker.setIcon(this.createMarkerIcon(iconUrl, markerData.count, markerData.userType));
+        marker.setOpacity(this.getMarkerOpacity(markerData));
+        this.labelMarker(marker, markerData);
+        marker.setPopupContent(this.buildMarkerPopup(markerData));
+        return marker;
+    }
+
+    // Configure the celebration queue - see DEFAULT_CELEBRATION_QUEUE_OPTIONS
+    setCelebrationQueueOptions(options) {
+        this.celebrationQueueOptions = mergeOptions(DEFAULT_CELEBRATION_QUEUE_OPTIONS, options);
+        this.trimCelebrationQueue();
+        this.notifyCelebrationQueueChanged();
+        return true;
+    }
+
+    // Configure the celebration modal and effect - see DEFAULT_CELEBRATION_OPTIONS
+    setCelebrationOptions(options) {
+        const merged = mergeOptions(DEFAULT_CELEBRATION_OPTIONS, options);
+
+        if (!CELEBRATION_ANCHORS.includes(merged.anchor)) {
+            console.warn(`Unknown celebration anchor '${merged.anchor}', using '${DEFAULT_CELEBRATION_OPTIONS.anchor}'`);
+            merged.anchor = DEFAULT_CELEBRATION_OPTIONS.anchor;
+        }
+        if (!CELEBRATION_EFFECTS.includes(merged.effect)) {
+            console.warn(`Unknown celebration effect '${merged.effect}', using '${DEFAULT_CELEBRATION_OPTIONS.effect}'`);
+            merged.effect = DEFAULT_CELEBRATION_OPTIONS.effect;
+        }
+
+        // Service styles merge per service so overriding one keeps the others
+        merged.services = { ...DEFAULT_CELEBRATION_OPTIONS.services };
+        for (const [name, style] of Object.entries(options?.services ?? {})) {
+            const key = name.toLowerCase();
+            merged.services[key] = mergeOptions(merged.services[key] ?? DEFAULT_CELEBRATION_OPTIONS.defaultService, style);
+        }
+
+        this.celebrationOptions = merged;
+        return true;
+    }
+
+    // Colour and icon for a service, falling back to the default style
+    getServiceStyle(service) {
+        const options = this.celebrationOptions;
+        return options.services[service?.toLowerCase()] ?? options.defaultService;
+    }
+
+    // Show pin celebration with animation and modal - queued behind any celebration already playing
+    showPinCelebration(lat, lng, description, service, userType, duration) {
+        return this.queuePinCelebration({ lat, lng, description, service, userType, durationMs: duration });
+    }
+
+    // Add a celebration to the queue: {id, lat, lng, description, service, userType, durationMs, region}
+    queuePinCelebration(celebration) {
+        if (!this.map || !celebration) return false;
+
+        if (this.tourActive && !this.celebrationQueueOptions.deferDuringTour) {
+            console.log(`Skipping celebration for ${celebration.description} - tour active`);
+            return false;
+        }
+
+        this.celebrationQueue.push({
+            ...celebration,
+            durationMs: celebration.durationMs || this.celebrationQueueOptions.durationMs,
+            count: celebration.count || 1,
+            priority: this.getUserTypePriority(celebration.userType),
+            sequence: this.celebrationSequence++
+        });
+
+        this.collapseCelebrationBurst();
+        this.trimCelebrationQueue();
+        console.log(`Queued celebration for ${celebration.description}. Queue size: ${this.celebrationQueue.length}`);
+
+        this.notifyCelebrationQueueChanged();
+        this.processCelebrationQueue();
+        return true;
+    }
+
+    // Highest priority first (broadcaster > moderator > subscriber/VIP > viewer), then arrival order
+    sortCelebrationQueue() {
+        this.celebrationQueue.sort((a, b) => (b.priority - a.priority) || (a.sequence - b.sequence));
+    }
+
+    // During a burst (e.g. a raid), merge waiting celebrations from the same region into one summary
+    collapseCelebrationBurst() {
+        if (this.celebrationQueue.length <= this.celebrationQueueOptions.burstThreshold) {
+            this.sortCelebrationQueue();
+            return;
+        }
+
+        const byRegion = new Map();
+        for (const celebration of this.celebrationQueue) {
+            const region = celebration.region || celebration.description;
+            const summary = byRegion.get(region);
+            if (!summary) {
+                byRegion.set(region, { ...celebration, region });
+                continue;
+            }
+
+            // Keep the highest-priority viewer's details and the earliest place in line
+            const lead = celebration.priority > summary.priority ? celebration : summary;
+            const count = summary.count + celebration.count;
+            byRegion.set(region, {
+                ...lead,
+                region,
+                count,
+                summary: true,
+                description: `${count} new viewers from ${region}`,
+                service: summary.service === celebration.service ? summary.service : 'Multiple',
+                durationMs: Math.max(summary.durationMs, celebration.durationMs),
+                sequence: Math.min(summary.sequence, celebration.sequence)
+            });
+        }
+
+        this.celebrationQueue = [...byRegion.values()];
+        this.sortCelebrationQueue();
+    }
+
+    // Drop the lowest-priority, most recent celebrations beyond the maximum queue length
+    trimCelebrationQueue() {
+        const { maxQueueLength } = this.celebrationQueueOptions;
+        if (this.celebrationQueue.length > maxQueueLength) {
+            const dropped = this.celebrationQueue.splice(maxQueueLength);
+            console.log(`Celebration queue full - dropped ${dropped.length} celebration(s)`);
+        }
+    }
+
+    // Play queued celebrations one at a time until the queue is empty or a tour takes over
+    async processCelebrationQueue() {
+        if (this.processingCelebrations) return;
+        this.processingCelebrations = true;
+
+        try {
+            while (this.map && this.celebrationQueue.length > 0 && !this.tourActive) {
+                // Don't yank the map away from a user who is dragging it
+                if (this.userDragging) {
+                    await this.sleep(500);
+                    continue;
+                }
+
+                this.currentCelebration = this.celebrationQueue.shift();
+                this.notifyCelebrationQueueChanged();
+
+                await this.playCelebration(this.currentCelebration);
+
+                this.currentCelebration = null;
+                this.notifyCelebrationQueueChanged();
+            }
+        } finally {
+            this.processingCelebrations = false;
+            this.scheduleOverlayFit();
+        }
+    }
+
+    // Fly to the location, show the effect and modal, and resolve once it has been on screen for its duration
+    async playCelebration(celebration) {
+        const { lat, lng, description, service, userType, durationMs } = celebration;
+        this.celebrationActive = true;
+        console.log(`Showing celebration for ${description} at ${lat}, ${lng}`);
+
+        try {
+            // Create confetti/ripple effect at the location
+            this.createCelebrationEffect(lat, lng, service);
+
+            // Zoom to the location with animation
+            const targetZoom = Math.min(8, this.getMaxZoom()); // Close-up view
+            const travelMs = this.moveTo(lat, lng, targetZoom, 1.5);
+
+            // Wait for zoom animation to complete
+            await this.sleep(travelMs);
+            if (!this.map || !this.celebrationActive) return;
+
+            // Show modal overlay with location details
+            this.showLocationModal(description, service, userType, lat, lng);
+
+            // Auto-dismiss after duration, or earlier when the modal is dismissed
+            await new Promise(resolve => {
+                this.celebrationResolve = resolve;
+                this.celebrationTimeout = setTimeout(resolve, durationMs);
+            });
+        } catch (error) {
+            console.error('Error in showPinCelebration:', error);
+        } finally {
+            if (this.celebrationTimeout) {
+                clearTimeout(this.celebrationTimeout);
+                this.celebrationTimeout = null;
+            }
+            this.celebrationResolve = null;
+            this.dismissLocationModal();
+            this.celebrationActive = false;
+        }
+    }
+
+    // End the celebration on screen now; the queue moves on to the next one
+    endCelebration() {
+        this.celebrationActive = false;
+        if (this.celebrationResolve) {
+            this.celebrationResolve();
+        }
+    }
+
+    // Notify C# of the queue depth and the celebration on screen
+    notifyCelebrationQueueChanged() {
+        if (this.dotNetObjectRef) {
+            this.dotNetObjectRef.invokeMethodAsync('OnCelebrationQueueChanged',
+                this.celebrationQueue.length,
+                this.currentCelebration?.id ?? null,
+                this.currentCelebration?.description ?? null)
+                .catch(err => console.warn('Failed to notify celebration queue change:', err));
+        }
+    }
+
+    // Create visual celebration effect (confetti and/or ripple, per the celebration options)
+    createCelebrationEffect(lat, lng, service) {
+        const { effect, confettiCount, confettiColors, rippleColor } = this.celebrationOptions;
+        if (effect === 'none') return;
+
+        const reduced = this.isReducedMotion();
+
+        const mapElement = document.getElementById(this.elementId);
+        const point = this.map.latLngToContainerPoint([lat, lng]);
+
+        // Create celebration container
+        const celebrationContainer = document.createElement('div');
+        celebrationContainer.className = 'pin-celebration-effect';
+        celebrationContainer.style.cssText = `
+            position: absolute;
+            left: ${point.x}px;
+            top: ${point.y}px;
+            width: 100px;
+            height: 100px;
+            margin-left: -50px;
+            margin-top: -50px;
+            pointer-events: none;
+            z-index: 2000;
+        `;
+
+        // Create confetti particles spread evenly around the pin (none in reduced motion mode)
+        if (effect === 'confetti' && confettiColors.length > 0 && !reduced) {
+            for (let i = 0; i < confettiCount; i++) {
+                const confetti = document.createElement('div');
+                const color = confettiColors[Math.floor(Math.random() * confettiColors.length)];
+                const angle = (Math.PI * 2 * i) / confettiCount;
+                const velocity = 50 + Math.random() * 50;
+                const dx = Math.cos(angle) * velocity;
+                const dy = Math.sin(angle) * velocity;
+
+                confetti.style.cssText = `
+                    position: absolute;
+                    left: 50%;
+                    top: 50%;
+                    width: 8px;
+                    height: 8px;
+                    background: ${color};
+                    border-radius: 50%;
+                    animation: confetti-burst 0.8s ease-out forwards;
+                    --dx: ${dx}px;
+                    --dy: ${dy}px;
+                `;
+
+                celebrationContainer.appendChild(confetti);
+            }
+        }
+
+        // Add pulsing ring effect - in the service colour when no ripple colour is set
+        // Reduced motion mode holds a still ring around the pin instead
+        const ring = document.createElement('div');
+        ring.style.cssText = `
+            position: absolute;
             left: 50%;
             top: 50%;
-          width: 40px;
-  height: 40px;
-       margin-left: -20px;
+            width: 40px;
+            height: 40px;
+            margin-left: -20px;
             margin-top: -20px;
-            border: 3px solid #ffd700;
-          border-radius: 50%;
-            animation: pulse-ring 0.8s ease-out forwards;
-  `;
+            border: 3px solid ${rippleColor || this.getServiceStyle(service).color};
+            border-radius: 50%;
+            ${reduced ? 'box-shadow: 0 0 0 4px rgba(255, 255, 255, 0.8);' : 'animation: pulse-ring 0.8s ease-out forwards;'}
+        `;
         celebrationContainer.appendChild(ring);
 
-        mapElement.appendChild(celebrationContainer);
+        mapElement.appendChild(celebrationContainer);
+
+        // Remove after animation
+        setTimeout(() => {
+            celebrationContainer.remove();
+        }, reduced ? 2000 : 1000);
+    }
+
+    // Show modal with location details
+    showLocationModal(description, service, userType, lat, lng) {
+        // Remove existing modal if present
+        this.dismissLocationModal();
+
+        const mapElement = document.getElementById(this.elementId);
+        mapElement.style.position = 'relative';
+
+        const modal = document.createElement('div');
+        modal.id = `${this.elementId}-celebration-modal`;
+        modal.className = 'pin-celebration-modal';
+        // Set initial opacity for animation
+        modal.style.opacity = '0';
+        modal.style.transition = 'opacity 0.3s ease';
+
+        const { color: serviceColor, icon: serviceIcon } = this.getServiceStyle(service);
+        const fields = {
+            title: this.celebrationOptions.title,
+            dismissText: this.celebrationOptions.dismissText,
+            description,
+            service,
+            serviceIcon,
+            serviceColor,
+            userType: this.formatUserType(userType),
+            lat: lat.toFixed(2),
+            lng: lng.toFixed(2)
+        };
+
+        const content = this.buildCelebrationContent(fields);
+        content.className = 'celebration-modal-anchor';
+        content.style.setProperty('--celebration-service-color', serviceColor);
+        this.positionCelebrationContent(content, lat, lng);
+        modal.appendChild(content);
+
+        // Any element marked as a dismiss control ends the celebration early
+        const dismissButtons = modal.querySelectorAll('[data-celebration-dismiss], .celebration-dismiss-btn');
+        dismissButtons.forEach(button => {
+            button.addEventListener('click', () => this.endCelebration());
+        });
+
+        // Non-modal dialog - the map underneath stays usable, Escape dismisses it
+        content.setAttribute('role', 'dialog');
+        content.setAttribute('aria-label', `${fields.title}: ${description}`);
+        content.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.endCelebration();
+            }
+        });
+
+        mapElement.appendChild(modal);
+
+        // Move focus to the dismiss button only for someone already working in the map,
+        // so a celebration never steals focus from the rest of the page (e.g. a chat box)
+        const dismissButton = dismissButtons[0];
+        if (dismissButton && mapElement.contains(document.activeElement)) {
+            this.modalReturnFocus = document.activeElement;
+            dismissButton.focus({ preventScroll: true });
+        }
+
+        this.announce(`${fields.title} ${description}, ${service}`);
+
+        // Force a reflow to ensure the initial opacity is applied before animation
+        modal.offsetHeight;
+
+        // Animate in
+        setTimeout(() => {
+            modal.style.opacity = '1';
+        }, 50);
+    }
+
+    // Build the modal content from the <template> element, the template string, or the built-in layout
+    buildCelebrationContent(fields) {
+        const { template, templateId } = this.celebrationOptions;
+
+        const templateElement = templateId ? document.getElementById(templateId) : null;
+        if (templateId && !(templateElement instanceof HTMLTemplateElement)) {
+            console.warn(`Celebration template '${templateId}' not found, using the built-in layout`);
+        }
+
+        const wrapper = document.createElement('div');
+        if (templateElement instanceof HTMLTemplateElement) {
+            wrapper.appendChild(templateElement.content.cloneNode(true));
+            wrapper.querySelectorAll('[data-celebration-field]').forEach(element => {
+                element.textContent = fields[element.dataset.celebrationField] ?? '';
+            });
+            return wrapper;
+        }
+
+        const html = template || this.getDefaultCelebrationTemplate();
+        wrapper.innerHTML = html.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            Object.hasOwn(fields, name) ? escapeHtml(fields[name]) : match);
+        return wrapper;
+    }
+
+    // Place the modal content at the configured anchor within the map
+    positionCelebrationContent(content, lat, lng) {
+        const { anchor, offsetX, offsetY } = this.celebrationOptions;
+        const style = content.style;
+        style.position = 'absolute';
+        style.zIndex = '3000';
+
+        switch (anchor) {
+            case 'top-right':
+                style.right = `${offsetX}px`;
+                style.top = `${offsetY}px`;
+                break;
+            case 'bottom-left':
+                style.left = `${offsetX}px`;
+                style.bottom = `${offsetY}px`;
+                break;
+            case 'bottom-right':
+                style.right = `${offsetX}px`;
+                style.bottom = `${offsetY}px`;
+                break;
+            case 'center':
+                style.left = `calc(50% + ${offsetX}px)`;
+                style.top = `calc(50% + ${offsetY}px)`;
+                style.transform = 'translate(-50%, -50%)';
+                break;
+            case 'marker': {
+                const point = this.map.latLngToContainerPoint([lat, lng]);
+                style.left = `${point.x + offsetX}px`;
+                style.top = `${point.y + offsetY}px`;
+                break;
+            }
+            default:
+                style.left = `${offsetX}px`;
+                style.top = `${offsetY}px`;
+        }
+    }
+
+    // Built-in modal layout; placeholders are filled by buildCelebrationContent
+    getDefaultCelebrationTemplate() {
+        return `
+  <div class="celebration-modal-content" style="background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.3); padding: 0; min-width: 280px; max-width: 320px;">
+  <div class="celebration-header" style="border-left: 4px solid {{serviceColor}}; padding: 15px; background: linear-gradient(135deg, rgba(255,255,255,0.95) 0%, rgba(240,240,255,0.95) 100%); border-radius: 12px 12px 0 0;">
+              <div class="celebration-icon" style="font-size: 32px; text-align: center; margin-bottom: 8px;">🎉</div>
+                 <div class="celebration-title" style="font-size: 18px; font-weight: 700; text-align: center; color: #333;">{{title}}</div>
+     </div>
+          <div class="celebration-body" style="padding: 15px;">
+     <div class="celebration-location" style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px; padding: 10px; background: rgba(0,123,255,0.05); border-radius: 8px;">
+        <div class="location-icon" style="font-size: 24px;">📍</div>
+        <div class="location-name" style="font-size: 16px; font-weight: 600; color: #333; flex: 1;">{{description}}</div>
+        </div>
+              <div class="celebration-details" style="display: flex; flex-direction: column; gap: 8px;">
+            <div class="detail-item" style="display: flex; align-items: center; gap: 10px; padding: 6px; background: rgba(0,0,0,0.02); border-radius: 6px;">
+   <span class="detail-icon" style="font-size: 20px;">{{serviceIcon}}</span>
+    <span class="detail-text" style="color: #666; font-size: 14px;">{{service}}</span>
+           </div>
+       <div class="detail-item" style="display: flex; align-items: center; gap: 10px; padding: 6px; background: rgba(0,0,0,0.02); border-radius: 6px;">
+             <span class="detail-icon" style="font-size: 20px;">👤</span>
+          <span class="detail-text" style="color: #666; font-size: 14px;">{{userType}}</span>
+     </div>
+       <div class="detail-item" style="display: flex; align-items: center; gap: 10px; padding: 6px; background: rgba(0,0,0,0.02); border-radius: 6px;">
+  <span class="detail-icon" style="font-size: 20px;">🌍</span>
+  <span class="detail-text" style="color: #666; font-size: 14px;">{{lat}}, {{lng}}</span>
+         </div>
+             </div>
+       </div>
+       <div class="celebration-footer" style="padding: 15px; border-top: 1px solid rgba(0,0,0,0.1); background: rgba(0,0,0,0.02); border-radius: 0 0 12px 12px;">
+      <button type="button" class="celebration-dismiss-btn" style="width: 100%; padding: 10px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border: none; border-radius: 8px; font-size: 14px; font-weight: 600; cursor: pointer; transition: transform 0.2s ease;">
+        {{dismissText}}
+              </button>
+         </div>
+            </div>
+        `;
+    }
+
+    // Dismiss location modal
+    dismissLocationModal() {
+        const modal = document.getElementById(`${this.elementId}-celebration-modal`);
+        if (modal) {
+            // Hand focus back to where it was before the modal took it
+            if (modal.contains(document.activeElement)) {
+                const returnFocus = this.modalReturnFocus?.isConnected ? this.modalReturnFocus : document.getElementById(this.elementId);
+                returnFocus?.focus({ preventScroll: true });
+            }
+            this.modalReturnFocus = null;
+
+            modal.style.opacity = '0';
+            setTimeout(() => {
+                modal.remove();
+            }, 300);
+        }
+    }
+
+    // Format user type for display
+    formatUserType(userType) {
+        const typeMap = {
+            'broadcaster': '🎙️ Broadcaster',
+            'moderator': '⚔️ Moderator',
+            'subscriber': '⭐ Subscriber',
+            'vip': '💎 VIP',
+            'user': '👥 Viewer'
+        };
+        return typeMap[userType?.toLowerCase()] || '👥 Viewer';
+    }
+
+    // Configure the auto director - see DEFAULT_DIRECTOR_OPTIONS
+    setDirectorOptions(options) {
+        const config = mergeOptions(DEFAULT_DIRECTOR_OPTIONS, options);
+        config.mode = String(config.mode).toLowerCase();
+        if (!DIRECTOR_MODES.includes(config.mode)) {
+            console.warn(`Unknown director mode '${config.mode}', using '${DEFAULT_DIRECTOR_OPTIONS.mode}'`);
+            config.mode = DEFAULT_DIRECTOR_OPTIONS.mode;
+        }
+
+        this.directorOptions = config;
+        this.directorShotIndex = 0;
+        this.setDirectorActive(false);
+
+        if (config.enabled) {
+            this.scheduleDirector(config.idleMs);
+        } else {
+            clearTimeout(this.directorTimer);
+            this.directorTimer = null;
+        }
+        return true;
+    }
+
+    // Someone touched the map - the director hands the camera back and waits for the next idle spell
+    noteUserActivity() {
+        this.lastUserActivity = Date.now();
+        if (!this.directorOptions.enabled) return;
+
+        // Halt a director flight where it is rather than letting it carry on under the user
+        if (this.directorActive && this.programmaticMove) {
+            this.map?.stop();
+        }
+        this.setDirectorActive(false);
+        this.scheduleDirector(this.directorOptions.idleMs);
+    }
+
+    scheduleDirector(delayMs) {
+        clearTimeout(this.directorTimer);
+        this.directorTimer = setTimeout(() => {
+            this.directorTimer = null;
+            this.directorStep();
+        }, Math.max(delayMs, 250));
+    }
+
+    // Take the next shot, or wait while the user, a tour, a celebration or a replay has the map
+    directorStep() {
+        const options = this.directorOptions;
+        if (!this.map || !options.enabled) return;
+
+        const idleFor = Date.now() - this.lastUserActivity;
+        if (idleFor < options.idleMs) {
+            this.scheduleDirector(options.idleMs - idleFor);
+            return;
+        }
+
+        const busy = this.userDragging || this.tourActive || this.celebrationActive ||
+            this.processingCelebrations || this.celebrationQueue.length > 0 || this.replay?.playing;
+        if (busy) {
+            this.setDirectorActive(false);
+            this.scheduleDirector(options.dwellMs);
+            return;
+        }
+
+        const shots = this.getDirectorShots();
+        if (shots.length === 0) {
+            this.scheduleDirector(options.dwellMs);
+            return;
+        }
+
+        const shot = shots[this.directorShotIndex % shots.length];
+        this.directorShotIndex = (this.directorShotIndex + 1) % shots.length;
+        this.directorShot = shot;
+        this.setDirectorActive(true);
+
+        console.log(`Director: ${options.mode} shot ${shot.description} at ${shot.lat}, ${shot.lng}`);
+        const travelMs = this.moveTo(shot.lat, shot.lng, Math.min(options.zoom, this.getMaxZoom()), options.flightSeconds);
+        this.scheduleDirector(travelMs + options.dwellMs);
+    }
+
+    // Where the director can point the camera: the densest areas, or the most recently seen markers
+    getDirectorShots() {
+        const { mode, shots, cellSize } = this.directorOptions;
+        const markers = [...this.allMarkerData.values()].filter(data => this.matchesMarkerFilter(data));
+
+        if (mode === 'newest') {
+            return markers
+                .sort((a, b) => b.lastSeen - a.lastSeen)
+                .slice(0, shots)
+                .map(({ lat, lng, description }) => ({ lat, lng, description }));
+        }
+
+        // Sum viewers per grid cell and aim at each busy cell's viewer-weighted centre
+        const cells = new Map();
+        for (const data of markers) {
+            const key = `${Math.floor(data.lat / cellSize)}:${Math.floor(data.lng / cellSize)}`;
+            const count = data.count || 1;
+            const cell = cells.get(key) ?? { count: 0, lat: 0, lng: 0, top: data };
+            cell.count += count;
+            cell.lat += data.lat * count;
+            cell.lng += data.lng * count;
+            if (count > (cell.top.count || 1)) cell.top = data;
+            cells.set(key, cell);
+        }
+
+        return [...cells.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, shots)
+            .map(cell => ({ lat: cell.lat / cell.count, lng: cell.lng / cell.count, description: cell.top.description }));
+    }
+
+    setDirectorActive(active) {
+        if (!active) this.directorShot = null;
+        if (this.directorActive === active && !active) return;
+
+        this.directorActive = active;
+        this.notifyDirectorStatusChanged();
+    }
+
+    getDirectorStatus() {
+        return {
+            enabled: this.directorOptions.enabled,
+            active: this.directorActive,
+            mode: this.directorOptions.mode,
+            shot: this.directorShot?.description ?? null
+        };
+    }
+
+    notifyDirectorStatusChanged() {
+        if (this.dotNetObjectRef) {
+            const { active, shot } = this.getDirectorStatus();
+            this.dotNetObjectRef.invokeMethodAsync('OnDirectorStatusChanged', active, shot)
+                .catch(err => console.warn('Failed to notify director status change:', err));
+        }
+    }
+
+    // Switch the streaming overlay mode on or off - see DEFAULT_OVERLAY_OPTIONS
+    setOverlayOptions(options) {
+        if (!this.map) return false;
+
+        this.overlayOptions = mergeOptions(DEFAULT_OVERLAY_OPTIONS, options);
+        const { enabled, showTiles, showLegend, attributionPosition } = this.overlayOptions;
+        const container = this.map.getContainer();
+
+        container.classList.toggle('chattermap-overlay', enabled);
+        container.classList.toggle('chattermap-overlay-no-tiles', enabled && !showTiles);
+        container.classList.toggle('chattermap-overlay-no-legend', enabled && !showLegend);
+        this.applyMapBackground();
+        this.updateOverlayScale();
+
+        // Nobody drives the map in an overlay - tours, celebrations and auto-fit move it instead
+        for (const handler of ['dragging', 'scrollWheelZoom', 'doubleClickZoom', 'touchZoom', 'boxZoom', 'keyboard']) {
+            if (!this.map[handler]) continue;
+            if (enabled) {
+                this.map[handler].disable();
+            } else {
+                this.map[handler].enable();
+            }
+        }
+
+        if (enabled) {
+            this.map.zoomControl?.remove();
+        } else {
+            this.map.zoomControl?.addTo(this.map);
+        }
+
+        const attribution = this.map.attributionControl;
+        if (attribution) {
+            if (enabled && attributionPosition === 'none') {
+                attribution.remove();
+            } else {
+                attribution.setPosition(enabled ? attributionPosition : 'bottomright');
+                if (!attribution.getContainer()?.parentNode) {
+                    attribution.addTo(this.map);
+                }
+            }
+        }
+
+        this.map.closePopup();
+        if (enabled && this.overlayOptions.autoFit) {
+            this.fitToMarkers();
+        }
+        return true;
+    }
+
+    // Scale factor for the overlay's celebration and tour caption, from the canvas height - see OVERLAY_LAYOUT_HEIGHT
+    updateOverlayScale() {
+        const container = this.map?.getContainer();
+        if (!container) return;
+
+        if (!this.overlayOptions.enabled || !container.clientHeight) {
+            container.style.removeProperty('--chattermap-overlay-scale');
+            return;
+        }
+        const scale = Math.max(container.clientHeight / OVERLAY_LAYOUT_HEIGHT, 0.5);
+        container.style.setProperty('--chattermap-overlay-scale', scale.toFixed(3));
+    }
+
+    // Overlay background wins over the tile provider's background colour
+    applyMapBackground() {
+        const container = this.map?.getContainer();
+        if (!container) return;
+
+        container.style.background = this.overlayOptions.enabled
+            ? this.overlayOptions.background || 'transparent'
+            : this.tileProvider?.backgroundColor || '';
+    }
+
+    // Refit the overlay once a burst of arrivals has settled
+    scheduleOverlayFit() {
+        if (!this.overlayOptions.enabled || !this.overlayOptions.autoFit || this.overlayFitTimer) return;
+
+        this.overlayFitTimer = setTimeout(() => {
+            this.overlayFitTimer = null;
+            this.fitToMarkers();
+        }, this.overlayOptions.autoFitDelayMs);
+    }
+
+    // Frame every marker that passes the filter - skipped while a tour or celebration owns the camera
+    fitToMarkers() {
+        if (!this.map || this.tourActive || this.celebrationActive || this.directorActive) return false;
+
+        const points = [];
+        for (const data of this.allMarkerData.values()) {
+            if (this.matchesMarkerFilter(data)) {
+                points.push([data.lat, data.lng]);
+            }
+        }
+        if (points.length === 0) return false;
+
+        this.programmaticMove = true;
+        this.map.fitBounds(L.latLngBounds(points), {
+            padding: [this.overlayOptions.autoFitPadding, this.overlayOptions.autoFitPadding],
+            maxZoom: Math.min(this.overlayOptions.autoFitMaxZoom, this.getMaxZoom()),
+            animate: !this.isReducedMotion()
+        });
+        return true;
+    }
+
+    // Configure announcements and keyboard navigation - see DEFAULT_ACCESSIBILITY_OPTIONS
+    setAccessibilityOptions(options) {
+        this.accessibilityOptions = mergeOptions(DEFAULT_ACCESSIBILITY_OPTIONS, options);
+
+        const container = this.map?.getContainer();
+        if (!container) return false;
+
+        container.setAttribute('aria-label', this.accessibilityOptions.label);
+        container.setAttribute('aria-roledescription', 'map');
+
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'chattermap-sr-only';
+            this.liveRegion.setAttribute('role', 'status');
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+            container.appendChild(this.liveRegion);
+        }
+
+        this.updateKeyboardTargets();
+        return true;
+    }
+
+    // Read a message out through the live region
+    announce(message) {
+        if (!this.liveRegion || !this.accessibilityOptions.announcements || !message) return;
+
+        // Clear first so repeating the same text is still announced
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            if (this.liveRegion) this.liveRegion.textContent = message;
+        }, 50);
+    }
+
+    // Collect new arrivals and announce them together once they stop coming
+    announceArrival(description) {
+        if (!this.accessibilityOptions.announcements) return;
+
+        this.pendingArrivals.push(description);
+        clearTimeout(this.arrivalAnnouncementTimer);
+        this.arrivalAnnouncementTimer = setTimeout(() => {
+            const arrivals = this.pendingArrivals;
+            this.pendingArrivals = [];
+            this.arrivalAnnouncementTimer = null;
+
+            if (arrivals.length === 1) {
+                this.announce(`New viewer from ${arrivals[0]}`);
+            } else {
+                const named = arrivals.slice(0, 3).join(', ');
+                const others = arrivals.length - 3;
+                this.announce(`${arrivals.length} new viewers, from ${named}${others > 0 ? ` and ${others} more` : ''}`);
+            }
+        }, this.accessibilityOptions.arrivalDebounceMs);
+    }
+
+    // Marker and cluster icons in view, west to east
+    getKeyboardTargets() {
+        const pane = this.map?.getPane('markerPane');
+        if (!pane) return [];
+
+        return [...pane.querySelectorAll('.leaflet-marker-icon.leaflet-interactive')]
+            .map(element => {
+                const rect = element.getBoundingClientRect();
+                return { element, x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+            })
+            .sort((a, b) => a.x - b.x || a.y - b.y);
+    }
 
-        // Remove after animation
-        setTimeout(() => {
-            celebrationContainer.remove();
-        }, 1000);
+    // Roving tab stop - Tab reaches one marker (the focused one, else the westernmost) and arrow keys do the rest
+    updateKeyboardTargets(current = null) {
+        const targets = this.getKeyboardTargets();
+        if (!this.accessibilityOptions.keyboardNavigation) {
+            targets.forEach(({ element }) => element.setAttribute('tabindex', '0'));
+            return;
+        }
+
+        const focused = targets.find(({ element }) => element === document.activeElement)?.element;
+        const tabStop = current ?? focused ?? targets[0]?.element;
+        targets.forEach(({ element }) => element.setAttribute('tabindex', element === tabStop ? '0' : '-1'));
     }
 
-    // Show modal with location details
-    showLocationModal(description, service, userType, lat, lng) {
-        // Remove existing modal if present
-        this.dismissLocationModal();
+    // Screen reader label for a marker icon - set again whenever its icon element is replaced
+    labelMarker(marker, { description, count = 1, service }) {
+        marker.getElement()?.setAttribute('aria-label', `${description} - ${count} viewer${count === 1 ? '' : 's'}, ${service}`);
+    }
 
-        const mapElement = document.getElementById(this.elementId);
-        mapElement.style.position = 'relative';
+    // Arrow keys move to the nearest marker or cluster in that direction, Home/End to the westernmost/easternmost,
+    // and Escape closes the popup. Enter is left to Leaflet, whose keyboard handling opens a focused marker's
+    // popup (a click) or zooms into a focused cluster
+    handleMarkerKeyDown(event) {
+        if (!this.accessibilityOptions.keyboardNavigation) return;
 
-        const modal = document.createElement('div');
-        modal.id = `${this.elementId}-celebration-modal`;
-        modal.className = 'pin-celebration-modal';
-        // Set initial opacity for animation
-        modal.style.opacity = '0';
-        modal.style.transition = 'opacity 0.3s ease';
+        const element = event.target.closest?.('.leaflet-marker-icon');
+        if (!element || !this.map.getPane('markerPane').contains(element)) return;
 
-        // Service-specific styling (KEEP ORIGINAL COLORS)
-        const serviceColor = service === 'YouTube' ? '#ff0000' : '#9146ff';
-        const serviceIcon = service === 'YouTube' ? '▶️' : '📺';
+        if (event.key === 'Escape') {
+            this.map.closePopup();
+            return;
+        }
 
-        // Simple positioning: 50px to the right, centered vertically
-        const modalLeft = 250;
-        const modalTop = 20;
-        
-        console.log(`Modal positioning: modalLeft=${modalLeft}px, modalTop=${modalTop}px`);
+        const directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
 
-        modal.innerHTML = `
-      <div class="celebration-modal-content" style="position: absolute; left: ${modalLeft}px; top: ${modalTop}px; background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.3); padding: 0; min-width: 280px; max-width: 320px; z-index: 3000;">
-  <div class="celebration-header" style="border-left: 4px solid ${serviceColor}; padding: 15px; background: linear-gradient(135deg, rgba(255,255,255,0.95) 0%, rgba(240,240,255,0.95) 100%); border-radius: 12px 12px 0 0;">
-              <div class="celebration-icon" style="font-size: 32px; text-align: center; margin-bottom: 8px;">🎉</div>
-                 <div class="celebration-title" style="font-size: 18px; font-weight: 700; text-align: center; color: #333;">New Viewer Location!</div>
-     </div>
-          <div class="celebration-body" style="padding: 15px;">
-     <div class="celebration-location" style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px; padding: 10px; background: rgba(0,123,255,0.05); border-radius: 8px;">
-        <div class="location-icon" style="font-size: 24px;">📍</div>
-        <div class="location-name" style="font-size: 16px; font-weight: 600; color: #333; flex: 1;">${description}</div>
-        </div>
-              <div class="celebration-details" style="display: flex; flex-direction: column; gap: 8px;">
-            <div class="detail-item" style="display: flex; align-items: center; gap: 10px; padding: 6px; background: rgba(0,0,0,0.02); border-radius: 6px;">
-   <span class="detail-icon" style="font-size: 20px;">${serviceIcon}</span>
-    <span class="detail-text" style="color: #666; font-size: 14px;">${service}</span>
-           </div>
-       <div class="detail-item" style="display: flex; align-items: center; gap: 10px; padding: 6px; background: rgba(0,0,0,0.02); border-radius: 6px;">
-             <span class="detail-icon" style="font-size: 20px;">👤</span>
-          <span class="detail-text" style="color: #666; font-size: 14px;">${this.formatUserType(userType)}</span>
-     </div>
-       <div class="detail-item" style="display: flex; align-items: center; gap: 10px; padding: 6px; background: rgba(0,0,0,0.02); border-radius: 6px;">
-  <span class="detail-icon" style="font-size: 20px;">🌍</span>
-  <span class="detail-text" style="color: #666; font-size: 14px;">${lat.toFixed(2)}, ${lng.toFixed(2)}</span>
-         </div>
-             </div>
-       </div>
-       <div class="celebration-footer" style="padding: 15px; border-top: 1px solid rgba(0,0,0,0.1); background: rgba(0,0,0,0.02); border-radius: 0 0 12px 12px;">
-      <button class="celebration-dismiss-btn" onclick="window.dismissCelebrationModal()" style="width: 100%; padding: 10px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border: none; border-radius: 8px; font-size: 14px; font-weight: 600; cursor: pointer; transition: transform 0.2s ease;">
-        Got it! ✓
-              </button>
-         </div>
-            </div>
-        `;
+        const targets = this.getKeyboardTargets();
+        const from = targets.find(target => target.element === element);
+        if (!from || targets.length < 2) return;
+
+        let next = null;
+        if (event.key === 'Home') {
+            next = targets[0];
+        } else if (event.key === 'End') {
+            next = targets[targets.length - 1];
+        } else if (directions[event.key]) {
+            const [dx, dy] = directions[event.key];
+            let best = Infinity;
+            for (const target of targets) {
+                // Distance along the arrow counts fully, sideways drift counts double
+                const along = (target.x - from.x) * dx + (target.y - from.y) * dy;
+                const across = Math.abs((target.x - from.x) * dy) + Math.abs((target.y - from.y) * dx);
+                if (target === from || along <= 0) continue;
+
+                const score = along + across * 2;
+                if (score < best) {
+                    best = score;
+                    next = target;
+                }
+            }
+        } else {
+            return;
+        }
 
-        mapElement.appendChild(modal);
+        event.preventDefault();
+        event.stopPropagation();
+        if (next) {
+            this.updateKeyboardTargets(next.element);
+            next.element.focus();
+        }
+    }
 
-        // Force a reflow to ensure the initial opacity is applied before animation
-        modal.offsetHeight;
+    // Choose which marker and cluster interactions are raised to .NET - see DEFAULT_INTERACTION_EVENTS
+    setInteractionEvents(events) {
+        this.interactionEvents = mergeOptions(DEFAULT_INTERACTION_EVENTS, events);
+        return true;
+    }
 
-        // Animate in
-        setTimeout(() => {
-            modal.style.opacity = '1';
-        }, 50);
+    // Raise a click, hover or popup-open on a single marker to .NET
+    notifyMarkerInteraction(eventType, marker) {
+        if (!this.dotNetObjectRef || !this.interactionEvents[eventType]) return;
 
-        // Store reference for dismissal
-        window.dismissCelebrationModal = () => {
-            this.dismissLocationModal();
-            if (this.celebrationTimeout) {
-                clearTimeout(this.celebrationTimeout);
-                this.celebrationTimeout = null;
-            }
-            this.celebrationActive = false;
-        };
+        const id = this.markerToIdMap.get(marker);
+        const data = id !== undefined ? this.allMarkerData.get(id) : null;
+        if (!data) return;
+
+        this.dotNetObjectRef.invokeMethodAsync('OnMapMarkerEvent', eventType, {
+            markerIds: [id],
+            lat: data.lat,
+            lng: data.lng,
+            count: data.count || 1
+        }).catch(err => console.warn(`Failed to notify ${eventType}:`, err));
     }
 
-    // Dismiss location modal
-    dismissLocationModal() {
-        const modal = document.getElementById(`${this.elementId}-celebration-modal`);
-        if (modal) {
-            modal.style.opacity = '0';
-            setTimeout(() => {
-                modal.remove();
-            }, 300);
+    // Raise a cluster click to .NET with every marker in the cluster
+    notifyClusterInteraction(cluster) {
+        if (!this.dotNetObjectRef || !this.interactionEvents.clusterClick) return;
+
+        const markerIds = [];
+        let count = 0;
+        for (const marker of cluster.getAllChildMarkers()) {
+            const id = this.markerToIdMap.get(marker);
+            if (id === undefined) continue;
+            markerIds.push(id);
+            count += this.allMarkerData.get(id)?.count || 1;
         }
-    }
 
-    // Format user type for display
-    formatUserType(userType) {
-        const typeMap = {
-            'broadcaster': '🎙️ Broadcaster',
-            'moderator': '⚔️ Moderator',
-            'subscriber': '⭐ Subscriber',
-            'vip': '💎 VIP',
-            'user': '👥 Viewer'
-        };
-        return typeMap[userType?.toLowerCase()] || '👥 Viewer';
+        const { lat, lng } = cluster.getLatLng();
+        this.dotNetObjectRef.invokeMethodAsync('OnMapMarkerEvent', 'clusterClick', { markerIds, lat, lng, count })
+            .catch(err => console.warn('Failed to notify clusterClick:', err));
     }
 
     // Notify C# of user navigation start
     notifyUserNavigationStart() {
+        this.noteUserActivity();
         if (this.dotNetObjectRef && !this.tourActive) {
             clearTimeout(this.userNavigationTimeout);
             this.dotNetObjectRef.invokeMethodAsync('OnUserNavigationStart')
@@ -801,6 +3426,7 @@ top: 50%;
 
     // Notify C# of user navigation end (with debounce)
     notifyUserNavigationEnd() {
+        this.noteUserActivity();
         if (this.dotNetObjectRef && !this.tourActive) {
             clearTimeout(this.userNavigationTimeout);
             this.userNavigationTimeout = setTimeout(() => {
@@ -820,7 +3446,7 @@ top: 50%;
         const markerInfo = this.markers.get(id);
         if (markerInfo) {
             const { marker, continentCode } = markerInfo;
-            const clusterGroup = this.markerClusterGroups.get(continentCode);
+            const clusterGroup = this.getMarkerLayer(continentCode);
 
             if (clusterGroup) {
                 clusterGroup.removeLayer(marker);
@@ -847,6 +3473,9 @@ top: 50%;
     removeMarker(id) {
         // Remove from data store
         this.allMarkerData.delete(id);
+        this.spatialIndex.remove(id);
+        this.heatmap?.removePoint(id);
+        this.scheduleLegendUpdate();
 
         // Remove from visible markers if it's currently visible
         if (this.visibleMarkers.has(id)) {
@@ -858,30 +3487,247 @@ top: 50%;
         return true;
     }
 
-    // Draw a trace path polyline on the map
+    // Draw a trace path polyline on the map - the single unnamed path, kept for existing callers
     drawTracePath(coords) {
+        // The trace has always been straight lines between its points
+        return this.drawPath('trace', coords, { geodesic: false });
+    }
+
+    // Draw (or replace) a named path through [lat, lng] waypoints - see DEFAULT_PATH_STYLE for style options
+    drawPath(name, coords, style = {}) {
         if (!this.map) {
             console.error('Map not initialized');
-            return;
+            return false;
         }
+
         try {
-            // Remove existing trace polyline if present
-            if (this.tracePolyline) {
-                this.map.removeLayer(this.tracePolyline);
-                this.tracePolyline = null;
+            // The old path goes even when the new one can't be drawn, so too few points clears it
+            this.removePath(name);
+
+            const waypoints = (coords || []).filter(point =>
+                Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]));
+            if (waypoints.length < 2) {
+                console.warn(`Path '${name}' needs at least two valid points`);
+                return false;
+            }
+
+            const pathStyle = mergeOptions(DEFAULT_PATH_STYLE, style);
+            const legs = [];
+            for (let i = 1; i < waypoints.length; i++) {
+                legs.push(pathStyle.geodesic ? greatCircleArc(waypoints[i - 1], waypoints[i]) : [waypoints[i - 1], waypoints[i]]);
             }
 
-            this.tracePolyline = L.polyline(coords, {
-                color: '#8A2BE2',
-                weight: 2,
-                dashArray: '8, 12',
-                opacity: 0.8
-            }).addTo(this.map);
+            // Join the legs without repeating shared waypoints, then keep the line continuous across the antimeridian
+            const points = unwrapLongitudes(legs.flatMap((leg, i) => i === 0 ? leg : leg.slice(1)));
+
+            const { color, weight, dashArray, opacity } = pathStyle;
+            const layer = L.featureGroup().addTo(this.map);
+            const line = L.polyline(pathStyle.animate ? [points[0]] : points, { color, weight, dashArray, opacity }).addTo(layer);
+            const path = { layer, line, frame: null };
+            this.paths.set(name, path);
+
+            const addArrows = () => {
+                if (pathStyle.arrows) {
+                    this.addPathArrows(layer, points, legs, pathStyle);
+                }
+            };
+
+            if (pathStyle.animate) {
+                this.animatePath(path, points, this.isReducedMotion() ? 0 : pathStyle.animationMs, addArrows);
+            } else {
+                addArrows();
+            }
 
-            console.log(`Drew trace path with ${coords.length} points`);
+            console.log(`Drew path '${name}' with ${waypoints.length} waypoints (${points.length} points)`);
+            return true;
         } catch (error) {
-            console.error('Error drawing trace path:', error);
+            console.error(`Error drawing path '${name}':`, error);
+            return false;
+        }
+    }
+
+    // Reveal a path point by point over durationMs, then call onComplete
+    animatePath(path, points, durationMs, onComplete) {
+        const start = performance.now();
+        const step = () => {
+            const progress = durationMs > 0 ? Math.min(1, (performance.now() - start) / durationMs) : 1;
+            const count = Math.max(1, Math.ceil(progress * points.length));
+            path.line.setLatLngs(points.slice(0, count));
+
+            if (progress < 1) {
+                path.frame = L.Util.requestAnimFrame(step);
+            } else {
+                path.frame = null;
+                onComplete?.();
+            }
+        };
+        path.frame = L.Util.requestAnimFrame(step);
+    }
+
+    // Arrow markers halfway along each leg, rotated to the direction of travel
+    addPathArrows(layer, points, legs, style) {
+        // Find each leg's midpoint within the joined point list
+        let offset = 0;
+        for (const leg of legs) {
+            const middle = offset + Math.floor((leg.length - 1) / 2);
+            offset += leg.length - 1;
+
+            const from = points[middle];
+            const to = points[Math.min(middle + 1, points.length - 1)];
+            if (from === to) continue;
+
+            // Mercator is conformal, so the on-screen angle is the same at every zoom
+            const a = this.map.project(from, 0);
+            const b = this.map.project(to, 0);
+            const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+            const size = 8 + style.weight * 2;
+
+            L.marker([(from[0] + to[0]) / 2, (from[1] + to[1]) / 2], {
+                icon: L.divIcon({
+                    className: 'chattermap-path-arrow',
+                    html: `<div style="transform: rotate(${angle}deg); color: ${escapeHtml(style.color)}; font-size: ${size}px; line-height: ${size}px; text-align: center;">➤</div>`,
+                    iconSize: [size, size],
+                    iconAnchor: [size / 2, size / 2]
+                }),
+                interactive: false,
+                keyboard: false
+            }).addTo(layer);
+        }
+    }
+
+    // Configure arrival arcs - see DEFAULT_ARRIVAL_ARC_OPTIONS; disabling clears any arcs on screen
+    setArrivalArcOptions(options) {
+        this.arrivalArcOptions = mergeOptions(DEFAULT_ARRIVAL_ARC_OPTIONS, options);
+        if (!this.arrivalArcOptions.enabled) {
+            this.clearArrivalArcs();
+        }
+        return true;
+    }
+
+    // Draw an arc from home to a newly arrived viewer, then fade it out - returns false when skipped or rate limited
+    showArrivalArc(lat, lng, service) {
+        const options = this.arrivalArcOptions;
+        if (!this.map || !options.enabled || !Number.isFinite(options.homeLat) || !Number.isFinite(options.homeLng)) {
+            return false;
+        }
+
+        const now = Date.now();
+        if (now - this.lastArrivalArcAt < options.minIntervalMs || this.arrivalArcs.size >= options.maxActive) {
+            return false;
+        }
+        this.lastArrivalArcAt = now;
+
+        const points = this.getArrivalArcPoints([options.homeLat, options.homeLng], [lat, lng], options.curvature);
+        const style = mergeOptions(DEFAULT_PATH_STYLE, {
+            color: options.color ?? this.getServiceStyle(service).color,
+            weight: options.weight,
+            dashArray: options.dashArray,
+            opacity: options.opacity
+        });
+
+        const layer = L.featureGroup().addTo(this.map);
+        const line = L.polyline([points[0]], {
+            color: style.color,
+            weight: style.weight,
+            dashArray: style.dashArray,
+            opacity: style.opacity,
+            interactive: false
+        }).addTo(layer);
+        const arc = { layer, line, frame: null, timer: null };
+        this.arrivalArcs.add(arc);
+
+        this.animatePath(arc, points, this.isReducedMotion() ? 0 : options.drawMs, () => {
+            arc.timer = setTimeout(() => this.fadeArrivalArc(arc, style.opacity), options.holdMs);
+        });
+        return true;
+    }
+
+    // Points along a curve from one [lat, lng] to another, bowed sideways in screen space
+    getArrivalArcPoints(from, to, curvature, segments = 32) {
+        // Take the short way round when the two points straddle the antimeridian
+        const [target] = unwrapLongitudes([from, to]).slice(1);
+
+        // Bend the curve in projected pixels so it looks the same at every zoom
+        const start = this.map.project(from, 0);
+        const end = this.map.project(target, 0);
+        const control = L.point(
+            (start.x + end.x) / 2 + (start.y - end.y) * curvature,
+            (start.y + end.y) / 2 + (end.x - start.x) * curvature
+        );
+
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const point = L.point(
+                (1 - t) * (1 - t) * start.x + 2 * (1 - t) * t * control.x + t * t * end.x,
+                (1 - t) * (1 - t) * start.y + 2 * (1 - t) * t * control.y + t * t * end.y
+            );
+            const latLng = this.map.unproject(point, 0);
+            points.push([latLng.lat, latLng.lng]);
+        }
+        return points;
+    }
+
+    // Fade an arrival arc from its drawn opacity to nothing, then remove it
+    fadeArrivalArc(arc, fromOpacity) {
+        arc.timer = null;
+        const fadeMs = this.isReducedMotion() ? 0 : this.arrivalArcOptions.fadeMs;
+        const start = performance.now();
+
+        const step = () => {
+            const progress = fadeMs > 0 ? Math.min(1, (performance.now() - start) / fadeMs) : 1;
+            arc.line.setStyle({ opacity: fromOpacity * (1 - progress) });
+
+            if (progress < 1) {
+                arc.frame = L.Util.requestAnimFrame(step);
+            } else {
+                this.removeArrivalArc(arc);
+            }
+        };
+        arc.frame = L.Util.requestAnimFrame(step);
+    }
+
+    removeArrivalArc(arc) {
+        if (arc.frame) {
+            L.Util.cancelAnimFrame(arc.frame);
+        }
+        if (arc.timer) {
+            clearTimeout(arc.timer);
+        }
+        arc.layer.remove();
+        this.arrivalArcs.delete(arc);
+    }
+
+    clearArrivalArcs() {
+        for (const arc of [...this.arrivalArcs]) {
+            this.removeArrivalArc(arc);
+        }
+    }
+
+    // Remove one named path
+    removePath(name) {
+        const path = this.paths.get(name);
+        if (!path) return false;
+
+        if (path.frame) {
+            L.Util.cancelAnimFrame(path.frame);
+        }
+        path.layer.remove();
+        this.paths.delete(name);
+        return true;
+    }
+
+    // Remove every named path
+    clearPaths() {
+        for (const name of [...this.paths.keys()]) {
+            this.removePath(name);
         }
+        return true;
+    }
+
+    // Names of the paths currently drawn
+    getPathNames() {
+        return [...this.paths.keys()];
     }
 
     // Clear all markers
@@ -890,29 +3736,51 @@ top: 50%;
             this.markerClusterGroups.forEach(clusterGroup => {
                 clusterGroup.clearLayers();
             });
+            this.pinLayer?.clearLayers();
+            this.heatmap?.clear();
             this.markers.clear();
             this.allMarkerData.clear();
+            this.spatialIndex.clear();
             this.visibleMarkers.clear();
             this.pendingMarkers.clear(); // Clear pending markers too
 
             // Clear reverse lookup
             this.markerToIdMap.clear();
+            this.scheduleLegendUpdate();
 
             console.log('Cleared all markers from all continents');
         }
     }
 
-    // Start tour with enhanced navigation
-    startTour(tourStops) {
+    // Start tour with enhanced navigation - options: {loop, dwellMs, spotlight, spotlightMs}
+    startTour(tourStops, options = {}) {
         if (!this.map || !tourStops || tourStops.length === 0) {
             console.error('Cannot start tour: invalid parameters');
             return;
         }
 
+        if (this.tourTimer) {
+            clearTimeout(this.tourTimer);
+            this.tourTimer = null;
+        }
+
+        // The tour takes over the map - end the celebration on screen and drop waiting ones unless deferring
+        this.endCelebration();
+        if (!this.celebrationQueueOptions.deferDuringTour) {
+            this.celebrationQueue = [];
+        }
+
         console.log(`Starting tour with ${tourStops.length} stops`);
         this.tourActive = true;
+        this.tourPaused = false;
         this.tourStops = tourStops;
         this.currentTourIndex = 0;
+        this.tourLoop = !!options?.loop;
+        this.tourDwellMs = options?.dwellMs || 5000;
+        this.tourSpotlight = !!options?.spotlight;
+        this.tourSpotlightMs = options?.spotlightMs || 2500;
+        this.tourTimerRemaining = null;
+        this.tourPendingStep = null;
 
         // Notify C# component that tour has started
         this.notifyTourStatusChanged();
@@ -933,6 +3801,7 @@ top: 50%;
         const overlay = document.createElement('div');
         overlay.id = `${this.elementId}-region-overlay`;
         overlay.className = 'region-overlay';
+        overlay.setAttribute('aria-hidden', 'true'); // Tour stops are announced through the live region
         overlay.style.cssText = `
             position: absolute;
             bottom: 20px;
@@ -972,15 +3841,28 @@ top: 50%;
     updateRegionOverlay(description, locationCount) {
         const overlay = document.getElementById(`${this.elementId}-region-overlay`);
         if (overlay) {
-            overlay.innerHTML = `
-                <div style="display: flex; align-items: center; justify-content: center; gap: 10px;">
-                    <span style="font-size: 24px;">🎯</span>
-                    <div style="text-align: left;">
-                        <div style="font-size: 18px; font-weight: 700; margin-bottom: 2px;">${description}</div>
-                        <div style="font-size: 14px; opacity: 0.9;">${locationCount} viewer(s) in this region</div>
-                    </div>
-                </div>
-            `;
+            // Built from text nodes - descriptions come from chat
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; justify-content: center; gap: 10px;';
+
+            const icon = document.createElement('span');
+            icon.style.fontSize = '24px';
+            icon.textContent = '🎯';
+
+            const text = document.createElement('div');
+            text.style.textAlign = 'left';
+
+            const title = document.createElement('div');
+            title.style.cssText = 'font-size: 18px; font-weight: 700; margin-bottom: 2px;';
+            title.textContent = description;
+
+            const detail = document.createElement('div');
+            detail.style.cssText = 'font-size: 14px; opacity: 0.9;';
+            detail.textContent = `${locationCount} viewer(s) in this region`;
+
+            text.append(title, detail);
+            row.append(icon, text);
+            overlay.replaceChildren(row);
         }
     }
 
@@ -996,46 +3878,249 @@ top: 50%;
         }
     }
 
-    // Continue tour to next location
+    // Continue tour to next location (or wrap around in loop mode)
     continueTour() {
-        if (!this.tourActive || this.currentTourIndex >= this.tourStops.length) {
+        if (!this.tourActive) return;
+
+        if (this.currentTourIndex >= this.tourStops.length && !this.tourLoop) {
             console.log('Tour completed - reached end of stops');
             this.stopTour();
             return;
         }
 
-        // Safety check - if user has manually zoomed out, stop the tour
-        if (this.map && this.map.getZoom() <= 2 && this.currentTourIndex > 0) {
-            console.log('Tour stopped due to zoom level');
+        // Safety check - if user has manually zoomed out, stop the tour
+        if (this.map && this.map.getZoom() <= 2 && this.currentTourIndex > 0) {
+            console.log('Tour stopped due to zoom level');
+            this.stopTour();
+            return;
+        }
+
+        this.showTourStop(this.currentTourIndex % this.tourStops.length);
+    }
+
+    // Fly to a tour stop by zero-based index and schedule the next one after its dwell time
+    showTourStop(index) {
+        const stop = this.tourStops[index];
+        console.log(`Tour stop ${index + 1}/${this.tourStops.length}: ${stop.description}`);
+
+        // Leaving a stop mid-spotlight (next/previous/go to) drops its highlight
+        this.clearSpotlight();
+
+        // Update region overlay with current stop info
+        this.updateRegionOverlay(stop.description, this.getTourStopViewerCount(stop));
+
+        // Fly to the tour stop with appropriate zoom (respecting max zoom)
+        const targetZoom = Math.min(stop.zoom || 4, this.getMaxZoom());
+        const travelMs = this.moveTo(stop.lat, stop.lng, targetZoom, 2.5);
+
+        // currentTourIndex is the one-based number of the stop being shown
+        this.currentTourIndex = index + 1;
+
+        const viewerCount = this.getTourStopViewerCount(stop);
+        this.announce(`Tour stop ${index + 1} of ${this.tourStops.length}: ${stop.description}, ${viewerCount} viewer${viewerCount === 1 ? '' : 's'}`);
+
+        // Notify C# component of tour progress
+        this.notifyTourStatusChanged();
+
+        if (this.tourSpotlight && this.getTourStopLocations(stop).length > 0) {
+            // Let the flight land before calling out the first viewer
+            this.scheduleTourStep(Math.max(travelMs, 500), () => this.spotlightViewer(stop, 0));
+        } else {
+            this.scheduleTourStep(this.getTourStopDwell(stop), () => this.continueTour());
+        }
+    }
+
+    // Time to stay at a stop - per-stop dwellMs, else the tour default
+    getTourStopDwell(stop) {
+        return stop?.dwellMs > 0 ? stop.dwellMs : this.tourDwellMs;
+    }
+
+    // A stop's locations that pass the marker filter
+    getTourStopLocations(stop) {
+        const locations = stop?.locations || [];
+        return this.isMarkerFilterActive() ? locations.filter(location => this.matchesMarkerFilter(location)) : locations;
+    }
+
+    // Viewers shown in the region overlay - the viewers passing the filter while one is set. Stops only carry
+    // the first few locations in full, so the count uses the compact [service, userType, timestamp] list
+    getTourStopViewerCount(stop) {
+        if (this.isMarkerFilterActive()) {
+            const viewers = stop.viewers?.map(([service, userType, timestamp]) => ({ service, userType, timestamp })) ?? stop.locations ?? [];
+            return viewers.filter(viewer => this.matchesMarkerFilter(viewer)).length;
+        }
+        return stop.locationCount || stop.locations?.length || 0;
+    }
+
+    // Call out one viewer at the current stop, then the next, then move on to the next region
+    spotlightViewer(stop, viewerIndex) {
+        const locations = this.getTourStopLocations(stop).slice(0, this.tourSpotlightLimit);
+
+        if (viewerIndex >= locations.length) {
+            this.clearSpotlight();
+            this.updateRegionOverlay(stop.description, this.getTourStopViewerCount(stop));
+            this.scheduleTourStep(1000, () => this.continueTour());
+            return;
+        }
+
+        const viewer = locations[viewerIndex];
+        console.log(`Tour spotlight ${viewerIndex + 1}/${locations.length}: ${viewer.description}`);
+
+        this.clearSpotlight();
+        this.openSpotlightPopup(viewer.markerId);
+
+        this.updateSpotlightOverlay(stop, viewer, viewerIndex, locations.length);
+        this.scheduleTourStep(this.tourSpotlightMs, () => this.spotlightViewer(stop, viewerIndex + 1));
+    }
+
+    // Show the spotlighted viewer's type and location in the region overlay
+    updateSpotlightOverlay(stop, viewer, viewerIndex, viewerCount) {
+        const overlay = document.getElementById(`${this.elementId}-region-overlay`);
+        if (!overlay) return;
+
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; justify-content: center; gap: 10px;';
+
+        const icon = document.createElement('span');
+        icon.style.fontSize = '24px';
+        icon.textContent = '📍';
+
+        const text = document.createElement('div');
+        text.style.textAlign = 'left';
+
+        const name = document.createElement('div');
+        name.style.cssText = 'font-size: 18px; font-weight: 700; margin-bottom: 2px;';
+        name.textContent = `${this.formatUserType(viewer.userType)} - ${viewer.description}`;
+
+        const detail = document.createElement('div');
+        detail.style.cssText = 'font-size: 14px; opacity: 0.9;';
+        detail.textContent = `${stop.description} · viewer ${viewerIndex + 1} of ${viewerCount}`;
+
+        text.append(name, detail);
+        row.append(icon, text);
+        overlay.replaceChildren(row);
+    }
+
+    // Open the spotlighted viewer's own marker popup, uncovering it from its cluster first. Viewers without a
+    // rendered marker are only named in the region overlay
+    openSpotlightPopup(markerId) {
+        const markerInfo = markerId ? this.markers.get(markerId) : null;
+        if (!markerInfo) return;
+
+        const { marker, continentCode } = markerInfo;
+        this.spotlightMarker = marker;
+        const openPopup = () => {
+            // The tour may have moved on while the cluster was zooming or spiderfying
+            if (this.spotlightMarker === marker) marker.openPopup();
+        };
+
+        const layer = this.getMarkerLayer(continentCode);
+        if (typeof layer?.zoomToShowLayer === 'function') {
+            this.programmaticMove = true;
+            layer.zoomToShowLayer(marker, openPopup);
+        } else {
+            openPopup();
+        }
+    }
+
+    // Close the spotlighted marker's popup
+    clearSpotlight() {
+        if (this.spotlightMarker) {
+            this.spotlightMarker.closePopup();
+            this.spotlightMarker = null;
+        }
+    }
+
+    // Schedule the next tour step, or hold it for resume when the tour is paused
+    scheduleTourStep(delayMs, step) {
+        if (this.tourTimer) {
+            clearTimeout(this.tourTimer);
+            this.tourTimer = null;
+        }
+
+        this.tourPendingStep = step;
+
+        if (this.tourPaused) {
+            // Resuming gives the step its full delay
+            this.tourTimerRemaining = delayMs;
+            return;
+        }
+
+        this.tourTimerDueAt = Date.now() + delayMs;
+        this.tourTimerRemaining = null;
+        this.tourTimer = setTimeout(() => {
+            this.tourTimer = null;
+            if (this.tourActive && !this.tourPaused) { // Double-check tour is still running
+                this.tourPendingStep = null;
+                step();
+            }
+        }, delayMs);
+    }
+
+    // Hold the tour at the current stop
+    pauseTour() {
+        if (!this.tourActive || this.tourPaused) return false;
+
+        this.tourPaused = true;
+        if (this.tourTimer) {
+            clearTimeout(this.tourTimer);
+            this.tourTimer = null;
+            this.tourTimerRemaining = Math.max(0, this.tourTimerDueAt - Date.now());
+        }
+
+        console.log(`Tour paused at stop ${this.currentTourIndex}/${this.tourStops.length}`);
+        this.notifyTourStatusChanged();
+        return true;
+    }
+
+    // Carry on from where the tour was paused
+    resumeTour() {
+        if (!this.tourActive || !this.tourPaused) return false;
+
+        this.tourPaused = false;
+        const stop = this.tourStops[this.currentTourIndex - 1];
+        const step = this.tourPendingStep || (() => this.continueTour());
+        this.scheduleTourStep(this.tourTimerRemaining ?? this.getTourStopDwell(stop), step);
+
+        console.log(`Tour resumed at stop ${this.currentTourIndex}/${this.tourStops.length}`);
+        this.notifyTourStatusChanged();
+        return true;
+    }
+
+    // Skip ahead to the next stop now
+    nextTourStop() {
+        if (!this.tourActive) return false;
+
+        if (this.currentTourIndex >= this.tourStops.length && !this.tourLoop) {
             this.stopTour();
-            return;
+            return true;
         }
 
-        const stop = this.tourStops[this.currentTourIndex];
-        console.log(`Tour stop ${this.currentTourIndex + 1}/${this.tourStops.length}: ${stop.description}`);
+        this.showTourStop(this.currentTourIndex % this.tourStops.length);
+        return true;
+    }
 
-        // Update region overlay with current stop info
-        this.updateRegionOverlay(stop.description, stop.locationCount || stop.locations?.length || 0);
+    // Go back one stop (wrapping to the last stop in loop mode)
+    previousTourStop() {
+        if (!this.tourActive) return false;
 
-        // Fly to the tour stop with appropriate zoom (respecting max zoom)
-        const targetZoom = Math.min(stop.zoom || 4, this.getMaxZoom());
-        this.map.flyTo([stop.lat, stop.lng], targetZoom, {
-            animate: true,
-            duration: 2.5,
-            easeLinearity: 0.25
-        });
+        let index = this.currentTourIndex - 2;
+        if (index < 0) {
+            index = this.tourLoop ? this.tourStops.length - 1 : 0;
+        }
 
-        this.currentTourIndex++;
+        this.showTourStop(index);
+        return true;
+    }
 
-        // Notify C# component of tour progress
-        this.notifyTourStatusChanged();
+    // Jump to a stop by its one-based number, e.g. from a chat command
+    goToTourStop(stopNumber) {
+        if (!this.tourActive || stopNumber < 1 || stopNumber > this.tourStops.length) {
+            console.warn(`Cannot go to tour stop ${stopNumber} of ${this.tourStops.length}`);
+            return false;
+        }
 
-        // Schedule next tour stop with safety check
-        this.tourTimer = setTimeout(() => {
-            if (this.tourActive) { // Double-check tour is still active
-                this.continueTour();
-            }
-        }, 5000);
+        this.showTourStop(stopNumber - 1);
+        return true;
     }
 
     // Stop tour and return to world view
@@ -1047,6 +4132,9 @@ top: 50%;
 
         console.log('Stopping tour and resetting state');
         this.tourActive = false;
+        this.tourPaused = false;
+        this.tourTimerRemaining = null;
+        this.tourPendingStep = null;
         this.currentTourIndex = 0;
         this.tourStops = []; // Clear tour stops to ensure clean state
 
@@ -1055,23 +4143,26 @@ top: 50%;
             this.tourTimer = null;
         }
 
-        // Remove region overlay
+        // Remove region overlay and any spotlight highlight
         this.removeRegionOverlay();
+        this.clearSpotlight();
 
         // Return to world view centered over the Atlantic Ocean with smooth animation
         // Only if not already at world view
-        if (this.map && this.map.getZoom() > 2) {
-            this.map.flyTo([15, -30], 2, {
-                animate: true,
-                duration: 3.0,
-                easeLinearity: 0.25
-            });
+        // An overlay frames its markers instead
+        if (this.overlayOptions.enabled && this.overlayOptions.autoFit) {
+            this.fitToMarkers();
+        } else if (this.map && this.map.getZoom() > 2) {
+            this.moveTo(15, -30, 2, 3.0);
         }
 
         console.log('Tour stopped - state should now show inactive');
 
         // Notify C# component that tour has ended
         this.notifyTourStatusChanged();
+
+        // Play any celebrations deferred while the tour was running
+        this.processCelebrationQueue();
     }
 
     // Notify C# component of tour status changes
@@ -1081,8 +4172,9 @@ top: 50%;
                 this.dotNetObjectRef.invokeMethodAsync('OnTourStatusChanged',
                     this.tourActive,
                     this.currentTourIndex,
-                    this.tourStops.length);
-                console.log(`Notified C# of tour status: active=${this.tourActive}, index=${this.currentTourIndex}, total=${this.tourStops.length}`);
+                    this.tourStops.length,
+                    this.tourPaused);
+                console.log(`Notified C# of tour status: active=${this.tourActive}, paused=${this.tourPaused}, index=${this.currentTourIndex}, total=${this.tourStops.length}`);
             } catch (error) {
                 console.error('Error notifying C# of tour status change:', error);
             }
@@ -1095,8 +4187,11 @@ top: 50%;
     getTourStatus() {
         const status = {
             active: this.tourActive,
+            paused: this.tourPaused,
+            loop: this.tourLoop,
             currentIndex: this.currentTourIndex,
-            totalLocations: this.tourStops.length
+            totalLocations: this.tourStops.length,
+            currentStop: this.tourStops[this.currentTourIndex - 1]?.description ?? null
         };
         return status;
     }
@@ -1107,6 +4202,294 @@ top: 50%;
         console.log('DotNet object reference set for callbacks');
     }
 
+    // Render the current view - tiles, outlines, paths, heatmap, markers and clusters - to a PNG
+    // See DEFAULT_IMAGE_EXPORT_OPTIONS; resolves to a data URL (or a Blob with asBlob), or null on failure
+    async exportImage(options = {}) {
+        if (!this.map) return null;
+
+        const config = mergeOptions(DEFAULT_IMAGE_EXPORT_OPTIONS, options);
+        const container = this.map.getContainer();
+        const origin = container.getBoundingClientRect();
+        const scale = config.scale || window.devicePixelRatio || 1;
+
+        // readableOnly leaves out images that would taint the canvas, such as icons from another origin
+        const render = async (includeTiles, readableOnly = false) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(origin.width * scale);
+            canvas.height = Math.round(origin.height * scale);
+
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            ctx.fillStyle = this.tileProvider?.backgroundColor || config.backgroundColor;
+            ctx.fillRect(0, 0, origin.width, origin.height);
+
+            // Draw pane by pane in the order Leaflet stacks them
+            const layers = [
+                ...(includeTiles ? container.querySelectorAll('.leaflet-tile-pane img.leaflet-tile-loaded') : []),
+                ...container.querySelectorAll('.leaflet-overlay-pane > svg, .leaflet-overlay-pane > canvas'),
+                ...container.querySelectorAll('canvas.chattermap-heatmap'),
+                ...container.querySelectorAll('.leaflet-marker-pane > .leaflet-marker-icon')
+            ];
+            for (const element of layers) {
+                await this.drawElementToCanvas(ctx, element, origin, readableOnly);
+            }
+
+            if (config.title) {
+                this.drawExportTitle(ctx, config.title, origin.width);
+            }
+            if (config.legend) {
+                this.drawExportLegend(ctx, origin.width, origin.height);
+            }
+            this.drawExportAttribution(ctx, origin.width, origin.height);
+
+            return config.asBlob
+                ? await new Promise((resolve, reject) => canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas is empty')), 'image/png'))
+                : canvas.toDataURL('image/png');
+        };
+
+        // Tiles requested without CORS would taint the canvas, so they are only drawn when the provider opts in
+        const tilesReadable = Boolean(this.tileProvider?.crossOrigin);
+        if (!tilesReadable) {
+            console.log('Exporting map image without tiles - set crossOrigin on the tile provider to include them');
+        }
+
+        try {
+            return await render(tilesReadable);
+        } catch (error) {
+            // Images from a server without CORS headers (tiles or marker icons) taint the canvas - retry without them
+            if (error?.name !== 'SecurityError') {
+                console.error('Error exporting map image:', error);
+                return null;
+            }
+            console.warn('Some map images cannot be exported from their server (no CORS headers) - exporting without them');
+            try {
+                return await render(tilesReadable, true);
+            } catch (retryError) {
+                console.error('Error exporting map image:', retryError);
+                return null;
+            }
+        }
+    }
+
+    // Paint a rendered element (and for plain elements, its children) onto an export canvas
+    // Covers what the map draws - images, SVG, canvases, and divs with backgrounds, borders and text
+    // With readableOnly, images that would taint the canvas are skipped
+    async drawElementToCanvas(ctx, element, origin, readableOnly = false) {
+        const style = getComputedStyle(element);
+        if (style.display === 'none' || style.visibility === 'hidden') return;
+
+        const rect = element.getBoundingClientRect();
+        const x = rect.left - origin.left;
+        const y = rect.top - origin.top;
+        if (rect.width === 0 || rect.height === 0) return;
+
+        ctx.save();
+        ctx.globalAlpha *= Number(style.opacity);
+
+        try {
+            if (element instanceof HTMLImageElement) {
+                if (element.complete && element.naturalWidth > 0 && (!readableOnly || isCanvasReadable(element))) {
+                    ctx.drawImage(element, x, y, rect.width, rect.height);
+                }
+            } else if (element instanceof HTMLCanvasElement) {
+                ctx.drawImage(element, x, y, rect.width, rect.height);
+            } else if (element instanceof SVGSVGElement) {
+                const markup = new XMLSerializer().serializeToString(element);
+                const image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+                ctx.drawImage(image, x, y, rect.width, rect.height);
+            } else {
+                const radius = Math.min(
+                    style.borderTopLeftRadius.endsWith('%')
+                        ? parseFloat(style.borderTopLeftRadius) / 100 * Math.min(rect.width, rect.height)
+                        : parseFloat(style.borderTopLeftRadius) || 0,
+                    Math.min(rect.width, rect.height) / 2);
+                const borderWidth = parseFloat(style.borderTopWidth) || 0;
+                const hasBackground = style.backgroundColor && style.backgroundColor !== 'transparent' && style.backgroundColor !== 'rgba(0, 0, 0, 0)';
+
+                if (hasBackground || borderWidth > 0) {
+                    ctx.beginPath();
+                    ctx.roundRect(x + borderWidth / 2, y + borderWidth / 2, rect.width - borderWidth, rect.height - borderWidth, radius);
+                    if (hasBackground) {
+                        ctx.fillStyle = style.backgroundColor;
+                        ctx.fill();
+                    }
+                    if (borderWidth > 0) {
+                        ctx.lineWidth = borderWidth;
+                        ctx.strokeStyle = style.borderTopColor;
+                        ctx.stroke();
+                    }
+                }
+
+                // Only the element's own text - children draw theirs
+                const text = [...element.childNodes]
+                    .filter(node => node.nodeType === Node.TEXT_NODE)
+                    .map(node => node.textContent)
+                    .join('')
+                    .trim();
+                if (text) {
+                    ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+                    ctx.fillStyle = style.color;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(text, x + rect.width / 2, y + rect.height / 2);
+                }
+
+                for (const child of element.children) {
+                    await this.drawElementToCanvas(ctx, child, origin, readableOnly);
+                }
+            }
+        } catch (error) {
+            if (error?.name === 'SecurityError') throw error;
+            console.warn('Skipping element in map export:', error);
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    // Banner across the top of an exported image
+    drawExportTitle(ctx, title, width) {
+        const height = 48;
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = 'bold 22px system-ui, -apple-system, "Segoe UI", sans-serif';
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(title), width / 2, height / 2, width - 32);
+        ctx.restore();
+    }
+
+    // Service and user type counts in the bottom-right corner of an exported image
+    drawExportLegend(ctx, width, height) {
+        const { services, userTypes } = this.getLegendCounts();
+        const rows = [
+            { heading: 'Services' },
+            ...services.map(([key, entry]) => ({ label: entry.value, count: entry.count, color: this.getServiceStyle(key).color })),
+            { heading: 'Viewers' },
+            ...userTypes.map(([key, entry]) => ({ label: USER_TYPE_LABELS[key] ?? entry.value, count: entry.count }))
+        ];
+
+        const lineHeight = 18;
+        const boxWidth = 180;
+        const boxHeight = rows.length * lineHeight + 16;
+        const left = width - boxWidth - 12;
+        const top = height - boxHeight - 28; // Clear of the attribution
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.beginPath();
+        ctx.roundRect(left, top, boxWidth, boxHeight, 6);
+        ctx.fill();
+
+        ctx.textBaseline = 'middle';
+        rows.forEach((row, i) => {
+            const y = top + 8 + i * lineHeight + lineHeight / 2;
+            ctx.fillStyle = '#212529';
+            if (row.heading) {
+                ctx.font = 'bold 12px system-ui, -apple-system, "Segoe UI", sans-serif';
+                ctx.textAlign = 'left';
+                ctx.fillText(row.heading, left + 10, y);
+                return;
+            }
+
+            if (row.color) {
+                ctx.fillStyle = row.color;
+                ctx.beginPath();
+                ctx.arc(left + 16, y, 5, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#212529';
+            }
+            ctx.font = '12px system-ui, -apple-system, "Segoe UI", sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(String(row.label), left + 28, y, boxWidth - 80);
+            ctx.textAlign = 'right';
+            ctx.fillText(String(row.count), left + boxWidth - 10, y);
+        });
+        ctx.restore();
+    }
+
+    // Tile and data attribution, as the map shows it, along the bottom-right edge
+    drawExportAttribution(ctx, width, height) {
+        const text = this.map.attributionControl?.getContainer()?.textContent?.trim();
+        if (!text) return;
+
+        ctx.save();
+        ctx.font = '11px system-ui, -apple-system, "Segoe UI", sans-serif';
+        const textWidth = Math.min(ctx.measureText(text).width, width - 8);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(width - textWidth - 8, height - 18, textWidth + 8, 18);
+        ctx.fillStyle = '#333333';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, width - 4, height - 9, width - 8);
+        ctx.restore();
+    }
+
+    // Export the stored markers as a GeoJSON FeatureCollection of Points
+    // visibleOnly limits it to markers that pass the current filter, legend and replay cursor
+    exportGeoJson(visibleOnly = false) {
+        const features = [];
+        for (const [id, data] of this.allMarkerData) {
+            if (visibleOnly && !this.matchesMarkerFilter(data)) continue;
+
+            features.push({
+                type: 'Feature',
+                id,
+                geometry: { type: 'Point', coordinates: [data.lng, data.lat] },
+                properties: {
+                    id,
+                    count: data.count || 1,
+                    userType: data.userType ?? null,
+                    service: data.service ?? null,
+                    description: data.description ?? null,
+                    firstSeen: new Date(data.timestamp).toISOString(),
+                    lastSeen: new Date(data.lastSeen).toISOString()
+                }
+            });
+        }
+        return { type: 'FeatureCollection', features };
+    }
+
+    // Export the stored markers as CSV text, one row per marker - see CSV_COLUMNS
+    exportCsv(visibleOnly = false) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const feature of this.exportGeoJson(visibleOnly).features) {
+            const [lng, lat] = feature.geometry.coordinates;
+            const row = { ...feature.properties, lat, lng };
+            lines.push(CSV_COLUMNS.map(column => toCsvField(row[column])).join(','));
+        }
+        return lines.join('\r\n');
+    }
+
+    // Save an export through the browser's download prompt: format is 'png', 'geojson' or 'csv'
+    async downloadExport(format, fileName = null, options = {}) {
+        const type = String(format).toLowerCase();
+        let blob;
+
+        if (type === 'png') {
+            blob = await this.exportImage({ ...options, asBlob: true });
+        } else if (type === 'geojson') {
+            blob = new Blob([JSON.stringify(this.exportGeoJson(options?.visibleOnly))], { type: 'application/geo+json' });
+        } else if (type === 'csv') {
+            blob = new Blob([this.exportCsv(options?.visibleOnly)], { type: 'text/csv' });
+        } else {
+            console.warn(`Unsupported export format: ${format}`);
+            return false;
+        }
+        if (!blob) return false;
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName || `chattermap-${new Date().toISOString().slice(0, 10)}.${type}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return true;
+    }
+
     // Dispose of map resources
     dispose() {
         console.log('Disposing map resources');
@@ -1131,15 +4514,66 @@ top: 50%;
             this.viewportUpdateThrottle = null;
         }
 
+        this.celebrationQueue = [];
+        this.currentCelebration = null;
+        this.endCelebration();
         this.dismissLocationModal();
 
+        if (this.markerFilterTimer) {
+            clearInterval(this.markerFilterTimer);
+            this.markerFilterTimer = null;
+        }
+
+        if (this.legendUpdateTimer) {
+            clearTimeout(this.legendUpdateTimer);
+            this.legendUpdateTimer = null;
+        }
+        this.legendControl = null;
+
+        this.stopReplayTimer();
+        this.replay = null;
+        this.replayControl = null;
+
+        if (this.agingTimer) {
+            clearInterval(this.agingTimer);
+            this.agingTimer = null;
+        }
+
+        this.clearPaths();
+        this.clearArrivalArcs();
+
+        clearTimeout(this.arrivalAnnouncementTimer);
+        this.arrivalAnnouncementTimer = null;
+        clearTimeout(this.overlayFitTimer);
+        this.overlayFitTimer = null;
+        clearTimeout(this.directorTimer);
+        this.directorTimer = null;
+        this.reducedMotionQuery?.removeEventListener('change', this.onReducedMotionChange);
+        this.reducedMotionQuery = null;
+        this.liveRegion?.remove();
+        this.liveRegion = null;
+        this.containerListeners?.abort();
+        this.containerListeners = null;
+
+        this.heatmap?.remove();
+        this.heatmap = null;
+        this.pinLayer = null;
+
+        this.iconUrlCache.clear();
+        this.preloadedIcons.clear();
+
         if (this.map) {
             this.map.remove();
             this.map = null;
         }
 
+        this.tileLayer = null;
+        this.outlineLayer = null;
+        this.tileProvider = null;
+
         this.markers.clear();
         this.allMarkerData.clear();
+        this.spatialIndex.clear();
         this.visibleMarkers.clear();
         this.pendingMarkers.clear();
         this.markerClusterGroups.clear();
@@ -1149,151 +4583,473 @@ top: 50%;
 
         this.tourStops = [];
         this.tourActive = false;
+        this.tourPaused = false;
+        this.tourPendingStep = null;
+        this.spotlightMarker = null;
         this.currentTourIndex = 0;
         this.celebrationActive = false;
     }
 }
 
-// Component instance manager
-let mapInstance = null;
-let pendingDotNetRef = null; // Store DotNet reference if set before map initialization
+// Component instance registry - one ChatterMapManager per map element so several maps can share a page
+const mapInstances = new Map(); // Map of element ID -> ChatterMapManager
+const pendingDotNetRefs = new Map(); // Store DotNet references set before map initialization, keyed by element ID
+
+// Look up the manager for a map element
+function getMapInstance(elementId) {
+    return mapInstances.get(elementId) || null;
+}
 
 // Exported functions for .NET interop
-export function initializeMap(elementId, height, width, lat, lng, zoom, maxZoom = 6) {
+export function initializeMap(elementId, height, width, lat, lng, zoom, maxZoom = 6, options = {}) {
     console.log(`Initializing map for element ${elementId} with max zoom: ${maxZoom}`);
 
-    if (mapInstance) {
-        mapInstance.dispose();
+    // Only replace a previous map on the same element - other maps on the page are left alone
+    const existingInstance = getMapInstance(elementId);
+    if (existingInstance) {
+        existingInstance.dispose();
+        mapInstances.delete(elementId);
     }
 
-    mapInstance = new ChatterMapManager();
-    const success = mapInstance.initializeMap(elementId, height, width, lat, lng, zoom, maxZoom);
+    const mapInstance = new ChatterMapManager();
+    const success = mapInstance.initializeMap(elementId, height, width, lat, lng, zoom, maxZoom, options);
+
+    if (success) {
+        mapInstances.set(elementId, mapInstance);
 
-    // If there was a pending DotNet reference, set it now
-    if (success && pendingDotNetRef) {
-        mapInstance.setDotNetReference(pendingDotNetRef);
-        pendingDotNetRef = null;
+        // If there was a pending DotNet reference for this element, set it now
+        const pendingDotNetRef = pendingDotNetRefs.get(elementId);
+        if (pendingDotNetRef) {
+            mapInstance.setDotNetReference(pendingDotNetRef);
+            pendingDotNetRefs.delete(elementId);
+        }
     }
 
     return success;
 }
 
-export function addMarker(id, lat, lng, userType, description, service, count = 1) {
+export function addMarker(elementId, id, lat, lng, userType, description, service, count = 1, timestamp = null) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
-        return mapInstance.addMarker(id, lat, lng, userType, description, service, count);
+        return mapInstance.addMarker(id, lat, lng, userType, description, service, count, timestamp);
     }
-    console.error('Map instance not initialized');
+    console.error(`Map instance not initialized for element ${elementId}`);
     return false;
 }
 
-export function updateAggregatedMarker(id, count, popupContent) {
+export function addMarkers(elementId, records) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.addMarkers(records);
+    }
+    console.error(`Map instance not initialized for element ${elementId}`);
+    return { accepted: 0, rejected: [] };
+}
+
+export function updateAggregatedMarker(elementId, id, count, popupContent, trusted = false, lastSeen = null) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
-        return mapInstance.updateAggregatedMarker(id, count, popupContent);
+        return mapInstance.updateAggregatedMarker(id, count, popupContent, trusted, lastSeen);
     }
-    console.error('Map instance not initialized');
+    console.error(`Map instance not initialized for element ${elementId}`);
     return false;
 }
 
-export function removeMarker(id) {
+export function removeMarker(elementId, id) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         return mapInstance.removeMarker(id);
     }
     return false;
 }
 
-export function clearMarkers() {
+export function clearMarkers(elementId) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         mapInstance.clearMarkers();
     }
 }
 
-export function zoomToLocation(lat, lng, zoom) {
+export function zoomToLocation(elementId, lat, lng, zoom) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         mapInstance.zoomToLocation(lat, lng, zoom);
     }
 }
 
-export function getMaxZoom() {
+export function getMaxZoom(elementId) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         return mapInstance.getMaxZoom();
     }
     return 6; // Default value
 }
 
-export function setMaxZoom(maxZoom) {
+export function setMaxZoom(elementId, maxZoom) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         return mapInstance.setMaxZoom(maxZoom);
     }
     return false;
 }
 
-export function startTour(tourStops) {
+export function setIconMap(elementId, entries) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setIconMap(entries);
+    }
+    return false;
+}
+
+export function invalidateIconCache(elementId, redraw = true) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.invalidateIconCache(redraw);
+    }
+    return false;
+}
+
+export function setAgingOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setAgingOptions(options);
+    }
+    return false;
+}
+
+export function setReplayOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setReplayOptions(options);
+    }
+    return false;
+}
+
+export function startReplay(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.startReplay(options || {});
+    }
+    return false;
+}
+
+export function pauseReplay(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.pauseReplay() : false;
+}
+
+export function resumeReplay(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.resumeReplay() : false;
+}
+
+export function stopReplay(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.stopReplay() : false;
+}
+
+export function setTimeCursor(elementId, time) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.setTimeCursor(time) : false;
+}
+
+export function getReplayStatus(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.getReplayStatus() : null;
+}
+
+export function setLegendOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setLegendOptions(options);
+    }
+    return false;
+}
+
+export function toggleLegendCategory(elementId, kind, value) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.toggleLegendCategory(kind, value);
+    }
+    return false;
+}
+
+export function setMarkerFilter(elementId, filter) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setMarkerFilter(filter);
+    }
+    return false;
+}
+
+export function clearMarkerFilter(elementId) {
+    return setMarkerFilter(elementId, null);
+}
+
+export function getMarkerFilter(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.getMarkerFilter() : null;
+}
+
+export function setClusterStyle(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setClusterStyle(options);
+    }
+    return false;
+}
+
+export function setDisplayMode(elementId, mode) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setDisplayMode(mode);
+    }
+    return false;
+}
+
+export function setTileProvider(elementId, provider) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setTileProvider(provider);
+    }
+    return false;
+}
+
+export function startTour(elementId, tourStops, options = {}) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
-        mapInstance.startTour(tourStops);
+        mapInstance.startTour(tourStops, options);
     }
 }
 
-export function startTourWithJson(tourStopsJson) {
+export function startTourWithJson(elementId, tourStopsJson, options = {}) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         try {
             const tourStops = JSON.parse(tourStopsJson);
             console.log('Starting tour with parsed JSON stops:', tourStops);
-            mapInstance.startTour(tourStops);
+            mapInstance.startTour(tourStops, options);
         } catch (error) {
             console.error('Failed to parse tour stops JSON:', error);
         }
     }
 }
 
-export function stopTour() {
+export function stopTour(elementId) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         mapInstance.stopTour();
     }
 }
 
-export function getTourStatus() {
+export function pauseTour(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.pauseTour();
+    }
+    return false;
+}
+
+export function resumeTour(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.resumeTour();
+    }
+    return false;
+}
+
+export function nextTourStop(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.nextTourStop();
+    }
+    return false;
+}
+
+export function previousTourStop(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.previousTourStop();
+    }
+    return false;
+}
+
+export function goToTourStop(elementId, stopNumber) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.goToTourStop(stopNumber);
+    }
+    return false;
+}
+
+export function getTourStatus(elementId) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         return mapInstance.getTourStatus();
     }
-    return { active: false, currentIndex: 0, totalLocations: 0 };
+    return { active: false, paused: false, loop: false, currentIndex: 0, totalLocations: 0, currentStop: null };
 }
 
-export function setDotNetReference(dotNetObjectRef) {
+export function setDotNetReference(elementId, dotNetObjectRef) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         mapInstance.setDotNetReference(dotNetObjectRef);
     } else {
-        // Store reference to set later when map is initialized
-        pendingDotNetRef = dotNetObjectRef;
-        console.log('DotNet reference stored, will be set when map initializes');
+        // Store reference to set later when this element's map is initialized
+        pendingDotNetRefs.set(elementId, dotNetObjectRef);
+        console.log(`DotNet reference stored for element ${elementId}, will be set when map initializes`);
     }
 }
 
-export function invalidateSize() {
+export function invalidateSize(elementId) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         mapInstance.invalidateSize();
     }
 }
 
-export function dispose() {
+export function dispose(elementId) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         mapInstance.dispose();
-        mapInstance = null;
+        mapInstances.delete(elementId);
+    }
+    pendingDotNetRefs.delete(elementId);
+}
+
+export function queuePinCelebration(elementId, celebration) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.queuePinCelebration(celebration);
+    }
+    console.error(`Map instance not initialized for element ${elementId}`);
+    return false;
+}
+
+export function setCelebrationOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setCelebrationOptions(options);
     }
+    return false;
+}
+
+export function setCelebrationQueueOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.setCelebrationQueueOptions(options);
+    }
+    return false;
 }
 
 // NEW: Export showPinCelebration function
-export function showPinCelebration(lat, lng, description, service, userType, duration) {
+export function showPinCelebration(elementId, lat, lng, description, service, userType, duration) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
         return mapInstance.showPinCelebration(lat, lng, description, service, userType, duration);
     }
-    console.error('Map instance not initialized');
-    return Promise.resolve();
+    console.error(`Map instance not initialized for element ${elementId}`);
+    return false;
 }
 
-export function drawTracePath(coords) {
+export function drawTracePath(elementId, coords) {
+    const mapInstance = getMapInstance(elementId);
     if (mapInstance) {
-        mapInstance.drawTracePath(coords);
-    } else {
-        console.error('Map instance not initialized');
+        return mapInstance.drawTracePath(coords);
+    }
+    console.error(`Map instance not initialized for element ${elementId}`);
+    return false;
+}
+
+export function drawPath(elementId, name, coords, style) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.drawPath(name, coords, style || {});
+    }
+    console.error(`Map instance not initialized for element ${elementId}`);
+    return false;
+}
+
+export function setDirectorOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.setDirectorOptions(options) : false;
+}
+
+export function getDirectorStatus(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.getDirectorStatus() : null;
+}
+
+export function setOverlayOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.setOverlayOptions(options) : false;
+}
+
+export function fitToMarkers(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.fitToMarkers() : false;
+}
+
+export function setReducedMotion(elementId, reducedMotion) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.setReducedMotion(reducedMotion) : false;
+}
+
+export function setAccessibilityOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.setAccessibilityOptions(options) : false;
+}
+
+export function setInteractionEvents(elementId, events) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.setInteractionEvents(events) : false;
+}
+
+export function importGeoJson(elementId, geojson, mapping) {
+    const mapInstance = getMapInstance(elementId);
+    if (mapInstance) {
+        return mapInstance.importGeoJson(geojson, mapping || {});
     }
+    console.error(`Map instance not initialized for element ${elementId}`);
+    return Promise.resolve({ accepted: 0, rejected: [] });
+}
+
+export function setArrivalArcOptions(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.setArrivalArcOptions(options) : false;
+}
+
+export function removePath(elementId, name) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.removePath(name) : false;
+}
+
+export function clearPaths(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.clearPaths() : false;
+}
+
+export function getPathNames(elementId) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.getPathNames() : [];
+}
+
+export function exportImage(elementId, options) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.exportImage(options || {}) : Promise.resolve(null);
+}
+
+export function exportGeoJson(elementId, visibleOnly = false) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? JSON.stringify(mapInstance.exportGeoJson(visibleOnly)) : null;
+}
+
+export function exportCsv(elementId, visibleOnly = false) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.exportCsv(visibleOnly) : null;
+}
+
+export function downloadExport(elementId, format, fileName, options) {
+    const mapInstance = getMapInstance(elementId);
+    return mapInstance ? mapInstance.downloadExport(format, fileName, options || {}) : Promise.resolve(false);
 }
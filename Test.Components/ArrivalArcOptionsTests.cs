@@ -0,0 +1,52 @@
+using System.Text.Json;
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class ArrivalArcOptionsTests
+{
+    [Fact]
+    public void Default_SendsNoHomeLocation()
+    {
+        // Act
+        var json = MapJson.Serialize(new ArrivalArcOptions());
+
+        // Assert - the map draws no arcs until a home location is set
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("homeLat").ValueKind);
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("homeLng").ValueKind);
+    }
+
+    [Fact]
+    public void From_SetsHomeLocation()
+    {
+        // Act
+        var json = MapJson.Serialize(ArrivalArcOptions.From(47.6062, -122.3321));
+
+        // Assert
+        Assert.Equal(47.6062, json.GetProperty("homeLat").GetDouble());
+        Assert.Equal(-122.3321, json.GetProperty("homeLng").GetDouble());
+    }
+
+    [Fact]
+    public void Durations_SerializeAsMilliseconds()
+    {
+        // Arrange
+        var options = new ArrivalArcOptions
+        {
+            DrawDuration = TimeSpan.FromSeconds(2),
+            HoldDuration = TimeSpan.FromSeconds(5),
+            FadeDuration = TimeSpan.FromMilliseconds(750),
+            MinInterval = TimeSpan.FromSeconds(1)
+        };
+
+        // Act
+        var json = MapJson.Serialize(options);
+
+        // Assert
+        Assert.Equal(2000, json.GetProperty("drawMs").GetDouble());
+        Assert.Equal(5000, json.GetProperty("holdMs").GetDouble());
+        Assert.Equal(750, json.GetProperty("fadeMs").GetDouble());
+        Assert.Equal(1000, json.GetProperty("minIntervalMs").GetDouble());
+        Assert.False(json.TryGetProperty("drawDuration", out _));
+    }
+}
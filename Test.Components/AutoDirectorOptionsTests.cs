@@ -0,0 +1,40 @@
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class AutoDirectorOptionsTests
+{
+    [Fact]
+    public void Durations_SerializeInMapUnits()
+    {
+        // Arrange
+        var options = new AutoDirectorOptions
+        {
+            IdleTimeout = TimeSpan.FromSeconds(90),
+            DwellDuration = TimeSpan.FromSeconds(8),
+            FlightDuration = TimeSpan.FromMilliseconds(2500)
+        };
+
+        // Act
+        var json = MapJson.Serialize(options);
+
+        // Assert - flights are timed in seconds, like Leaflet's flyTo
+        Assert.Equal(90_000, json.GetProperty("idleMs").GetDouble());
+        Assert.Equal(8000, json.GetProperty("dwellMs").GetDouble());
+        Assert.Equal(2.5, json.GetProperty("flightSeconds").GetDouble());
+        Assert.False(json.TryGetProperty("idleTimeout", out _));
+        Assert.False(json.TryGetProperty("flightDuration", out _));
+    }
+
+    [Theory]
+    [InlineData(AutoDirectorMode.Densest, "Densest")]
+    [InlineData(AutoDirectorMode.Newest, "Newest")]
+    public void Mode_SerializesAsName(AutoDirectorMode mode, string expected)
+    {
+        // Act
+        var json = MapJson.Serialize(new AutoDirectorOptions { Mode = mode });
+
+        // Assert - the map compares modes case-insensitively
+        Assert.Equal(expected, json.GetProperty("mode").GetString());
+    }
+}
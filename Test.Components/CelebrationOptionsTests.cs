@@ -0,0 +1,48 @@
+using System.Text.Json;
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class CelebrationOptionsTests
+{
+    [Theory]
+    [InlineData(CelebrationAnchor.TopLeft, "top-left")]
+    [InlineData(CelebrationAnchor.TopRight, "top-right")]
+    [InlineData(CelebrationAnchor.BottomLeft, "bottom-left")]
+    [InlineData(CelebrationAnchor.BottomRight, "bottom-right")]
+    [InlineData(CelebrationAnchor.Center, "center")]
+    [InlineData(CelebrationAnchor.Marker, "marker")]
+    public void Anchor_SerializesAsMapAnchorName(CelebrationAnchor anchor, string expected)
+    {
+        // Act
+        var json = MapJson.Serialize(new CelebrationOptions { Anchor = anchor });
+
+        // Assert
+        Assert.Equal(expected, json.GetProperty("anchor").GetString());
+    }
+
+    [Theory]
+    [InlineData(CelebrationEffect.Confetti, "confetti")]
+    [InlineData(CelebrationEffect.Ripple, "ripple")]
+    [InlineData(CelebrationEffect.None, "none")]
+    public void Effect_SerializesAsMapEffectName(CelebrationEffect effect, string expected)
+    {
+        // Act
+        var json = MapJson.Serialize(new CelebrationOptions { Effect = effect });
+
+        // Assert
+        Assert.Equal(expected, json.GetProperty("effect").GetString());
+    }
+
+    [Fact]
+    public void Default_LeavesTemplateToTheMap()
+    {
+        // Act
+        var json = MapJson.Serialize(new CelebrationOptions());
+
+        // Assert - null values fall back to the map's built-in celebration
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("template").ValueKind);
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("services").ValueKind);
+        Assert.Equal(250, json.GetProperty("offsetX").GetInt32());
+    }
+}
@@ -0,0 +1,46 @@
+using System.Text.Json;
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class ClusterStyleOptionsTests
+{
+    [Theory]
+    [InlineData(ClusterSizeCurve.Bands, "bands")]
+    [InlineData(ClusterSizeCurve.Linear, "linear")]
+    [InlineData(ClusterSizeCurve.Sqrt, "sqrt")]
+    [InlineData(ClusterSizeCurve.Log, "log")]
+    public void SizeCurve_SerializesAsMapCurveName(ClusterSizeCurve curve, string expected)
+    {
+        // Act
+        var json = MapJson.Serialize(new ClusterStyleOptions { SizeCurve = curve });
+
+        // Assert
+        Assert.Equal(expected, json.GetProperty("sizeCurve").GetString());
+    }
+
+    [Theory]
+    [InlineData(ClusterBreakdown.None, "none")]
+    [InlineData(ClusterBreakdown.Service, "service")]
+    [InlineData(ClusterBreakdown.UserType, "userType")]
+    public void Breakdown_SerializesAsMarkerField(ClusterBreakdown breakdown, string expected)
+    {
+        // Act
+        var json = MapJson.Serialize(new ClusterStyleOptions { Breakdown = breakdown });
+
+        // Assert - the map reads the breakdown straight off each marker's data
+        Assert.Equal(expected, json.GetProperty("breakdown").GetString());
+    }
+
+    [Fact]
+    public void Default_LeavesBandsToTheMap()
+    {
+        // Act
+        var json = MapJson.Serialize(new ClusterStyleOptions());
+
+        // Assert - null values keep the map's built-in thresholds and palette
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("thresholds").ValueKind);
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("palette").ValueKind);
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("sizes").ValueKind);
+    }
+}
@@ -0,0 +1,33 @@
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class LegendOptionsTests
+{
+    [Theory]
+    [InlineData(LegendPosition.TopLeft, "topleft")]
+    [InlineData(LegendPosition.TopRight, "topright")]
+    [InlineData(LegendPosition.BottomLeft, "bottomleft")]
+    [InlineData(LegendPosition.BottomRight, "bottomright")]
+    public void Position_SerializesAsLeafletControlPosition(LegendPosition position, string expected)
+    {
+        // Act
+        var json = MapJson.Serialize(new LegendOptions { Position = position });
+
+        // Assert
+        Assert.Equal(expected, json.GetProperty("position").GetString());
+    }
+
+    [Fact]
+    public void Default_ShowsExpandedLegendInBottomRight()
+    {
+        // Act
+        var json = MapJson.Serialize(new LegendOptions());
+
+        // Assert
+        Assert.True(json.GetProperty("enabled").GetBoolean());
+        Assert.False(json.GetProperty("collapsed").GetBoolean());
+        Assert.Equal("Viewers", json.GetProperty("title").GetString());
+        Assert.Equal("bottomright", json.GetProperty("position").GetString());
+    }
+}
@@ -0,0 +1,29 @@
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class MapAccessibilityOptionsTests
+{
+    [Fact]
+    public void ArrivalDebounce_SerializesAsMilliseconds()
+    {
+        // Act
+        var json = MapJson.Serialize(new MapAccessibilityOptions { ArrivalDebounce = TimeSpan.FromSeconds(5) });
+
+        // Assert
+        Assert.Equal(5000, json.GetProperty("arrivalDebounceMs").GetDouble());
+        Assert.False(json.TryGetProperty("arrivalDebounce", out _));
+    }
+
+    [Fact]
+    public void Default_AnnouncesAndSupportsKeyboard()
+    {
+        // Act
+        var json = MapJson.Serialize(new MapAccessibilityOptions());
+
+        // Assert
+        Assert.True(json.GetProperty("announcements").GetBoolean());
+        Assert.True(json.GetProperty("keyboardNavigation").GetBoolean());
+        Assert.Equal(2000, json.GetProperty("arrivalDebounceMs").GetDouble());
+    }
+}
@@ -0,0 +1,34 @@
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class MapDefaultsTests
+{
+    // The map merges options over its DEFAULT_* objects and ignores keys those don't have,
+    // so a property name that drifts from the script's is silently dropped
+    [Theory]
+    [InlineData(typeof(TileProviderOptions), "DEFAULT_TILE_PROVIDER")]
+    [InlineData(typeof(CelebrationQueueOptions), "DEFAULT_CELEBRATION_QUEUE_OPTIONS")]
+    [InlineData(typeof(CelebrationOptions), "DEFAULT_CELEBRATION_OPTIONS")]
+    [InlineData(typeof(ClusterStyleOptions), "DEFAULT_CLUSTER_STYLE")]
+    [InlineData(typeof(LegendOptions), "DEFAULT_LEGEND_OPTIONS")]
+    [InlineData(typeof(MarkerAgingOptions), "DEFAULT_AGING_OPTIONS")]
+    [InlineData(typeof(PathStyle), "DEFAULT_PATH_STYLE")]
+    [InlineData(typeof(ArrivalArcOptions), "DEFAULT_ARRIVAL_ARC_OPTIONS")]
+    [InlineData(typeof(AutoDirectorOptions), "DEFAULT_DIRECTOR_OPTIONS")]
+    [InlineData(typeof(OverlayOptions), "DEFAULT_OVERLAY_OPTIONS")]
+    [InlineData(typeof(MapAccessibilityOptions), "DEFAULT_ACCESSIBILITY_OPTIONS")]
+    [InlineData(typeof(MapImageExportOptions), "DEFAULT_IMAGE_EXPORT_OPTIONS")]
+    [InlineData(typeof(GeoJsonImportMapping), "DEFAULT_GEOJSON_IMPORT_MAPPING")]
+    public void SerializedKeys_AreKnownToTheMap(Type optionsType, string defaultsName)
+    {
+        // Arrange
+        var defaults = MapJson.DefaultKeys(defaultsName);
+
+        // Act
+        var keys = MapJson.Serialize(Activator.CreateInstance(optionsType)).EnumerateObject().Select(property => property.Name);
+
+        // Assert
+        Assert.Empty(keys.Where(key => !defaults.Contains(key)));
+    }
+}
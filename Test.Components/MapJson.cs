@@ -0,0 +1,38 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace Test.Components;
+
+// Options as the component sends them to chattermap.js, and the defaults the script merges them over
+internal static class MapJson
+{
+    private static readonly JsonSerializerOptions WebOptions = new(JsonSerializerDefaults.Web);
+
+    // Blazor's JS interop serializes with the web defaults - camelCase names, nulls included
+    public static JsonElement Serialize<T>(T value) =>
+        JsonDocument.Parse(JsonSerializer.Serialize(value, WebOptions)).RootElement;
+
+    // Top-level keys of a `const DEFAULT_... = { ... };` object in chattermap.js
+    public static IReadOnlySet<string> DefaultKeys(string constantName)
+    {
+        var match = Regex.Match(Script.Value, $@"^const {constantName} = \{{\r?\n(.*?)^\}};", RegexOptions.Multiline | RegexOptions.Singleline);
+        Assert.True(match.Success, $"{constantName} not found in chattermap.js");
+
+        return Regex.Matches(match.Groups[1].Value, @"^    (\w+):", RegexOptions.Multiline)
+            .Select(key => key.Groups[1].Value)
+            .ToHashSet();
+    }
+
+    private static readonly Lazy<string> Script = new(() => File.ReadAllText(FindScript()));
+
+    // Tests run from the build output, so look upwards for the component's wwwroot
+    private static string FindScript()
+    {
+        for (var directory = new DirectoryInfo(AppContext.BaseDirectory); directory != null; directory = directory.Parent)
+        {
+            var path = Path.Combine(directory.FullName, "Fritz.Charlie.Components", "wwwroot", "chattermap.js");
+            if (File.Exists(path)) return path;
+        }
+        throw new FileNotFoundException("chattermap.js not found above " + AppContext.BaseDirectory);
+    }
+}
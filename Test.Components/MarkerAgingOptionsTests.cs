@@ -0,0 +1,40 @@
+using System.Text.Json;
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class MarkerAgingOptionsTests
+{
+    [Fact]
+    public void Durations_SerializeAsMilliseconds()
+    {
+        // Arrange
+        var options = new MarkerAgingOptions
+        {
+            FadeAfter = TimeSpan.FromMinutes(10),
+            FadeDuration = TimeSpan.FromMinutes(90),
+            TimeToLive = TimeSpan.FromHours(6)
+        };
+
+        // Act
+        var json = MapJson.Serialize(options);
+
+        // Assert
+        Assert.Equal(600_000, json.GetProperty("fadeAfterMs").GetDouble());
+        Assert.Equal(5_400_000, json.GetProperty("fadeDurationMs").GetDouble());
+        Assert.Equal(21_600_000, json.GetProperty("ttlMs").GetDouble());
+        Assert.False(json.TryGetProperty("fadeAfter", out _));
+        Assert.False(json.TryGetProperty("timeToLive", out _));
+    }
+
+    [Fact]
+    public void Default_KeepsMarkersForever()
+    {
+        // Act
+        var json = MapJson.Serialize(new MarkerAgingOptions());
+
+        // Assert - without a time to live, faded markers stay at their minimum opacity
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("ttlMs").ValueKind);
+        Assert.Equal(0.35, json.GetProperty("minOpacity").GetDouble());
+    }
+}
@@ -0,0 +1,32 @@
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class MarkerFilterTests
+{
+    [Fact]
+    public void Recent_SerializesWindowAsMilliseconds()
+    {
+        // Arrange
+        var filter = MarkerFilter.Recent(TimeSpan.FromMinutes(30));
+
+        // Act
+        var json = MapJson.Serialize(filter);
+
+        // Assert
+        Assert.Equal(1_800_000, json.GetProperty("withinMs").GetDouble());
+        Assert.False(json.TryGetProperty("within", out _));
+    }
+
+    [Fact]
+    public void ForServices_LeavesOtherCriteriaEmpty()
+    {
+        // Act
+        var filter = MarkerFilter.ForServices("YouTube");
+
+        // Assert
+        Assert.Equal(["YouTube"], filter.Services);
+        Assert.Null(filter.UserTypes);
+        Assert.Null(filter.WithinMs);
+    }
+}
@@ -0,0 +1,43 @@
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class OverlayOptionsTests
+{
+    [Theory]
+    [InlineData(LegendPosition.TopLeft, "topleft")]
+    [InlineData(LegendPosition.TopRight, "topright")]
+    [InlineData(LegendPosition.BottomLeft, "bottomleft")]
+    [InlineData(LegendPosition.BottomRight, "bottomright")]
+    public void AttributionPosition_UsesLeafletControlPosition(LegendPosition corner, string expected)
+    {
+        // Act
+        var json = MapJson.Serialize(new OverlayOptions { AttributionCorner = corner });
+
+        // Assert
+        Assert.Equal(expected, json.GetProperty("attributionPosition").GetString());
+        Assert.False(json.TryGetProperty("attributionCorner", out _));
+    }
+
+    [Fact]
+    public void AttributionPosition_IsNoneWhenHidden()
+    {
+        // Act
+        var json = MapJson.Serialize(new OverlayOptions { ShowAttribution = false, AttributionCorner = LegendPosition.TopLeft });
+
+        // Assert
+        Assert.Equal("none", json.GetProperty("attributionPosition").GetString());
+        Assert.False(json.TryGetProperty("showAttribution", out _));
+    }
+
+    [Fact]
+    public void ChromaKey_SetsBackgroundColor()
+    {
+        // Act
+        var json = MapJson.Serialize(OverlayOptions.ChromaKey("#ff00ff"));
+
+        // Assert
+        Assert.Equal("#ff00ff", json.GetProperty("background").GetString());
+        Assert.True(json.GetProperty("enabled").GetBoolean());
+    }
+}
@@ -0,0 +1,31 @@
+using System.Text.Json;
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class PathStyleTests
+{
+    [Fact]
+    public void AnimationDuration_SerializesAsMilliseconds()
+    {
+        // Act
+        var json = MapJson.Serialize(new PathStyle { Animate = true, AnimationDuration = TimeSpan.FromSeconds(3.5) });
+
+        // Assert
+        Assert.True(json.GetProperty("animate").GetBoolean());
+        Assert.Equal(3500, json.GetProperty("animationMs").GetDouble());
+        Assert.False(json.TryGetProperty("animationDuration", out _));
+    }
+
+    [Fact]
+    public void Default_DrawsGeodesicPathInMapColors()
+    {
+        // Act
+        var json = MapJson.Serialize(new PathStyle());
+
+        // Assert - null values keep the map's default path look
+        Assert.True(json.GetProperty("geodesic").GetBoolean());
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("color").ValueKind);
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("dashArray").ValueKind);
+    }
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './loadChatterMap.mjs';
+
+// A rendered marker whose icon element keeps its attributes
+function createLabelledMarker() {
+    const attributes = new Map();
+    return {
+        attributes,
+        getElement: () => ({ setAttribute: (name, value) => attributes.set(name, value) }),
+        getLatLng: () => ({ lat: 47.6, lng: -122.3 }),
+        setIcon() {},
+        setOpacity() {},
+        setPopupContent() {}
+    };
+}
+
+test('a marker label follows its viewer count', async () => {
+    const marker = createLabelledMarker();
+    const manager = createManager({
+        markers: new Map([['m1', { marker, continentCode: 'GLO' }]]),
+        markerClusterGroups: new Map(),
+        displayMode: 'clusters',
+        syncHeatmapPoint() {},
+        getIconUrl: async () => 'pin.webp',
+        createMarkerIcon: () => ({}),
+        getMarkerOpacity: () => 1,
+        createPopupContent: content => content
+    });
+    manager.allMarkerData.set('m1', { id: 'm1', lat: 47.6, lng: -122.3, description: 'Seattle, WA', count: 1, service: 'Twitch', userType: 'user' });
+
+    await manager.updateAggregatedMarker('m1', 3, 'Seattle, WA');
+
+    assert.equal(marker.attributes.get('aria-label'), 'Seattle, WA - 3 viewers, Twitch');
+});
+
+test('a single viewer is not pluralised', () => {
+    const marker = createLabelledMarker();
+
+    createManager().labelMarker(marker, { description: 'Leeds', service: 'YouTube' });
+
+    assert.equal(marker.attributes.get('aria-label'), 'Leeds - 1 viewer, YouTube');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './loadChatterMap.mjs';
+
+function createDirectorManager() {
+    const calls = [];
+    const manager = createManager({
+        map: {
+            flyTo: () => calls.push('flyTo'),
+            setView: () => calls.push('setView'),
+            stop: () => calls.push('stop')
+        },
+        directorActive: false,
+        directorShot: null,
+        directorShotIndex: 0,
+        directorTimer: null,
+        programmaticMove: false,
+        lastUserActivity: 0,
+        celebrationQueue: [],
+        reducedMotionOverride: null,
+        reducedMotionQuery: null,
+        getMaxZoom: () => 6
+    });
+    manager.allMarkerData.set('a', { id: 'a', lat: 47.6, lng: -122.3, count: 3, lastSeen: 1, description: 'Seattle' });
+    manager.setDirectorOptions({ enabled: true, idleMs: 0 });
+    clearTimeout(manager.directorTimer);
+    return { manager, calls };
+}
+
+test('user input during a director flight stops the camera', () => {
+    const { manager, calls } = createDirectorManager();
+
+    manager.directorStep();
+    assert.equal(manager.directorActive, true);
+
+    manager.noteUserActivity();
+    clearTimeout(manager.directorTimer);
+
+    assert.deepEqual(calls, ['flyTo', 'stop']);
+    assert.equal(manager.directorActive, false);
+});
+
+test('user input after the flight has landed leaves the map alone', () => {
+    const { manager, calls } = createDirectorManager();
+
+    manager.directorStep();
+    clearTimeout(manager.directorTimer);
+    manager.programmaticMove = false; // moveend
+
+    manager.noteUserActivity();
+    clearTimeout(manager.directorTimer);
+
+    assert.deepEqual(calls, ['flyTo']);
+});
+
+test('the director waits while a tour is running', () => {
+    const { manager, calls } = createDirectorManager();
+    manager.tourActive = true;
+
+    manager.directorStep();
+    clearTimeout(manager.directorTimer);
+
+    assert.deepEqual(calls, []);
+    assert.equal(manager.directorActive, false);
+});
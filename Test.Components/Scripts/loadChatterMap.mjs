@@ -0,0 +1,26 @@
+// Loads wwwroot/chattermap.js outside the browser so the map logic can be tested with node --test.
+// Leaflet isn't available here: tests get a bare manager and stub only the map pieces they touch.
+import { readFile } from 'node:fs/promises';
+
+const scriptUrl = new URL('../../Fritz.Charlie.Components/wwwroot/chattermap.js', import.meta.url);
+
+globalThis.L ??= {};
+
+const source = await readFile(scriptUrl, 'utf8');
+const { ChatterMapManager } = await import('data:text/javascript,' + encodeURIComponent(`${source}\nexport { ChatterMapManager };`));
+
+// A manager without a Leaflet map behind it - assign whatever state the test needs on top
+export function createManager(state = {}) {
+    const manager = Object.create(ChatterMapManager.prototype);
+    return Object.assign(manager, {
+        map: {},
+        allMarkerData: new Map(),
+        markerFilter: null,
+        timeCursor: null,
+        legendHidden: { services: new Set(), userTypes: new Set() },
+        heatmap: { clear() {}, setPoint() {} },
+        dotNetObjectRef: null,
+        updateVisibleMarkers: async () => {},
+        scheduleLegendUpdate() {}
+    }, state);
+}
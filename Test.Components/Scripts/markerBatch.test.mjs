@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './loadChatterMap.mjs';
+
+function createBatchManager() {
+    const refreshed = [];
+    const marker = {
+        position: { lat: 47.6, lng: -122.3 },
+        getLatLng() { return this.position; },
+        setLatLng([lat, lng]) { this.position = { lat, lng }; },
+        setIcon() {},
+        setOpacity() {},
+        setPopupContent(content) { this.popup = content; },
+        getElement: () => null
+    };
+    const manager = createManager({
+        markers: new Map([['m1', { marker, continentCode: 'GLO' }]]),
+        markerClusterGroups: new Map([['GLO', { refreshClusters: layers => refreshed.push(layers) }]]),
+        displayMode: 'clusters',
+        spatialIndex: { insert() {} },
+        scheduleOverlayFit() {},
+        getIconUrl: async () => 'pin.webp',
+        createMarkerIcon: (url, count) => ({ count }),
+        getMarkerOpacity: () => 1,
+        createPopupContent: content => content
+    });
+    manager.storeMarkerData('m1', { lat: 47.6, lng: -122.3, userType: 'user', description: 'Seattle', service: 'twitch', count: 1, timestamp: 1000 });
+    return { manager, marker, refreshed };
+}
+
+test('a batch updates markers already on the map and refreshes clusters once', async () => {
+    const { manager, marker, refreshed } = createBatchManager();
+
+    const result = await manager.addMarkers([
+        { id: 'm1', lat: 47.6, lng: -122.3, userType: 'user', description: 'Seattle', service: 'twitch', count: 4, popupContent: '4 viewers', popupTrusted: true },
+        { id: 'm2', lat: 51.5, lng: -0.1, userType: 'vip', description: 'London', service: 'youtube' }
+    ]);
+
+    assert.equal(result.accepted, 2);
+    assert.equal(manager.allMarkerData.get('m1').count, 4);
+    assert.equal(marker.popup, '4 viewers');
+    assert.deepEqual(refreshed, [[marker]]);
+});
+
+test('a batch of only new markers leaves the clusters to the normal render', async () => {
+    const { manager, refreshed } = createBatchManager();
+
+    await manager.addMarkers([{ id: 'm2', lat: 51.5, lng: -0.1, userType: 'vip', description: 'London', service: 'youtube' }]);
+
+    assert.deepEqual(refreshed, []);
+});
+
+test('an update without popup content keeps the marker popup and first-seen time', async () => {
+    const { manager, marker } = createBatchManager();
+    await manager.addMarkers([{ id: 'm1', lat: 47.6, lng: -122.3, count: 2, popupContent: '2 viewers', popupTrusted: true }]);
+
+    await manager.addMarkers([{ id: 'm1', lat: 47.6, lng: -122.3, count: 3 }]);
+
+    const stored = manager.allMarkerData.get('m1');
+    assert.equal(stored.count, 3);
+    assert.equal(stored.timestamp, 1000);
+    assert.equal(stored.description, 'Seattle');
+    assert.equal(marker.popup, '2 viewers');
+});
+
+test('a marker that never had popup content gets the default popup on update', async () => {
+    const { manager, marker } = createBatchManager();
+
+    await manager.addMarkers([{ id: 'm1', lat: 47.6, lng: -122.3, count: 3 }]);
+
+    assert.match(marker.popup, /Seattle/);
+    assert.match(marker.popup, /<strong>Viewers:<\/strong> <span style="color: #dc3545;">3<\/span>/);
+});
+
+test('an update with new coordinates moves the rendered marker', async () => {
+    const { manager, marker } = createBatchManager();
+
+    await manager.addMarkers([{ id: 'm1', lat: 47.61, lng: -122.33, count: 1 }]);
+
+    assert.deepEqual(marker.getLatLng(), { lat: 47.61, lng: -122.33 });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './loadChatterMap.mjs';
+
+const stop = {
+    description: 'Pacific Northwest',
+    locationCount: 3,
+    locations: [{ description: 'Seattle', service: 'twitch', userType: 'subscriber', timestamp: 0 }],
+    viewers: [['twitch', 'subscriber', 0], ['youtube', 'user', 0], ['twitch', 'vip', 0]]
+};
+
+function createTourManager() {
+    const overlays = [];
+    const manager = createManager({
+        tourActive: true,
+        tourStops: [stop],
+        currentTourIndex: 1,
+        tourSpotlight: null,
+        updateRegionOverlay: (description, count) => overlays.push({ description, count })
+    });
+    return { manager, overlays };
+}
+
+test('changing the filter during a tour updates the region overlay count', () => {
+    const { manager, overlays } = createTourManager();
+
+    manager.setMarkerFilter({ services: ['YouTube'] });
+    manager.setMarkerFilter({ services: ['Twitch'] });
+    manager.setMarkerFilter(null);
+
+    assert.deepEqual(overlays.map(overlay => overlay.count), [1, 2, 3]);
+    assert.equal(overlays[0].description, 'Pacific Northwest');
+});
+
+test('the filtered count covers viewers beyond the locations sent in full', () => {
+    const { manager } = createTourManager();
+
+    manager.setMarkerFilter({ userTypes: ['vip', 'subscriber'] });
+
+    assert.equal(manager.getTourStopViewerCount(stop), 2);
+    assert.equal(manager.getTourStopLocations(stop).length, 1);
+});
+
+test('the overlay is left alone when no tour is running', () => {
+    const { manager, overlays } = createTourManager();
+    manager.tourActive = false;
+
+    manager.setMarkerFilter({ services: ['YouTube'] });
+
+    assert.equal(overlays.length, 0);
+});
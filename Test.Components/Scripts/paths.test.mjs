@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './loadChatterMap.mjs';
+
+// Records the polylines drawn instead of rendering them
+function createPathManager() {
+    const lines = [];
+    const layer = () => ({ addTo() { return this; }, remove() { this.removed = true; } });
+    Object.assign(globalThis.L, {
+        featureGroup: layer,
+        polyline: (points, options) => {
+            const line = { ...layer(), points, options };
+            lines.push(line);
+            return line;
+        }
+    });
+
+    const manager = createManager({ paths: new Map(), reducedMotionOverride: null, reducedMotionQuery: null });
+    return { manager, lines };
+}
+
+test('the trace path keeps straight lines between its points', () => {
+    const { manager, lines } = createPathManager();
+
+    manager.drawTracePath([[47.6, -122.3], [51.5, -0.1]]);
+
+    assert.deepEqual(lines[0].points, [[47.6, -122.3], [51.5, -0.1]]);
+    assert.equal(lines[0].options.dashArray, '8, 12');
+});
+
+test('named paths follow great circles by default', () => {
+    const { manager, lines } = createPathManager();
+
+    manager.drawPath('route', [[47.6, -122.3], [51.5, -0.1]]);
+
+    assert.ok(lines[0].points.length > 2);
+});
+
+test('a trace with too few points clears the previous trace', () => {
+    const { manager } = createPathManager();
+    manager.drawTracePath([[47.6, -122.3], [51.5, -0.1]]);
+    const previous = manager.paths.get('trace');
+
+    assert.equal(manager.drawTracePath([[40.7, -74.0]]), false);
+
+    assert.equal(previous.layer.removed, true);
+    assert.equal(manager.paths.has('trace'), false);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './loadChatterMap.mjs';
+
+// Just enough of Leaflet for the cluster group and the animation flags
+function createMotionManager() {
+    const layers = new Set();
+    globalThis.L.markerClusterGroup = options => ({ options, on() {} });
+
+    const manager = createManager({
+        map: {
+            options: { zoomAnimation: true, fadeAnimation: true, markerZoomAnimation: true, inertia: true },
+            _zoomAnimated: true,
+            _fadeAnimated: true,
+            getContainer: () => ({ classList: { toggle() {} } }),
+            addLayer: layer => layers.add(layer),
+            removeLayer: layer => layers.delete(layer)
+        },
+        markerClusterGroups: new Map(),
+        visibleMarkers: new Set(),
+        displayMode: 'clusters',
+        reducedMotionOverride: null,
+        reducedMotionQuery: null,
+        leafletAnimationSupport: null,
+        getMaxZoom: () => 6
+    });
+    manager.initializeClusterGroups();
+    return { manager, layers };
+}
+
+test('reduced motion switches off Leaflet zoom and fade animations at runtime', () => {
+    const { manager } = createMotionManager();
+
+    manager.setReducedMotion(true);
+    assert.equal(manager.map._zoomAnimated, false);
+    assert.equal(manager.map._fadeAnimated, false);
+    assert.equal(manager.map.options.inertia, false);
+
+    manager.setReducedMotion(false);
+    assert.equal(manager.map._zoomAnimated, true);
+    assert.equal(manager.map._fadeAnimated, true);
+});
+
+test('the cluster group is rebuilt with the new animation setting', () => {
+    const { manager, layers } = createMotionManager();
+    assert.equal(manager.markerClusterGroups.get('GLO').options.animate, true);
+
+    manager.setReducedMotion(true);
+
+    const clusterGroup = manager.markerClusterGroups.get('GLO');
+    assert.equal(clusterGroup.options.animate, false);
+    assert.deepEqual([...layers], [clusterGroup]);
+});
+
+test('animations stay off where the browser could not animate in the first place', () => {
+    const { manager } = createMotionManager();
+    manager.map._zoomAnimated = false;
+
+    manager.setReducedMotion(false);
+
+    assert.equal(manager.map._zoomAnimated, false);
+});
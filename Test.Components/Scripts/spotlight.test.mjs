@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager } from './loadChatterMap.mjs';
+
+// A rendered marker that records its popup opening and closing
+function createPopupMarker(calls) {
+    return {
+        openPopup: () => calls.push('open'),
+        closePopup: () => calls.push('close')
+    };
+}
+
+function createSpotlightManager(clusterGroup) {
+    const calls = [];
+    const marker = createPopupMarker(calls);
+    const manager = createManager({
+        markers: new Map([['m1', { marker, continentCode: 'NA' }]]),
+        markerClusterGroups: new Map([['NA', clusterGroup]]),
+        displayMode: 'clusters',
+        spotlightMarker: null,
+        programmaticMove: false
+    });
+    return { manager, calls };
+}
+
+test('a spotlight opens the viewer marker popup from its cluster', () => {
+    const shown = [];
+    const clusterGroup = {
+        zoomToShowLayer: (marker, callback) => {
+            shown.push(marker);
+            callback();
+        }
+    };
+    const { manager, calls } = createSpotlightManager(clusterGroup);
+
+    manager.openSpotlightPopup('m1');
+
+    assert.equal(shown.length, 1);
+    assert.equal(manager.programmaticMove, true);
+    assert.deepEqual(calls, ['open']);
+
+    manager.clearSpotlight();
+
+    assert.deepEqual(calls, ['open', 'close']);
+    assert.equal(manager.spotlightMarker, null);
+});
+
+test('a spotlight cleared before its cluster opens leaves the popup closed', () => {
+    let reveal;
+    const clusterGroup = { zoomToShowLayer: (marker, callback) => { reveal = callback; } };
+    const { manager, calls } = createSpotlightManager(clusterGroup);
+
+    manager.openSpotlightPopup('m1');
+    manager.clearSpotlight();
+    reveal();
+
+    assert.deepEqual(calls, ['close']);
+});
+
+test('a viewer without a rendered marker gets no popup', () => {
+    const { manager, calls } = createSpotlightManager({ zoomToShowLayer: () => assert.fail('nothing to show') });
+
+    manager.openSpotlightPopup('missing');
+    manager.openSpotlightPopup(null);
+
+    assert.deepEqual(calls, []);
+    assert.equal(manager.spotlightMarker, null);
+});
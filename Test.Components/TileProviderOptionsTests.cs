@@ -0,0 +1,79 @@
+using System.Text.Json;
+using Fritz.Charlie.Components.Models;
+
+namespace Test.Components;
+
+public class TileProviderOptionsTests
+{
+    [Theory]
+    [InlineData("/tiles", "png", "/tiles/{z}/{x}/{y}.png")]
+    [InlineData("/tiles/", ".webp", "/tiles/{z}/{x}/{y}.webp")]
+    [InlineData("https://tiles.example.com/world", "jpg", "https://tiles.example.com/world/{z}/{x}/{y}.jpg")]
+    public void Local_BuildsZxyUrlTemplate(string baseUrl, string extension, string expectedTemplate)
+    {
+        // Act
+        var provider = TileProviderOptions.Local(baseUrl, extension);
+
+        // Assert
+        Assert.Equal(TileProviderType.Tiles, provider.Type);
+        Assert.Equal(expectedTemplate, provider.UrlTemplate);
+        Assert.Equal(6, provider.MaxNativeZoom);
+    }
+
+    [Fact]
+    public void OutlinesOnly_DisablesTilesAndKeepsOutlineUrl()
+    {
+        // Act
+        var provider = TileProviderOptions.OutlinesOnly("/geo/countries.geojson", "#101820");
+
+        // Assert
+        Assert.Equal(TileProviderType.None, provider.Type);
+        Assert.Null(provider.UrlTemplate);
+        Assert.Equal("/geo/countries.geojson", provider.OutlineUrl);
+        Assert.Equal("#101820", provider.BackgroundColor);
+    }
+
+    [Fact]
+    public void OpenStreetMap_IsTheDefaultProvider()
+    {
+        // Act
+        var provider = TileProviderOptions.OpenStreetMap;
+
+        // Assert
+        Assert.Equal(new TileProviderOptions().UrlTemplate, provider.UrlTemplate);
+        Assert.Contains("openstreetmap.org", provider.UrlTemplate);
+        Assert.Equal(19, provider.MaxZoom);
+    }
+
+    [Fact]
+    public void Type_SerializesAsName()
+    {
+        // Act
+        var tiles = MapJson.Serialize(TileProviderOptions.OpenStreetMap);
+        var outlines = MapJson.Serialize(TileProviderOptions.OutlinesOnly(null));
+
+        // Assert
+        Assert.Equal("Tiles", tiles.GetProperty("type").GetString());
+        Assert.Equal("None", outlines.GetProperty("type").GetString());
+    }
+
+    [Fact]
+    public void Presets_RequestTilesWithCors()
+    {
+        // Assert - both servers send CORS headers, so image exports include their tiles
+        Assert.Equal("anonymous", TileProviderOptions.OpenStreetMap.CrossOrigin);
+        Assert.Equal("anonymous", TileProviderOptions.CartoDark.CrossOrigin);
+    }
+
+    [Fact]
+    public void CustomProviders_SendNoCrossOrigin()
+    {
+        // Act
+        var custom = MapJson.Serialize(new TileProviderOptions { UrlTemplate = "https://tiles.example.com/{z}/{x}/{y}.png" });
+        var local = MapJson.Serialize(TileProviderOptions.Local("/tiles"));
+
+        // Assert - other servers load tiles without CORS unless the host opts in
+        Assert.Equal(JsonValueKind.Null, custom.GetProperty("crossOrigin").ValueKind);
+        Assert.Equal(JsonValueKind.Null, local.GetProperty("crossOrigin").ValueKind);
+    }
+}